@@ -22,6 +22,9 @@ const server = createServer({
 });
 
 const ENDPOINT_CONFIGS = [
+  {
+    path: './endpoints/journal/',
+  },
   {
     path: './endpoints/onboarding/',
   },
@@ -26,7 +26,7 @@ function createWorker(workerConfig) {
   } = workerConfig;
   const queue = createQueue({ ...(config.defaultQueueOpts || {}), ...queueOptions });
 
-  if (!queue) return { scheduleJob: () => {} };
+  if (!queue) return { scheduleJob: () => {}, removeJob: async () => false };
 
   if (typeof processor !== 'function') {
     throw new Error('Processor must be a function');
@@ -79,7 +79,20 @@ function createWorker(workerConfig) {
     });
   }
 
-  return { scheduleJob };
+  /**
+   * Removes a scheduled job, e.g. a delayed job that should no longer run
+   * @param {import('bull').JobId} jobId
+   * @returns {Promise<boolean>} false when no job exists for the id
+   */
+  async function removeJob(jobId) {
+    const job = await queue.getJob(jobId);
+    if (!job) return false;
+
+    await job.remove();
+    return true;
+  }
+
+  return { scheduleJob, removeJob };
 }
 
 module.exports = createWorker;
@@ -1,6 +1,9 @@
 const ulid = require('ulid');
 
+// Ids created in the same millisecond still sort in creation order, so callers can page by _id
+const monotonicUlid = ulid.monotonicFactory();
+
 function generateULID() {
-  return ulid.ulid();
+  return monotonicUlid();
 }
 module.exports = generateULID;
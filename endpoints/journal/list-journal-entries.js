@@ -0,0 +1,21 @@
+const { createHandler } = require('@app-core/server');
+const { appLogger } = require('@app-core/logger');
+const { listJournalEntries } = require('@app/services/journal');
+
+// Journal Endpoint; Lists journal entries filtered by account, date range and status code
+module.exports = createHandler({
+  path: '/journal',
+  method: 'get',
+  middlewares: [],
+  async onResponseEnd(rc, rs) {
+    appLogger.info({ requestContext: rc, response: rs }, 'journal-request-completed');
+  },
+  async handler(rc, helpers) {
+    const response = await listJournalEntries(rc.query);
+
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: response,
+    };
+  },
+});
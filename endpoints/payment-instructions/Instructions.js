@@ -1,6 +1,11 @@
 const { createHandler } = require('@app-core/server');
 const { appLogger } = require('@app-core/logger');
+const { ERROR_CODE, ERROR_STATUS_CODE_MAPPING } = require('@app-core/errors');
 const { processTransactionService, STATUS_CODES } = require('@app/services/payment-instructions');
+const reserveIdempotencyKey = require('@app/services/payment-instructions/reserve-idempotency-key');
+const saveIdempotentResponse = require('@app/services/payment-instructions/save-idempotent-response');
+const releaseIdempotencyKey = require('@app/services/payment-instructions/release-idempotency-key');
+const { getAcceptedLocale } = require('@app/services/payment-instructions/locales');
 const { PaymentInstructionsMessages } = require('@app/messages');
 
 // Payment Instructions Endpoint; Processes financial transaction instructions in structured format
@@ -14,8 +19,13 @@ module.exports = createHandler({
   async handler(rc, helpers) {
     const payload = rc.body;
 
-    // Validate payload structure
-    if (!payload || !Array.isArray(payload.accounts) || typeof payload.instruction !== 'string') {
+    // Validate payload structure; accounts may be omitted to use the server-held ledger. A dated
+    // instruction sent with accounts runs against those balances, as submitted, when it falls due.
+    if (
+      !payload ||
+      (payload.accounts !== undefined && !Array.isArray(payload.accounts)) ||
+      typeof payload.instruction !== 'string'
+    ) {
       return {
         status: helpers.http_statuses.HTTP_400_BAD_REQUEST,
         data: {
@@ -25,6 +35,9 @@ module.exports = createHandler({
           debit_account: null,
           credit_account: null,
           execute_by: null,
+          execute_by_text: null,
+          reference: null,
+          memo: null,
           status: 'failed',
           status_reason: PaymentInstructionsMessages.INVALID_PAYLOAD,
           status_code: STATUS_CODES.MALFORMED_INSTRUCTION,
@@ -33,23 +46,48 @@ module.exports = createHandler({
       };
     }
 
+    // A retry with the same Idempotency-Key replays the first response instead of executing again
+    const idempotencyKey = rc.headers?.['idempotency-key'];
+
+    if (idempotencyKey) {
+      const { response } = await reserveIdempotencyKey({
+        key: idempotencyKey,
+        request_body: payload,
+      });
+
+      if (response) return response;
+    }
+
+    let result;
+
     try {
+      // A locale in the body wins over the Accept-Language header
+      const locale = payload.locale || getAcceptedLocale(rc.headers?.['accept-language']);
+
       // Process transaction using the service function
-      const response = await processTransactionService(payload);
+      const response = await processTransactionService({
+        ...payload,
+        ...(locale && { locale }),
+      });
 
       // Determine HTTP status code
-      const httpStatus =
+      let httpStatus =
         response.status === 'failed'
           ? helpers.http_statuses.HTTP_400_BAD_REQUEST
           : helpers.http_statuses.HTTP_200_OK;
 
-      return {
+      // A limit breach is a valid instruction that compliance refuses, not a bad request
+      if (response.limit) {
+        httpStatus = ERROR_STATUS_CODE_MAPPING[ERROR_CODE.LIMITERR];
+      }
+
+      result = {
         status: httpStatus,
-        data: response,
+        data: response.limit ? { ...response, error_code: ERROR_CODE.LIMITERR } : response,
       };
     } catch (error) {
       // Handle any unexpected errors
-      return {
+      result = {
         status: helpers.http_statuses.HTTP_500_INTERNAL_SERVER_ERROR,
         data: {
           type: null,
@@ -58,12 +96,31 @@ module.exports = createHandler({
           debit_account: null,
           credit_account: null,
           execute_by: null,
+          execute_by_text: null,
+          reference: null,
+          memo: null,
           status: 'failed',
           status_reason: 'Internal server error',
           status_code: 'INTERNAL_ERROR',
           accounts: [],
         },
       };
+
+      // Nothing was executed, so the key is freed for the client's retry. Once the instruction
+      // has executed the failure is stored under the key instead, so a retry cannot run it again.
+      if (!error.context?.executed) {
+        if (idempotencyKey) {
+          await releaseIdempotencyKey({ key: idempotencyKey });
+        }
+        return result;
+      }
     }
+
+    // Stored outside the try block: if saving fails the key stays claimed rather than allowing a re-run
+    if (idempotencyKey) {
+      await saveIdempotentResponse({ key: idempotencyKey, response: result });
+    }
+
+    return result;
   },
 });
@@ -0,0 +1,21 @@
+const { createHandler } = require('@app-core/server');
+const { appLogger } = require('@app-core/logger');
+const amendScheduledInstruction = require('@app/services/payment-instructions/amend-scheduled-instruction');
+
+// Scheduled Instruction Amend Endpoint; Moves the execution date of a pending (AP02) instruction
+module.exports = createHandler({
+  path: '/payment-instructions/:id',
+  method: 'patch',
+  middlewares: [],
+  async onResponseEnd(rc, rs) {
+    appLogger.info({ requestContext: rc, response: rs }, 'scheduled-instruction-amend-completed');
+  },
+  async handler(rc, helpers) {
+    const response = await amendScheduledInstruction({ ...rc.body, id: rc.params.id });
+
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: response,
+    };
+  },
+});
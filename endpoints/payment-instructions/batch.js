@@ -0,0 +1,26 @@
+const { createHandler } = require('@app-core/server');
+const { appLogger } = require('@app-core/logger');
+const { processBatchService } = require('@app/services/payment-instructions');
+const { getAcceptedLocale } = require('@app/services/payment-instructions/locales');
+
+// Batch Payment Instructions Endpoint; Executes many instructions in order against one account set
+module.exports = createHandler({
+  path: '/payment-instructions/batch',
+  method: 'post',
+  middlewares: [],
+  async onResponseEnd(rc, rs) {
+    appLogger.info({ requestContext: rc, response: rs }, 'payment-instruction-batch-completed');
+  },
+  async handler(rc, helpers) {
+    const payload = rc.body;
+
+    // A locale in the body wins over the Accept-Language header
+    const locale = payload?.locale || getAcceptedLocale(rc.headers?.['accept-language']);
+    const response = await processBatchService({ ...payload, ...(locale && { locale }) });
+
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: response,
+    };
+  },
+});
@@ -0,0 +1,21 @@
+const { createHandler } = require('@app-core/server');
+const { appLogger } = require('@app-core/logger');
+const cancelScheduledInstruction = require('@app/services/payment-instructions/cancel-scheduled-instruction');
+
+// Scheduled Instruction Cancel Endpoint; Cancels a pending (AP02) instruction before it executes
+module.exports = createHandler({
+  path: '/payment-instructions/:id',
+  method: 'delete',
+  middlewares: [],
+  async onResponseEnd(rc, rs) {
+    appLogger.info({ requestContext: rc, response: rs }, 'scheduled-instruction-cancel-completed');
+  },
+  async handler(rc, helpers) {
+    const response = await cancelScheduledInstruction({ id: rc.params.id });
+
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: response,
+    };
+  },
+});
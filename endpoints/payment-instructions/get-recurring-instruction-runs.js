@@ -0,0 +1,24 @@
+const { createHandler } = require('@app-core/server');
+const { appLogger } = require('@app-core/logger');
+const getRecurringInstructionRuns = require('@app/services/payment-instructions/get-recurring-instruction-runs');
+
+// Recurring Instruction Runs Endpoint; Returns a recurring instruction and the outcome of each run
+module.exports = createHandler({
+  path: '/payment-instructions/recurring/:id/runs',
+  method: 'get',
+  middlewares: [],
+  async onResponseEnd(rc, rs) {
+    appLogger.info(
+      { requestContext: rc, response: rs },
+      'recurring-instruction-runs-request-completed'
+    );
+  },
+  async handler(rc, helpers) {
+    const response = await getRecurringInstructionRuns({ id: rc.params.id });
+
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: response,
+    };
+  },
+});
@@ -0,0 +1,21 @@
+const { createHandler } = require('@app-core/server');
+const { appLogger } = require('@app-core/logger');
+const getScheduledInstruction = require('@app/services/payment-instructions/get-scheduled-instruction');
+
+// Scheduled Instruction Lookup Endpoint; Returns the current status of a pending (AP02) instruction
+module.exports = createHandler({
+  path: '/payment-instructions/:id',
+  method: 'get',
+  middlewares: [],
+  async onResponseEnd(rc, rs) {
+    appLogger.info({ requestContext: rc, response: rs }, 'scheduled-instruction-request-completed');
+  },
+  async handler(rc, helpers) {
+    const response = await getScheduledInstruction({ id: rc.params.id });
+
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: response,
+    };
+  },
+});
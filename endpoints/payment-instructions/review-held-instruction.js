@@ -0,0 +1,22 @@
+const { createHandler } = require('@app-core/server');
+const { appLogger } = require('@app-core/logger');
+const { userAuth } = require('@app/middlewares');
+const reviewHeldInstruction = require('@app/services/payment-instructions/review-held-instruction');
+
+// Held Instruction Review Endpoint; Releases or rejects an instruction held for review (SC01)
+module.exports = createHandler({
+  path: '/payment-instructions/held/:id/review',
+  method: 'post',
+  middlewares: [userAuth],
+  async onResponseEnd(rc, rs) {
+    appLogger.info({ requestContext: rc, response: rs }, 'held-instruction-review-completed');
+  },
+  async handler(rc, helpers) {
+    const response = await reviewHeldInstruction({ ...rc.body, id: rc.params.id });
+
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: response,
+    };
+  },
+});
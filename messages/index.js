@@ -1,7 +1,22 @@
 const AuthenticationMessages = require('./authentication');
+const JournalMessages = require('./journal');
 const PaymentInstructionsMessages = require('./payment-instructions');
+const PaymentInstructionsFrenchMessages = require('./payment-instructions-fr');
+const PaymentInstructionsPidginMessages = require('./payment-instructions-pcm');
+const PaymentInstructionsYorubaMessages = require('./payment-instructions-yo');
+const PaymentInstructionsHausaMessages = require('./payment-instructions-ha');
+
+// Status reasons by locale; a message missing from a locale falls back to English
+const PaymentInstructionsLocalisedMessages = {
+  fr: PaymentInstructionsFrenchMessages,
+  yo: PaymentInstructionsYorubaMessages,
+  ha: PaymentInstructionsHausaMessages,
+  pcm: PaymentInstructionsPidginMessages,
+};
 
 module.exports = {
   AuthenticationMessages,
+  JournalMessages,
   PaymentInstructionsMessages,
+  PaymentInstructionsLocalisedMessages,
 };
@@ -0,0 +1,5 @@
+module.exports = {
+  INVALID_DATE: 'Invalid date format. Must be YYYY-MM-DD',
+  INVALID_DATE_RANGE: 'The from date must not be after the to date',
+  INVALID_LIMIT: 'Limit must be a whole number between 1 and 100',
+};
@@ -0,0 +1,68 @@
+// French status reasons; anything missing here is reported in English
+module.exports = {
+  TRANSACTION_SUCCESS: 'Transaction exécutée avec succès',
+  TRANSACTION_PENDING: 'Transaction programmée pour une exécution ultérieure',
+  TRANSACTION_CANCELLED: 'Transaction programmée annulée',
+  TRANSACTION_AMENDED: 'Transaction programmée modifiée',
+  RECURRING_SCHEDULED: 'Transaction récurrente programmée',
+  RECURRING_COMPLETED: 'Transaction récurrente terminée après toutes ses exécutions',
+  MALFORMED_INSTRUCTION: 'Instruction mal formée : mots-clés illisibles',
+  MISSING_KEYWORD: 'Mot-clé obligatoire manquant',
+  INVALID_AMOUNT: 'Le montant doit être un nombre positif (pas de valeurs négatives)',
+  INVALID_FEE:
+    'Les frais doivent être un nombre positif sans plus de décimales que la devise ne le permet',
+  FEE_EXCEEDS_AMOUNT: 'Des frais payés par le destinataire doivent être inférieurs au montant',
+  FEE_ACCOUNT_NOT_FOUND: 'Compte de frais introuvable dans la liste des comptes fournie',
+  INVALID_AMOUNT_PRECISION: 'Le montant a plus de décimales que la devise ne le permet',
+  UNSUPPORTED_CURRENCY: 'Devise non prise en charge',
+  INVALID_ORDER: 'Ordre des mots-clés invalide',
+  KEYWORD_SUGGESTION: 'Vouliez-vous dire',
+  KEYWORD_SUGGESTION_INSTEAD_OF: 'au lieu de',
+  DEBIT_ACCOUNT_INVALID: 'Format de l’identifiant du compte à débiter invalide',
+  CREDIT_ACCOUNT_INVALID: 'Format de l’identifiant du compte à créditer invalide',
+  SAME_ACCOUNTS: 'Le compte à débiter et le compte à créditer doivent être différents',
+  DUPLICATE_SPLIT_ACCOUNT: 'Chaque compte à créditer ne peut apparaître qu’une fois',
+  SPLIT_TOTAL_MISMATCH:
+    'La somme des montants répartis doit être égale au montant de l’instruction',
+  DEBIT_ACCOUNT_NOT_FOUND: 'Compte à débiter introuvable dans la liste des comptes fournie',
+  CREDIT_ACCOUNT_NOT_FOUND: 'Compte à créditer introuvable dans la liste des comptes fournie',
+  CURRENCY_MISMATCH:
+    'Les devises des comptes doivent être identiques et correspondre à celle de la transaction',
+  INSUFFICIENT_FUNDS: 'Fonds insuffisants sur le compte à débiter',
+  OVERDRAFT_LIMIT_EXCEEDED: 'ce qui dépasserait la limite de découvert de',
+  MIN_BALANCE_BREACHED: 'ce qui passerait sous le solde minimum de',
+  TRANSFER_LIMIT_EXCEEDED: 'Le montant dépasse la limite par virement',
+  DEBIT_COUNT_LIMIT_EXCEEDED: 'Nombre maximal de débits atteint pour le compte',
+  DEBIT_VOLUME_LIMIT_EXCEEDED: 'Volume maximal de débits atteint pour le compte',
+  LIMIT_WINDOW_RESETS: 'la période se réinitialise le',
+  HELD_FOR_REVIEW: 'Retenue pour examen de conformité',
+  BLOCKLIST_MATCH: 'correspond à l’entrée de liste de blocage',
+  REVIEW_REJECTED: 'Rejetée après examen de conformité',
+  INVALID_DATE: 'Format de date invalide. Utilisez AAAA-MM-JJ',
+  AMBIGUOUS_DATE:
+    'Date ambiguë. Utilisez AAAA-MM-JJ, une date telle que 20 SEP 2026, NEXT suivi d’un jour de la semaine, ou une date ISO avec fuseau horaire',
+  PAST_RELATIVE_DATE: 'Les dates d’exécution relatives ne peuvent pas être dans le passé',
+  NON_BUSINESS_DAY: 'La date d’exécution n’est pas un jour ouvré',
+  DATE_ON_WEEKEND: 'tombe un week-end pour',
+  DATE_ON_HOLIDAY: 'est un jour férié pour',
+  INVALID_REFERENCE:
+    'REF doit être un texte entre guillemets de 1 à 35 lettres, chiffres, espaces ou caractères - / . : _',
+  INVALID_MEMO:
+    'MEMO doit être un texte entre guillemets de 1 à 140 caractères imprimables sans guillemets doubles',
+  INVALID_RECURRENCE_FREQUENCY: 'La récurrence doit être CHAQUE DAY, CHAQUE WEEK ou CHAQUE MONTH',
+  INVALID_RECURRENCE_RANGE: 'La date UNTIL doit être postérieure à la date STARTING',
+  START_DATE_IN_PAST: 'La date STARTING ne peut pas être dans le passé',
+  INVALID_RECURRENCE_COUNT: 'TIMES doit être un nombre entier supérieur à zéro',
+  RECURRING_NOT_SUPPORTED: 'Les instructions récurrentes doivent être soumises seules',
+  TRANSACTION_NOT_FOUND: 'Transaction d’origine introuvable',
+  ALREADY_REVERSED: 'La transaction a déjà été annulée',
+  REFUND_EXCEEDS_ORIGINAL:
+    'Le remboursement dépasse le montant remboursable de la transaction d’origine',
+  ADJUSTMENT_NOT_SUPPORTED: 'Les annulations et remboursements doivent être soumis seuls',
+  HOLD_PLACED: 'Fonds bloqués en attente de capture',
+  HOLD_RELEASED: 'Blocage levé',
+  HOLD_NOT_FOUND: 'Blocage introuvable',
+  HOLD_NOT_ACTIVE: 'Seuls les blocages actifs peuvent être capturés ou levés',
+  BATCH_INSTRUCTION_SKIPPED: 'Instruction ignorée après un échec antérieur dans le lot',
+  BATCH_ROLLED_BACK: 'Annulée car une instruction du lot a échoué',
+};
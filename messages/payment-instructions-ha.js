@@ -0,0 +1,18 @@
+// Hausa status reasons; anything missing here is reported in English
+module.exports = {
+  TRANSACTION_SUCCESS: 'An kammala ciniki cikin nasara',
+  TRANSACTION_PENDING: 'An tsara ciniki don ranar da ka zaɓa',
+  RECURRING_SCHEDULED: 'An tsara ciniki mai maimaituwa',
+  MALFORMED_INSTRUCTION: 'Umarnin ba daidai ba ne: ba a iya karanta kalmomin umarni ba',
+  MISSING_KEYWORD: 'Babu wata kalmar umarni da ake bukata',
+  INVALID_AMOUNT: 'Adadin dole ya zama lamba da ta fi sifili',
+  UNSUPPORTED_CURRENCY: 'Ba a amfani da wannan kuɗin',
+  INVALID_ORDER: 'Jerin kalmomin umarni ba daidai ba ne',
+  SAME_ACCOUNTS: 'Asusun da kuɗi ke fita da wanda suke shiga ba za su zama ɗaya ba',
+  DEBIT_ACCOUNT_NOT_FOUND: 'Ba a sami asusun da kuɗi ke fita daga ciki ba',
+  CREDIT_ACCOUNT_NOT_FOUND: 'Ba a sami asusun da kuɗi ke shiga ba',
+  CURRENCY_MISMATCH: 'Kuɗin asusun dole ya dace da kuɗin ciniki',
+  INSUFFICIENT_FUNDS: 'Babu isasshen kuɗi a asusun da kuɗi ke fita daga ciki',
+  INVALID_DATE: 'Kwanan wata ba daidai ba ne. Rubuta shi kamar YYYY-MM-DD',
+  NON_BUSINESS_DAY: 'Ranar ba ranar aiki ba ce',
+};
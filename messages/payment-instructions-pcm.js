@@ -0,0 +1,18 @@
+// Nigerian Pidgin status reasons; anything missing here is reported in English
+module.exports = {
+  TRANSACTION_SUCCESS: 'Transaction don go through',
+  TRANSACTION_PENDING: 'Transaction don dey wait for the day wey you choose',
+  RECURRING_SCHEDULED: 'Transaction wey dey repeat don set',
+  MALFORMED_INSTRUCTION: 'We no fit read this instruction: the keywords no correct',
+  MISSING_KEYWORD: 'One keyword wey suppose dey no dey',
+  INVALID_AMOUNT: 'Amount must be number wey pass zero',
+  UNSUPPORTED_CURRENCY: 'We no dey run this currency',
+  INVALID_ORDER: 'The keywords no follow correct order',
+  SAME_ACCOUNTS: 'You no fit send from one account enter the same account',
+  DEBIT_ACCOUNT_NOT_FOUND: 'We no see the account wey money go comot from',
+  CREDIT_ACCOUNT_NOT_FOUND: 'We no see the account wey money go enter',
+  CURRENCY_MISMATCH: 'The accounts no dey the same currency as the transaction',
+  INSUFFICIENT_FUNDS: 'Money no reach for the account wey you wan comot am from',
+  INVALID_DATE: 'The date no correct. Write am like YYYY-MM-DD',
+  NON_BUSINESS_DAY: 'Bank no dey work that day',
+};
@@ -0,0 +1,18 @@
+// Yoruba status reasons; anything missing here is reported in English
+module.exports = {
+  TRANSACTION_SUCCESS: 'Ìdúnàdúrà ti ṣe àṣeyọrí',
+  TRANSACTION_PENDING: 'A ti ṣètò ìdúnàdúrà fún ọjọ́ tí o yàn',
+  RECURRING_SCHEDULED: 'A ti ṣètò ìdúnàdúrà tí yóò máa tún ṣẹlẹ̀',
+  MALFORMED_INSTRUCTION: 'Ìtọ́sọ́nà kò tọ́: a kò lè ka àwọn ọ̀rọ̀ àṣẹ',
+  MISSING_KEYWORD: 'Ọ̀rọ̀ àṣẹ tí a nílò kò sí',
+  INVALID_AMOUNT: 'Iye owó gbọ́dọ̀ jẹ́ nọ́mbà tí ó ju òdo lọ',
+  UNSUPPORTED_CURRENCY: 'A kò lo owó yìí',
+  INVALID_ORDER: 'Ètò àwọn ọ̀rọ̀ àṣẹ kò tọ́',
+  SAME_ACCOUNTS: 'Àkọọ́lẹ̀ tí owó ti ń jáde àti èyí tí ó ń wọ̀ kò lè jẹ́ ọ̀kan náà',
+  DEBIT_ACCOUNT_NOT_FOUND: 'A kò rí àkọọ́lẹ̀ tí owó ti ń jáde',
+  CREDIT_ACCOUNT_NOT_FOUND: 'A kò rí àkọọ́lẹ̀ tí owó ń wọ̀',
+  CURRENCY_MISMATCH: 'Owó àwọn àkọọ́lẹ̀ gbọ́dọ̀ bá owó ìdúnàdúrà mu',
+  INSUFFICIENT_FUNDS: 'Owó kò tó nínú àkọọ́lẹ̀ tí owó ti ń jáde',
+  INVALID_DATE: 'Ọjọ́ kò tọ́. Kọ ọ́ bí YYYY-MM-DD',
+  NON_BUSINESS_DAY: 'Ọjọ́ yìí kì í ṣe ọjọ́ iṣẹ́',
+};
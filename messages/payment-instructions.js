@@ -1,18 +1,90 @@
 module.exports = {
   TRANSACTION_SUCCESS: 'Transaction executed successfully',
   TRANSACTION_PENDING: 'Transaction scheduled for future execution',
+  TRANSACTION_CANCELLED: 'Scheduled transaction cancelled',
+  TRANSACTION_AMENDED: 'Scheduled transaction amended',
+  RECURRING_SCHEDULED: 'Recurring transaction scheduled',
+  HOLD_PLACED: 'Funds held for later capture',
+  HOLD_RELEASED: 'Hold released',
+  HOLD_EXPIRED: 'Hold expired before it was captured',
+  RECURRING_COMPLETED: 'Recurring transaction completed all of its runs',
   MALFORMED_INSTRUCTION: 'Malformed instruction: unable to parse keywords',
   MISSING_KEYWORD: 'Missing required keyword',
-  INVALID_AMOUNT: 'Amount must be a positive integer (no decimals or negatives)',
-  UNSUPPORTED_CURRENCY: 'Unsupported currency. Only NGN, USD, GBP, and GHS are supported',
+  INVALID_AMOUNT: 'Amount must be a positive number (no negatives)',
+  INVALID_FEE: 'Fee must be a positive number with no more decimal places than the currency allows',
+  FEE_EXCEEDS_AMOUNT: 'A fee borne by the receiver must be less than the amount',
+  FEE_ACCOUNT_NOT_FOUND: 'Fee account not found in provided accounts list',
+  FEE_ACCOUNT_IS_PARTY: 'The fee account cannot send or receive a transfer that carries a fee',
+  INVALID_AMOUNT_PRECISION: 'Amount has more decimal places than the currency allows',
+  UNSUPPORTED_CURRENCY: 'Unsupported currency',
+  NO_CURRENCIES_ENABLED: 'No currencies are enabled',
   INVALID_ORDER: 'Invalid keyword order',
+  KEYWORD_SUGGESTION: 'Did you mean',
+  KEYWORD_SUGGESTION_INSTEAD_OF: 'instead of',
   DEBIT_ACCOUNT_INVALID: 'Invalid debit account ID format',
   CREDIT_ACCOUNT_INVALID: 'Invalid credit account ID format',
   SAME_ACCOUNTS: 'Debit and credit accounts cannot be the same',
+  DUPLICATE_SPLIT_ACCOUNT: 'Each split credit account can only appear once',
+  SPLIT_TOTAL_MISMATCH: 'Split amounts must add up to the instruction amount',
+  SPLIT_FEE_NOT_SUPPORTED: 'Fees are not supported on split instructions',
   DEBIT_ACCOUNT_NOT_FOUND: 'Debit account not found in provided accounts list',
   CREDIT_ACCOUNT_NOT_FOUND: 'Credit account not found in provided accounts list',
   CURRENCY_MISMATCH: 'Account currencies must match and match transaction currency',
   INSUFFICIENT_FUNDS: 'Insufficient funds in debit account',
+  OVERDRAFT_LIMIT_EXCEEDED: 'which would exceed the overdraft limit of',
+  MIN_BALANCE_BREACHED: 'which would go below the minimum balance of',
+  TRANSFER_LIMIT_EXCEEDED: 'Amount exceeds the single transfer limit',
+  DEBIT_COUNT_LIMIT_EXCEEDED: 'Debit count limit reached for the account',
+  DEBIT_VOLUME_LIMIT_EXCEEDED: 'Debit volume limit reached for the account',
+  LIMIT_WINDOW_RESETS: 'the window resets at',
+  HELD_FOR_REVIEW: 'Held for compliance review',
+  BLOCKLIST_MATCH: 'matches blocklist entry',
+  REVIEW_REJECTED: 'Rejected after compliance review',
+  BLOCKLIST_UNAVAILABLE: 'The screening blocklist could not be loaded',
+  CONFIG_NOT_JSON: 'must be a JSON array',
+  INVALID_CONFIG: 'Invalid payment instructions configuration',
+  CURRENCY_EXPONENT_REQUIRED: 'needs an exponent, as it is not one of the default currencies',
   INVALID_DATE: 'Invalid date format. Must be YYYY-MM-DD',
+  AMBIGUOUS_DATE:
+    'Ambiguous date. Use YYYY-MM-DD, a date such as 20 SEP 2026, NEXT and a weekday, or an ISO datetime with a timezone',
+  PAST_RELATIVE_DATE: 'Relative execution dates cannot be in the past',
+  NON_BUSINESS_DAY: 'Execution date is not a business day',
+  DATE_ON_WEEKEND: 'falls on a weekend for',
+  DATE_ON_HOLIDAY: 'is a public holiday for',
+  INVALID_REFERENCE:
+    'REF must be quoted text of 1 to 35 letters, digits, spaces or - / . : _ characters',
+  INVALID_MEMO: 'MEMO must be quoted text of 1 to 140 printable characters without double quotes',
+  INVALID_RECURRENCE_FREQUENCY: 'Recurrence must be EVERY DAY, EVERY WEEK or EVERY MONTH',
+  INVALID_RECURRENCE_RANGE: 'UNTIL date must be after the STARTING date',
+  START_DATE_IN_PAST: 'STARTING date cannot be in the past',
+  INVALID_RECURRENCE_COUNT: 'TIMES must be a whole number greater than zero',
+  RECURRING_NOT_SUPPORTED: 'Recurring instructions must be submitted on their own',
+  INVALID_TRANSACTION_ID: 'Invalid transaction ID format. Must be a journal entry ID',
+  TRANSACTION_NOT_FOUND: 'Original transaction not found',
+  TRANSACTION_NOT_REVERSIBLE:
+    'Only executed single-currency transfers to one account can be reversed or refunded',
+  ALREADY_REVERSED: 'Transaction has already been reversed',
+  REFUND_EXCEEDS_ORIGINAL: 'Refund exceeds the refundable amount of the original transaction',
+  REFUND_CURRENCY_MISMATCH: 'Refund currency must match the original transaction currency',
+  ADJUSTMENT_CONFLICT:
+    'Original transaction was adjusted by another instruction at the same time; submit again',
+  ADJUSTMENT_NOT_SUPPORTED: 'Reversals and refunds must be submitted on their own',
+  INVALID_HOLD_ID: 'Invalid hold ID format. Must be the ID returned when the funds were held',
+  HOLD_NOT_FOUND: 'Hold not found',
+  HOLD_NOT_ACTIVE: 'Only active holds can be captured or released',
+  HOLD_NOT_SUPPORTED: 'Holds, captures and releases must be submitted on their own',
+  RECURRING_INSTRUCTION_NOT_FOUND: 'Recurring instruction not found',
   INVALID_PAYLOAD: 'Invalid request payload',
+  BATCH_INSTRUCTION_SKIPPED: 'Instruction skipped after an earlier failure in the batch',
+  SCHEDULED_INSTRUCTION_NOT_FOUND: 'Scheduled instruction not found',
+  SCHEDULED_INSTRUCTION_NOT_PENDING: 'Only pending scheduled instructions can be changed',
+  SCHEDULED_INSTRUCTION_ALREADY_RUN: 'Scheduled instruction has already run or is running',
+  EXECUTION_DATE_NOT_IN_FUTURE: 'Execution date must be in the future',
+  SCHEDULED_INSTRUCTION_NOT_DUE: 'Scheduled instruction is not yet due for execution',
+  HELD_INSTRUCTION_NOT_FOUND: 'Held instruction not found',
+  HELD_INSTRUCTION_NOT_UNDER_REVIEW:
+    'Only instructions held for review can be released or rejected',
+  BATCH_ROLLED_BACK: 'Rolled back because an instruction in the batch failed',
+  IDEMPOTENCY_KEY_REUSED: 'Idempotency key has already been used with a different request body',
+  IDEMPOTENCY_KEY_IN_PROGRESS: 'A request with this idempotency key is still being processed',
 };
@@ -40,12 +40,13 @@ function createStubObject(defaultData) {
     return many;
   };
 
+  // Shaped like the repository result, so callers can check that the update applied
   dataStubs.updateOne.default = function () {
-    return { updated: true };
+    return { acknowledged: true, modifiedCount: 1 };
   };
 
   dataStubs.updateMany.default = function () {
-    return { updated: true };
+    return { acknowledged: true, modifiedCount: 1 };
   };
 
   dataStubs.deleteOne.default = function () {
@@ -65,8 +66,8 @@ function createStubObject(defaultData) {
  * @property {{default:(data: {entries: object[]}) => object}} createMany
  * @property {{default:(configuration:{query:object}) => object}} findOne
  * @property {{default:(configuration:{query:object}) => object}} findMany
- * @property {{default:() => {updated:boolean}}} updateOne
- * @property {{default:() => {updated:boolean}}} updateMany
+ * @property {{default:() => {acknowledged:boolean, modifiedCount:number}}} updateOne
+ * @property {{default:() => {acknowledged:boolean, modifiedCount:number}}} updateMany
  * @property {{default:() => {deletedCount: number}}} deleteOne
  * @property {{default:{ countDocuments: () => 0}}} raw
  * @property {(overwrites:object)=> object} createDocument
@@ -0,0 +1,33 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'accounts';
+
+/**
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} account_id - The account identifier used in instructions
+ * @property {Number} balance
+ * @property {String} currency
+ * @property {Number} overdraft_limit - How far below zero the balance may go
+ * @property {Number} min_balance - The balance a debit may not take the account below
+ * @property {Number} locked_at - Last time the account was locked for a balance update
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID, required: true },
+  account_id: { type: SchemaTypes.String, required: true, unique: true, index: true },
+  balance: { type: SchemaTypes.Number, required: true },
+  currency: { type: SchemaTypes.String, required: true },
+  overdraft_limit: { type: SchemaTypes.Number },
+  min_balance: { type: SchemaTypes.Number },
+  locked_at: { type: SchemaTypes.Number },
+  created: { type: SchemaTypes.Number, required: true },
+  updated: { type: SchemaTypes.Number, required: true },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
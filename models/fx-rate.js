@@ -0,0 +1,28 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'fxRates';
+
+/**
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} from_currency
+ * @property {String} to_currency
+ * @property {Number} rate - Units of to_currency received for one unit of from_currency
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID, required: true },
+  from_currency: { type: SchemaTypes.String, required: true },
+  to_currency: { type: SchemaTypes.String, required: true },
+  rate: { type: SchemaTypes.Number, required: true },
+  created: { type: SchemaTypes.Number, required: true },
+  updated: { type: SchemaTypes.Number, required: true },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+modelSchema.index({ from_currency: 1, to_currency: 1 }, { unique: true });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
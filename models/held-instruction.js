@@ -0,0 +1,63 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'heldInstructions';
+
+/**
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} instruction
+ * @property {String} type
+ * @property {Number} amount
+ * @property {String} currency
+ * @property {String} debit_account
+ * @property {String} credit_account
+ * @property {Object[]} credits - The legs of a split instruction, which has no credit_account
+ * @property {String} execute_by - The execution date as resolved when the instruction was held
+ * @property {String} execute_by_text - The execution date as written, e.g. NEXT FRIDAY
+ * @property {String} beneficiary_name
+ * @property {Object[]} screening_matches - The blocklist entries the instruction matched
+ * @property {Object[]} source_accounts
+ * @property {Boolean} use_ledger
+ * @property {Boolean} convert
+ * @property {String} keyword_matching
+ * @property {String} locale
+ * @property {String} status - held_for_review, released or rejected
+ * @property {String} status_code
+ * @property {String} status_reason
+ * @property {String} review_note
+ * @property {Number} reviewed_at
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID, required: true },
+  instruction: { type: SchemaTypes.String, required: true },
+  type: { type: SchemaTypes.String },
+  amount: { type: SchemaTypes.Number },
+  currency: { type: SchemaTypes.String },
+  debit_account: { type: SchemaTypes.String, index: true },
+  credit_account: { type: SchemaTypes.String, index: true },
+  credits: { type: SchemaTypes.Mixed },
+  execute_by: { type: SchemaTypes.String },
+  execute_by_text: { type: SchemaTypes.String },
+  beneficiary_name: { type: SchemaTypes.String },
+  screening_matches: { type: SchemaTypes.Mixed, required: true },
+  source_accounts: { type: SchemaTypes.Mixed, required: true },
+  use_ledger: { type: SchemaTypes.Boolean, default: false },
+  convert: { type: SchemaTypes.Boolean, default: false },
+  keyword_matching: { type: SchemaTypes.String },
+  locale: { type: SchemaTypes.String },
+  status: { type: SchemaTypes.String, required: true, index: true },
+  status_code: { type: SchemaTypes.String, required: true },
+  status_reason: { type: SchemaTypes.String, required: true },
+  review_note: { type: SchemaTypes.String },
+  reviewed_at: { type: SchemaTypes.Number },
+  created: { type: SchemaTypes.Number, required: true },
+  updated: { type: SchemaTypes.Number, required: true },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
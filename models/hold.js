@@ -0,0 +1,45 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'holds';
+
+/**
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} instruction
+ * @property {Number} amount
+ * @property {String} currency
+ * @property {String} debit_account - The account whose funds are reserved
+ * @property {String} credit_account - The account a capture pays
+ * @property {String} reference
+ * @property {String} memo
+ * @property {String} status - active, captured, released or expired
+ * @property {String} status_code
+ * @property {String} status_reason
+ * @property {Number} expires_at
+ * @property {Number} settled_at - When the hold was captured, released or expired
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID, required: true },
+  instruction: { type: SchemaTypes.String, required: true },
+  amount: { type: SchemaTypes.Number, required: true },
+  currency: { type: SchemaTypes.String, required: true },
+  debit_account: { type: SchemaTypes.String, required: true, index: true },
+  credit_account: { type: SchemaTypes.String, required: true },
+  reference: { type: SchemaTypes.String },
+  memo: { type: SchemaTypes.String },
+  status: { type: SchemaTypes.String, required: true, index: true },
+  status_code: { type: SchemaTypes.String, required: true },
+  status_reason: { type: SchemaTypes.String, required: true },
+  expires_at: { type: SchemaTypes.Number, required: true },
+  settled_at: { type: SchemaTypes.Number },
+  created: { type: SchemaTypes.Number, required: true },
+  updated: { type: SchemaTypes.Number, required: true },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
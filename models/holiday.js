@@ -0,0 +1,28 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'holidays';
+
+/**
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} currency - The currency whose settlement calendar the holiday belongs to
+ * @property {String} date - YYYY-MM-DD
+ * @property {String} name
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID, required: true },
+  currency: { type: SchemaTypes.String, required: true },
+  date: { type: SchemaTypes.String, required: true },
+  name: { type: SchemaTypes.String },
+  created: { type: SchemaTypes.Number, required: true },
+  updated: { type: SchemaTypes.Number, required: true },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+modelSchema.index({ currency: 1, date: 1 }, { unique: true });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
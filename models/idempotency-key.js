@@ -0,0 +1,29 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'idempotencyKeys';
+
+/**
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} key - The client supplied Idempotency-Key header
+ * @property {String} request_hash - Hash of the request body the key was first used with
+ * @property {Object} response - The stored handler response; absent while the request is in flight
+ * @property {Number} expires_at
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID, required: true },
+  key: { type: SchemaTypes.String, required: true, unique: true, index: true },
+  request_hash: { type: SchemaTypes.String, required: true },
+  response: { type: SchemaTypes.Mixed },
+  expires_at: { type: SchemaTypes.Number, required: true, index: true },
+  created: { type: SchemaTypes.Number, required: true },
+  updated: { type: SchemaTypes.Number, required: true },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
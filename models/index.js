@@ -1,5 +1,25 @@
+const Account = require('./account');
+const FxRate = require('./fx-rate');
+const HeldInstruction = require('./held-instruction');
+const Hold = require('./hold');
+const Holiday = require('./holiday');
+const IdempotencyKey = require('./idempotency-key');
+const JournalEntry = require('./journal-entry');
 const Notification = require('./notification');
+const RecurringInstruction = require('./recurring-instruction');
+const RecurringInstructionRun = require('./recurring-instruction-run');
+const ScheduledInstruction = require('./scheduled-instruction');
 
 module.exports = {
+  Account,
+  FxRate,
+  HeldInstruction,
+  Hold,
+  Holiday,
+  IdempotencyKey,
+  JournalEntry,
   Notification,
+  RecurringInstruction,
+  RecurringInstructionRun,
+  ScheduledInstruction,
 };
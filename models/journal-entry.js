@@ -0,0 +1,74 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'journalEntries';
+
+/**
+ * @typedef {Object} JournalLine
+ * @property {String} side - debit or credit
+ * @property {String} account_id
+ * @property {Number} amount
+ * @property {String} currency
+ * @property {Number} balance_before
+ * @property {Number} balance_after
+ */
+
+/**
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} instruction - The original instruction text
+ * @property {String} type
+ * @property {Number} amount
+ * @property {String} currency
+ * @property {String} debit_account
+ * @property {String} credit_account - Null for split instructions, whose legs are in lines
+ * @property {String} status_code
+ * @property {String} reference - The REF clause of the instruction, for reconciliation
+ * @property {String} memo - The MEMO clause of the instruction
+ * @property {JournalLine[]} lines
+ * @property {Object} fee - The fee line when the transfer carried a fee
+ * @property {Object} fx - The rate and conversion details of a cross-currency transfer
+ * @property {String} original_transaction - The entry a REVERSE or REFUND adjusts
+ * @property {Number} adjustment_sequence - 1 for the first REVERSE or REFUND of the original
+ * @property {String} recurring_instruction - The recurring instruction whose run made the transfer
+ * @property {Number} run_number - The run of the recurring instruction
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID, required: true },
+  instruction: { type: SchemaTypes.String, required: true },
+  type: { type: SchemaTypes.String, required: true },
+  amount: { type: SchemaTypes.Number, required: true },
+  currency: { type: SchemaTypes.String, required: true },
+  debit_account: { type: SchemaTypes.String, required: true, index: true },
+  credit_account: { type: SchemaTypes.String, index: true },
+  status_code: { type: SchemaTypes.String, required: true, index: true },
+  reference: { type: SchemaTypes.String, index: true },
+  memo: { type: SchemaTypes.String },
+  lines: { type: SchemaTypes.Mixed, required: true },
+  fee: { type: SchemaTypes.Mixed },
+  fx: { type: SchemaTypes.Mixed },
+  original_transaction: { type: SchemaTypes.String, index: true },
+  adjustment_sequence: { type: SchemaTypes.Number },
+  recurring_instruction: { type: SchemaTypes.String },
+  run_number: { type: SchemaTypes.Number },
+  created: { type: SchemaTypes.Number, required: true, index: true },
+  updated: { type: SchemaTypes.Number, required: true },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+// Two adjustments checked against the same earlier ones get the same number, so only one of
+// them can be recorded
+modelSchema.index(
+  { original_transaction: 1, adjustment_sequence: 1 },
+  { unique: true, partialFilterExpression: { adjustment_sequence: { $exists: true } } }
+);
+// A run of a recurring instruction moves money at most once, however often its job is retried
+modelSchema.index(
+  { recurring_instruction: 1, run_number: 1 },
+  { unique: true, partialFilterExpression: { run_number: { $exists: true } } }
+);
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
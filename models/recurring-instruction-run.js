@@ -0,0 +1,38 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'recurringInstructionRuns';
+
+/**
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} recurring_instruction_id
+ * @property {Number} run_number - 1 for the first run of the schedule
+ * @property {String} run_date
+ * @property {String} status
+ * @property {String} status_code
+ * @property {String} status_reason
+ * @property {Object[]} accounts
+ * @property {Number} executed_at
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID, required: true },
+  recurring_instruction_id: { type: SchemaTypes.String, required: true, index: true },
+  run_number: { type: SchemaTypes.Number, required: true },
+  run_date: { type: SchemaTypes.String, required: true },
+  status: { type: SchemaTypes.String, required: true },
+  status_code: { type: SchemaTypes.String, required: true },
+  status_reason: { type: SchemaTypes.String, required: true },
+  accounts: { type: SchemaTypes.Mixed, required: true },
+  executed_at: { type: SchemaTypes.Number, required: true },
+  created: { type: SchemaTypes.Number, required: true },
+  updated: { type: SchemaTypes.Number, required: true },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+modelSchema.index({ recurring_instruction_id: 1, run_number: 1 }, { unique: true });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
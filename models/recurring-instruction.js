@@ -0,0 +1,69 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'recurringInstructions';
+
+/**
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} instruction
+ * @property {String} type
+ * @property {Number} amount
+ * @property {String} currency
+ * @property {String} debit_account
+ * @property {String} credit_account
+ * @property {Object[]} credits - The legs of a split instruction, which has no credit_account
+ * @property {Number} fee - The fee stated in the instruction; fee rules apply at each run otherwise
+ * @property {String} fee_bearer
+ * @property {String} reference
+ * @property {String} memo
+ * @property {Object[]} source_accounts - Caller-supplied balances, carried over from run to run
+ * @property {Boolean} use_ledger
+ * @property {Boolean} convert
+ * @property {String} frequency - DAY, WEEK or MONTH
+ * @property {String} start_date
+ * @property {String} end_date
+ * @property {Number} times
+ * @property {Number} runs_completed
+ * @property {Number} claimed_run - The run a worker is executing, cleared once it is finished
+ * @property {String} next_run_date
+ * @property {String} status
+ * @property {String} status_code
+ * @property {String} status_reason
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID, required: true },
+  instruction: { type: SchemaTypes.String, required: true },
+  type: { type: SchemaTypes.String, required: true },
+  amount: { type: SchemaTypes.Number, required: true },
+  currency: { type: SchemaTypes.String, required: true },
+  debit_account: { type: SchemaTypes.String, required: true, index: true },
+  credit_account: { type: SchemaTypes.String, index: true },
+  credits: { type: SchemaTypes.Mixed },
+  fee: { type: SchemaTypes.Number },
+  fee_bearer: { type: SchemaTypes.String },
+  reference: { type: SchemaTypes.String },
+  memo: { type: SchemaTypes.String },
+  source_accounts: { type: SchemaTypes.Mixed, required: true },
+  use_ledger: { type: SchemaTypes.Boolean, default: false },
+  convert: { type: SchemaTypes.Boolean, default: false },
+  frequency: { type: SchemaTypes.String, required: true },
+  start_date: { type: SchemaTypes.String, required: true },
+  end_date: { type: SchemaTypes.String },
+  times: { type: SchemaTypes.Number },
+  runs_completed: { type: SchemaTypes.Number, default: 0 },
+  claimed_run: { type: SchemaTypes.Number },
+  next_run_date: { type: SchemaTypes.String, index: true },
+  status: { type: SchemaTypes.String, required: true, index: true },
+  status_code: { type: SchemaTypes.String, required: true },
+  status_reason: { type: SchemaTypes.String, required: true },
+  created: { type: SchemaTypes.Number, required: true },
+  updated: { type: SchemaTypes.Number, required: true },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
@@ -0,0 +1,65 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'scheduledInstructions';
+
+/**
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} instruction
+ * @property {String} type
+ * @property {Number} amount
+ * @property {String} currency
+ * @property {String} debit_account
+ * @property {String} credit_account
+ * @property {Object[]} credits - The legs of a split instruction, which has no credit_account
+ * @property {String} execute_by
+ * @property {String} execute_by_text - The execution date as written, e.g. NEXT FRIDAY
+ * @property {Object} execute_by_adjustment - The requested date and why it moved to execute_by
+ * @property {Boolean} strict_date - Whether a date that is not a business day is rejected, not moved
+ * @property {String} reference
+ * @property {String} memo
+ * @property {Object[]} source_accounts
+ * @property {Boolean} use_ledger
+ * @property {Object} fee - The fee quoted when the instruction was scheduled
+ * @property {Boolean} convert - Whether a cross-currency credit is converted at execution time
+ * @property {Object[]} accounts
+ * @property {String} status
+ * @property {String} status_code
+ * @property {String} status_reason
+ * @property {Number} executed_at
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID, required: true },
+  instruction: { type: SchemaTypes.String, required: true },
+  type: { type: SchemaTypes.String, required: true },
+  amount: { type: SchemaTypes.Number, required: true },
+  currency: { type: SchemaTypes.String, required: true },
+  debit_account: { type: SchemaTypes.String, required: true, index: true },
+  credit_account: { type: SchemaTypes.String, index: true },
+  credits: { type: SchemaTypes.Mixed },
+  execute_by: { type: SchemaTypes.String, required: true, index: true },
+  execute_by_text: { type: SchemaTypes.String },
+  execute_by_adjustment: { type: SchemaTypes.Mixed },
+  strict_date: { type: SchemaTypes.Boolean, default: false },
+  reference: { type: SchemaTypes.String },
+  memo: { type: SchemaTypes.String },
+  source_accounts: { type: SchemaTypes.Mixed, required: true },
+  use_ledger: { type: SchemaTypes.Boolean, default: false },
+  convert: { type: SchemaTypes.Boolean, default: false },
+  fee: { type: SchemaTypes.Mixed },
+  accounts: { type: SchemaTypes.Mixed, required: true },
+  status: { type: SchemaTypes.String, required: true, index: true },
+  status_code: { type: SchemaTypes.String, required: true },
+  status_reason: { type: SchemaTypes.String, required: true },
+  executed_at: { type: SchemaTypes.Number },
+  created: { type: SchemaTypes.Number, required: true },
+  updated: { type: SchemaTypes.Number, required: true },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
@@ -0,0 +1,6 @@
+const repositoryFactory = require('@app-core/repository-factory');
+
+const { create, findOne, findMany } = repositoryFactory('JournalEntry');
+
+// Journal entries are immutable, so only writes of new entries and reads are exposed
+module.exports = { create, findOne, findMany };
@@ -1,5 +1,7 @@
+const journal = require('./journal');
 const paymentInstructions = require('./payment-instructions');
 
 module.exports = {
+  journal,
   paymentInstructions,
 };
@@ -0,0 +1,7 @@
+const recordJournalEntry = require('./record-journal-entry');
+const listJournalEntries = require('./list-journal-entries');
+
+module.exports = {
+  recordJournalEntry,
+  listJournalEntries,
+};
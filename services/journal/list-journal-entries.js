@@ -0,0 +1,122 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { JournalMessages } = require('@app/messages');
+const JournalEntry = require('@app/repository/journal-entry');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// Query string values arrive as strings, so limit is converted here
+const spec = `root {
+  account? string
+  from? string
+  to? string
+  status_code? string
+  reference? string
+  cursor? string
+  limit? string
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+// Returns the UTC start of a YYYY-MM-DD date, or null when the date is not valid
+function parseDateBoundary(dateStr) {
+  const timestamp = Date.parse(`${dateStr}T00:00:00.000Z`);
+
+  if (Number.isNaN(timestamp)) return null;
+
+  // Date.parse accepts some shapes and overflows (e.g. 2026-02-30) that are not valid dates
+  if (new Date(timestamp).toISOString().substring(0, 10) !== dateStr) return null;
+
+  return timestamp;
+}
+
+function parseLimit(limitStr) {
+  if (limitStr === undefined) return DEFAULT_LIMIT;
+
+  const limit = Number(limitStr);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throwAppError(JournalMessages.INVALID_LIMIT, ERROR_CODE.INVLDDATA);
+  }
+
+  return limit;
+}
+
+function createJournalEntryResponse(journalEntry) {
+  return {
+    id: journalEntry._id,
+    instruction: journalEntry.instruction,
+    type: journalEntry.type,
+    amount: journalEntry.amount,
+    currency: journalEntry.currency,
+    debit_account: journalEntry.debit_account,
+    credit_account: journalEntry.credit_account,
+    status_code: journalEntry.status_code,
+    reference: journalEntry.reference || null,
+    memo: journalEntry.memo || null,
+    lines: journalEntry.lines,
+    fee: journalEntry.fee || null,
+    fx: journalEntry.fx || null,
+    original_transaction: journalEntry.original_transaction || null,
+    created: journalEntry.created,
+  };
+}
+
+// Lists journal entries oldest first, so an account balance can be rebuilt by replaying them in order
+async function listJournalEntries(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+  const limit = parseLimit(data.limit);
+  const query = {};
+
+  if (data.account) {
+    // Matching on the lines also finds split legs and fee account credits
+    query['lines.account_id'] = data.account;
+  }
+
+  if (data.status_code) {
+    query.status_code = data.status_code;
+  }
+
+  if (data.reference) {
+    query.reference = data.reference;
+  }
+
+  if (data.from || data.to) {
+    const from = data.from ? parseDateBoundary(data.from) : 0;
+    const to = data.to ? parseDateBoundary(data.to) : Infinity;
+
+    if (from === null || to === null) {
+      throwAppError(JournalMessages.INVALID_DATE, ERROR_CODE.INVLDDATA);
+    }
+
+    if (from > to) {
+      throwAppError(JournalMessages.INVALID_DATE_RANGE, ERROR_CODE.INVLDDATA);
+    }
+
+    // The to date is inclusive, so the range runs to the end of that day
+    query.created = { $gte: from };
+    if (data.to) query.created.$lt = to + DAY_IN_MS;
+  }
+
+  // ULIDs sort by creation time, so the last id seen is the cursor for the next page
+  if (data.cursor) {
+    query._id = { $gt: data.cursor };
+  }
+
+  const journalEntries = await JournalEntry.findMany({
+    query,
+    options: { sort: { _id: 1 }, limit: limit + 1 },
+  });
+
+  const hasMore = journalEntries.length > limit;
+  const entries = journalEntries.slice(0, limit).map(createJournalEntryResponse);
+
+  return {
+    entries,
+    next_cursor: hasMore ? entries[entries.length - 1].id : null,
+  };
+}
+
+module.exports = listJournalEntries;
@@ -0,0 +1,103 @@
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const JournalEntry = require('@app/repository/journal-entry');
+const { getMinorUnitExponent } = require('@app/services/payment-instructions/currency-registry');
+const { toMinorUnits, fromMinorUnits } = require('@app/services/payment-instructions/helpers');
+
+const spec = `root {
+  instruction string
+  result object
+  adjustment_sequence? number
+  recurring_instruction? string
+  run_number? number
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+function createJournalLine(side, account, amount, currency) {
+  return {
+    side,
+    account_id: account.id,
+    amount,
+    currency,
+    balance_before: account.balance_before,
+    balance_after: account.balance,
+  };
+}
+
+// Adds or subtracts a fee in minor units so the journal amounts match the balance movements
+function applyFee(amount, feeAmount, sign, currency) {
+  const minorUnitExponent = getMinorUnitExponent(currency);
+  return fromMinorUnits(
+    toMinorUnits(amount, minorUnitExponent) + sign * toMinorUnits(feeAmount, minorUnitExponent),
+    minorUnitExponent
+  );
+}
+
+// Writes the debit, credit and any fee lines of a successful (AP00) result to the journal
+async function recordJournalEntry(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  const { result } = data;
+
+  const findAccount = (accountId) => result.accounts.find((account) => account.id === accountId);
+
+  const { fee, fx } = result;
+  const senderFee = fee?.borne_by === 'SENDER' ? fee.amount : 0;
+  const receiverFee = fee?.borne_by === 'RECEIVER' ? fee.amount : 0;
+  const debitAmount = applyFee(result.amount, senderFee, 1, result.currency);
+
+  // A converted transfer credits the converted amount in the credit account's currency
+  const creditAmount = fx
+    ? fx.converted_amount
+    : applyFee(result.amount, receiverFee, -1, result.currency);
+  const creditCurrency = fx ? fx.to_currency : result.currency;
+
+  const lines = [
+    createJournalLine('debit', findAccount(result.debit_account), debitAmount, result.currency),
+  ];
+
+  // A split instruction has one credit line per leg
+  if (result.credits) {
+    result.credits.forEach((credit) => {
+      lines.push(
+        createJournalLine('credit', findAccount(credit.account_id), credit.amount, result.currency)
+      );
+    });
+  } else {
+    lines.push(
+      createJournalLine('credit', findAccount(result.credit_account), creditAmount, creditCurrency)
+    );
+  }
+
+  if (fee) {
+    lines.push(createJournalLine('credit', findAccount(fee.account_id), fee.amount, fee.currency));
+  }
+
+  const journalEntry = await JournalEntry.create(
+    {
+      instruction: data.instruction,
+      type: result.type,
+      amount: result.amount,
+      currency: result.currency,
+      debit_account: result.debit_account,
+      credit_account: result.credit_account,
+      status_code: result.status_code,
+      reference: result.reference,
+      memo: result.memo,
+      lines,
+      fee,
+      fx,
+      original_transaction: result.original_transaction,
+      adjustment_sequence: data.adjustment_sequence,
+      recurring_instruction: data.recurring_instruction,
+      run_number: data.run_number,
+    },
+    options
+  );
+
+  appLogger.info({ id: journalEntry._id }, 'journal-entry-recorded');
+
+  return { id: journalEntry._id };
+}
+
+module.exports = recordJournalEntry;
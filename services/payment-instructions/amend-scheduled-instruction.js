@@ -0,0 +1,107 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { PaymentInstructionsMessages } = require('@app/messages');
+const ScheduledInstruction = require('@app/repository/scheduled-instruction');
+const { executeScheduledInstruction } = require('@app/workers');
+const {
+  parseDate,
+  isFutureDate,
+  getExecutionDelay,
+  createScheduledInstructionResponse,
+} = require('./helpers');
+const { getSettlementDate, STATUS_CODES } = require('./process');
+const loadHolidays = require('./load-holidays');
+
+const spec = `root {
+  id string
+  execute_by string<trim>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+function scheduleExecution(id, executeBy) {
+  return executeScheduledInstruction.scheduleJob(
+    { id },
+    { delay: getExecutionDelay(executeBy), jobId: id }
+  );
+}
+
+// Moves the execution date of a pending instruction and reschedules its delayed job
+async function amendScheduledInstruction(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  const executeDate = parseDate(data.execute_by);
+
+  if (!executeDate) {
+    throwAppError(PaymentInstructionsMessages.INVALID_DATE, ERROR_CODE.INVLDDATA);
+  }
+
+  if (!isFutureDate(executeDate)) {
+    throwAppError(PaymentInstructionsMessages.EXECUTION_DATE_NOT_IN_FUTURE, ERROR_CODE.INVLDDATA);
+  }
+
+  const scheduledInstruction = await ScheduledInstruction.findOne({ query: { _id: data.id } });
+
+  if (!scheduledInstruction) {
+    throwAppError(PaymentInstructionsMessages.SCHEDULED_INSTRUCTION_NOT_FOUND, ERROR_CODE.NOTFOUND);
+  }
+
+  if (scheduledInstruction.status !== 'pending') {
+    throwAppError(
+      PaymentInstructionsMessages.SCHEDULED_INSTRUCTION_NOT_PENDING,
+      ERROR_CODE.INVLDREQ
+    );
+  }
+
+  // The new date settles as the instruction's own would: moved to the next business day of its
+  // currency, or rejected when the instruction was STRICT
+  const settlement = getSettlementDate(
+    {
+      executeBy: data.execute_by,
+      currency: scheduledInstruction.currency,
+      strictDate: scheduledInstruction.strict_date,
+    },
+    await loadHolidays()
+  );
+
+  if (settlement.rejectionReason) {
+    throwAppError(
+      `${PaymentInstructionsMessages.NON_BUSINESS_DAY}: ${settlement.rejectionReason}`,
+      ERROR_CODE.INVLDDATA
+    );
+  }
+
+  const updateValues = {
+    execute_by: settlement.executeBy,
+    execute_by_text: data.execute_by,
+    execute_by_adjustment: settlement.adjustment,
+    status_code: STATUS_CODES.AMENDED,
+    status_reason: PaymentInstructionsMessages.TRANSACTION_AMENDED,
+  };
+
+  // The job moves before the record, so a failed reschedule leaves the stored date in force. If
+  // the update then loses to a cancellation or execution, the moved job skips the instruction.
+  await executeScheduledInstruction.removeJob(data.id);
+  try {
+    await scheduleExecution(data.id, settlement.executeBy);
+  } catch (error) {
+    await scheduleExecution(data.id, scheduledInstruction.execute_by);
+    throw error;
+  }
+
+  const { modifiedCount } = await ScheduledInstruction.updateOne({
+    query: { _id: data.id, status: 'pending' },
+    updateValues,
+  });
+
+  if (!modifiedCount) {
+    throwAppError(
+      PaymentInstructionsMessages.SCHEDULED_INSTRUCTION_NOT_PENDING,
+      ERROR_CODE.INVLDREQ
+    );
+  }
+
+  return createScheduledInstructionResponse({ ...scheduledInstruction, ...updateValues });
+}
+
+module.exports = amendScheduledInstruction;
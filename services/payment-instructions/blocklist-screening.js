@@ -0,0 +1,125 @@
+const { getEditDistance } = require('./keyword-matcher');
+const { normaliseKeyword } = require('./locales');
+
+const MATCH_TYPES = {
+  EXACT: 'exact',
+  FUZZY: 'fuzzy',
+};
+
+// A blocklist without entries, which screens nothing
+const EMPTY_BLOCKLIST = { account_ids: [], names: [] };
+
+function isLetterOrDigit(char) {
+  return (char >= 'A' && char <= 'Z') || (char >= '0' && char <= '9');
+}
+
+// Uppercase letters and digits only, so acct-123, ACCT.123 and Acct 123 are the same account
+function normaliseAccountId(accountId) {
+  const upperId = accountId.toUpperCase();
+  let normalisedId = '';
+
+  for (let i = 0; i < upperId.length; i++) {
+    if (isLetterOrDigit(upperId[i])) normalisedId += upperId[i];
+  }
+  return normalisedId;
+}
+
+// Uppercase words without accents or punctuation, so "José  O'Neil" reads as JOSE O NEIL
+function normaliseName(name) {
+  const upperName = normaliseKeyword(name);
+  let spacedName = '';
+
+  for (let i = 0; i < upperName.length; i++) {
+    spacedName += isLetterOrDigit(upperName[i]) ? upperName[i] : ' ';
+  }
+  return spacedName.split(' ').filter(Boolean).join(' ');
+}
+
+// The words in alphabetical order, so DOE JOHN and JOHN DOE are the same name
+function sortWords(normalisedName) {
+  return normalisedName.split(' ').sort().join(' ');
+}
+
+// Short identifiers are one edit from too many others to match fuzzily
+function getMaxMatchDistance(normalisedValue) {
+  if (normalisedValue.length <= 4) return 0;
+  if (normalisedValue.length <= 10) return 1;
+  return 2;
+}
+
+/**
+ * Normalises the contents of a blocklist file, {"account_ids":[...],"names":[...]}, for matching.
+ * @param {Object} contents
+ * @returns {{ account_ids: Object[], names: Object[] }} - { value, normalised } entries
+ */
+function createBlocklist(contents = {}) {
+  const toEntries = (values, normalise) =>
+    (values || [])
+      .filter((value) => typeof value === 'string' && normalise(value))
+      .map((value) => ({ value, normalised: normalise(value) }));
+
+  return {
+    account_ids: toEntries(contents.account_ids, normaliseAccountId),
+    names: toEntries(contents.names, (name) => sortWords(normaliseName(name))),
+  };
+}
+
+// The closest entry within its edit allowance, or null when none is close enough
+function findClosestEntry(normalisedValue, entries) {
+  let closestMatch = null;
+
+  entries.forEach((entry) => {
+    const distance = getEditDistance(normalisedValue, entry.normalised);
+    const maxDistance = getMaxMatchDistance(entry.normalised);
+
+    if (distance <= maxDistance && (!closestMatch || distance < closestMatch.distance)) {
+      closestMatch = { entry, distance };
+    }
+  });
+
+  return closestMatch;
+}
+
+function createMatch(field, value, closestMatch) {
+  return {
+    field,
+    value,
+    entry: closestMatch.entry.value,
+    match: closestMatch.distance === 0 ? MATCH_TYPES.EXACT : MATCH_TYPES.FUZZY,
+    distance: closestMatch.distance,
+  };
+}
+
+/**
+ * The blocklist entries that the accounts and beneficiary name of an instruction match, exactly
+ * or within a few edits once normalised. An empty array means the instruction is clear.
+ * @param {Object} subject - { account_ids, beneficiary_name }
+ * @param {Object} blocklist - as created by createBlocklist
+ * @returns {Object[]} - { field, value, entry, match, distance } for each match
+ */
+function findBlocklistMatches(subject, blocklist = EMPTY_BLOCKLIST) {
+  const matches = [];
+
+  [...new Set(subject.account_ids || [])].forEach((accountId) => {
+    const closestMatch = findClosestEntry(normaliseAccountId(accountId), blocklist.account_ids);
+    if (closestMatch) matches.push(createMatch('account_id', accountId, closestMatch));
+  });
+
+  const normalisedName = subject.beneficiary_name && normaliseName(subject.beneficiary_name);
+
+  if (normalisedName) {
+    const closestMatch = findClosestEntry(sortWords(normalisedName), blocklist.names);
+    if (closestMatch) {
+      matches.push(createMatch('beneficiary_name', subject.beneficiary_name, closestMatch));
+    }
+  }
+
+  return matches;
+}
+
+module.exports = {
+  MATCH_TYPES,
+  EMPTY_BLOCKLIST,
+  createBlocklist,
+  findBlocklistMatches,
+};
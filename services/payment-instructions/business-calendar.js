@@ -0,0 +1,97 @@
+const validator = require('@app-core/validator');
+const { PaymentInstructionsMessages } = require('@app/messages');
+const { WEEKDAYS } = require('./natural-dates');
+const { parseConfigList } = require('./env-config');
+
+const DEFAULT_WEEKEND = ['SATURDAY', 'SUNDAY'];
+
+// A calendar that has every day off would otherwise be searched forever
+const MAX_ROLL_FORWARD_DAYS = 366;
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// Settlement calendars per currency. Without one, Saturday and Sunday are the only days off.
+// BUSINESS_CALENDARS holds one calendar per currency as a JSON array, e.g.
+// [{"currency":"NGN","holidays":[{"date":"2026-10-01","name":"Independence Day"}]},
+//  {"currency":"AED","weekend":["SATURDAY","SUNDAY"]}]
+// Holidays stored in Mongo are added to these when they are passed in (see loadHolidays).
+const BUSINESS_CALENDARS = {};
+
+const configSpec = validator.parse(`root {
+  BUSINESS_CALENDARS[]? {
+    currency string<uppercase|length:3>
+    weekend[]? string(MONDAY|TUESDAY|WEDNESDAY|THURSDAY|FRIDAY|SATURDAY|SUNDAY)
+    holidays[]? {
+      date string<length:10>
+      name? string
+    }
+  }
+}`);
+
+parseConfigList('BUSINESS_CALENDARS', configSpec).forEach((calendar) => {
+  BUSINESS_CALENDARS[calendar.currency] = calendar;
+});
+
+function getCalendar(currency, storedHolidays, calendars) {
+  const calendar = calendars[currency] || {};
+
+  return {
+    weekend: calendar.weekend || DEFAULT_WEEKEND,
+    holidays: [
+      ...(calendar.holidays || []),
+      ...storedHolidays.filter((holiday) => holiday.currency === currency),
+    ],
+  };
+}
+
+// Why a YYYY-MM-DD date is not a business day in the calendar, or null when it is one
+function getNonBusinessDayReason(dateStr, currency, calendar) {
+  const holiday = calendar.holidays.find((calendarHoliday) => calendarHoliday.date === dateStr);
+
+  if (holiday) {
+    const holidayName = holiday.name ? ` (${holiday.name})` : '';
+    return `${dateStr} ${PaymentInstructionsMessages.DATE_ON_HOLIDAY} ${currency}${holidayName}`;
+  }
+
+  const weekday = WEEKDAYS[new Date(`${dateStr}T00:00:00.000Z`).getUTCDay()];
+
+  if (calendar.weekend.includes(weekday)) {
+    return `${dateStr} ${PaymentInstructionsMessages.DATE_ON_WEEKEND} ${currency}`;
+  }
+  return null;
+}
+
+/**
+ * The first business day of the currency on or after a YYYY-MM-DD date, and why the date itself
+ * is not one (null when it is).
+ * @param {String} dateStr
+ * @param {String} currency
+ * @param {Object[]} [storedHolidays] - { currency, date, name } entries loaded from Mongo
+ * @param {Object} [calendars] - calendars by currency, BUSINESS_CALENDARS by default
+ * @returns {{ date: String, reason: String|null }}
+ */
+function rollForwardToBusinessDay(
+  dateStr,
+  currency,
+  storedHolidays = [],
+  calendars = BUSINESS_CALENDARS
+) {
+  const calendar = getCalendar(currency, storedHolidays, calendars);
+  const reason = getNonBusinessDayReason(dateStr, currency, calendar);
+  let time = new Date(`${dateStr}T00:00:00.000Z`).getTime();
+  let date = dateStr;
+
+  for (let i = 0; reason && i < MAX_ROLL_FORWARD_DAYS; i++) {
+    time += DAY_IN_MS;
+    date = new Date(time).toISOString().substring(0, 10);
+
+    if (!getNonBusinessDayReason(date, currency, calendar)) break;
+  }
+
+  return { date, reason };
+}
+
+module.exports = {
+  BUSINESS_CALENDARS,
+  rollForwardToBusinessDay,
+};
@@ -0,0 +1,69 @@
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { PaymentInstructionsMessages } = require('@app/messages');
+const ScheduledInstruction = require('@app/repository/scheduled-instruction');
+const { executeScheduledInstruction } = require('@app/workers');
+const { createScheduledInstructionResponse } = require('./helpers');
+const { STATUS_CODES } = require('./process');
+
+const spec = `root {
+  id string
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+// Once the worker has claimed the record it can no longer be cancelled, as the transfer has run
+// or is running
+function throwNotPending(status) {
+  throwAppError(
+    status === 'cancelled'
+      ? PaymentInstructionsMessages.SCHEDULED_INSTRUCTION_NOT_PENDING
+      : `${PaymentInstructionsMessages.SCHEDULED_INSTRUCTION_ALREADY_RUN}: status is ${status}`,
+    ERROR_CODE.INVLDREQ
+  );
+}
+
+// Cancels a pending instruction and removes its delayed execution job
+async function cancelScheduledInstruction(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  const scheduledInstruction = await ScheduledInstruction.findOne({ query: { _id: data.id } });
+
+  if (!scheduledInstruction) {
+    throwAppError(PaymentInstructionsMessages.SCHEDULED_INSTRUCTION_NOT_FOUND, ERROR_CODE.NOTFOUND);
+  }
+
+  if (scheduledInstruction.status !== 'pending') {
+    throwNotPending(scheduledInstruction.status);
+  }
+
+  const updateValues = {
+    status: 'cancelled',
+    status_code: STATUS_CODES.CANCELLED,
+    status_reason: PaymentInstructionsMessages.TRANSACTION_CANCELLED,
+  };
+
+  const { modifiedCount } = await ScheduledInstruction.updateOne({
+    query: { _id: data.id, status: 'pending' },
+    updateValues,
+  });
+
+  // Claimed by the worker, or cancelled by another request, between the read and the update
+  if (!modifiedCount) {
+    const currentInstruction = await ScheduledInstruction.findOne({ query: { _id: data.id } });
+
+    throwNotPending(currentInstruction.status);
+  }
+
+  // The record is no longer pending, so a job that cannot be removed will skip it when it runs
+  try {
+    await executeScheduledInstruction.removeJob(data.id);
+  } catch (error) {
+    appLogger.warn({ id: data.id, error }, 'scheduled-instruction-job-removal-failed');
+  }
+
+  return createScheduledInstructionResponse({ ...scheduledInstruction, ...updateValues });
+}
+
+module.exports = cancelScheduledInstruction;
@@ -0,0 +1,21 @@
+// Anything that needs the current time reads it from a clock, so tests can pass a fixed one
+const systemClock = {
+  now: () => new Date(),
+};
+
+/**
+ * A clock stopped at the given time.
+ * @param {String|Number|Date} time
+ */
+function createFixedClock(time) {
+  const fixedTime = new Date(time).getTime();
+
+  return {
+    now: () => new Date(fixedTime),
+  };
+}
+
+module.exports = {
+  systemClock,
+  createFixedClock,
+};
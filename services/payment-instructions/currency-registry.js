@@ -0,0 +1,77 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { PaymentInstructionsMessages } = require('@app/messages');
+const { parseConfigList } = require('./env-config');
+
+// ISO 4217 currencies known to the service. Deployments enable, disable or add currencies
+// with CURRENCY_REGISTRY, a JSON array of entries merged over these defaults by code, e.g.
+// [{"code":"KES","exponent":2,"symbol":"KSh","enabled":true}]. An added currency needs its
+// exponent.
+const DEFAULT_CURRENCIES = [
+  { code: 'NGN', exponent: 2, symbol: '₦', enabled: true },
+  { code: 'USD', exponent: 2, symbol: '$', enabled: true },
+  { code: 'GBP', exponent: 2, symbol: '£', enabled: true },
+  { code: 'GHS', exponent: 2, symbol: 'GH₵', enabled: true },
+  { code: 'KES', exponent: 2, symbol: 'KSh', enabled: false },
+  { code: 'ZAR', exponent: 2, symbol: 'R', enabled: false },
+  { code: 'XOF', exponent: 0, symbol: 'CFA', enabled: false },
+];
+
+const configSpec = validator.parse(`root {
+  CURRENCY_REGISTRY[]? {
+    code string<uppercase|length:3>
+    exponent? number<min:0|max:4>
+    symbol? string
+    enabled? boolean
+  }
+}`);
+
+function buildRegistry(configuredCurrencies) {
+  const registry = {};
+
+  [...DEFAULT_CURRENCIES, ...configuredCurrencies].forEach((currency) => {
+    registry[currency.code] = { ...registry[currency.code], ...currency };
+  });
+
+  // Without an exponent no amount in the currency could be checked, so the service does not start
+  const currencyWithoutExponent = Object.values(registry).find(
+    (currency) => currency.exponent === undefined
+  );
+
+  if (currencyWithoutExponent) {
+    throwAppError(
+      `${PaymentInstructionsMessages.INVALID_CONFIG}: CURRENCY_REGISTRY ${currencyWithoutExponent.code} ${PaymentInstructionsMessages.CURRENCY_EXPONENT_REQUIRED}`,
+      ERROR_CODE.APPERR
+    );
+  }
+
+  return registry;
+}
+
+const registry = buildRegistry(parseConfigList('CURRENCY_REGISTRY', configSpec));
+
+function getCurrency(code) {
+  return Object.hasOwn(registry, code) ? registry[code] : null;
+}
+
+function isCurrencyEnabled(code) {
+  return !!getCurrency(code)?.enabled;
+}
+
+function getEnabledCurrencyCodes() {
+  return Object.values(registry)
+    .filter((currency) => currency.enabled)
+    .map((currency) => currency.code);
+}
+
+// Number of decimal places allowed for an enabled currency, or null when it cannot be used
+function getMinorUnitExponent(code) {
+  return isCurrencyEnabled(code) ? getCurrency(code).exponent : null;
+}
+
+module.exports = {
+  getCurrency,
+  isCurrencyEnabled,
+  getEnabledCurrencyCodes,
+  getMinorUnitExponent,
+};
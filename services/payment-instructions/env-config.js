@@ -0,0 +1,38 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { PaymentInstructionsMessages } = require('@app/messages');
+
+/**
+ * Reads a list setting held in an environment variable as a JSON array, an empty list when the
+ * variable is unset. The spec describes the array under the variable's own name, e.g.
+ * root { FEE_RULES[]? { currency string ... } }, so errors point at the entry that is wrong.
+ * A setting that is not JSON or does not match the spec throws, stopping the service at startup.
+ * @param {String} name - the environment variable
+ * @param {Object} parsedSpec - as returned by validator.parse
+ * @returns {Object[]} - the validated entries
+ */
+function parseConfigList(name, parsedSpec) {
+  let entries;
+
+  try {
+    entries = JSON.parse(process.env[name] || '[]');
+  } catch (error) {
+    throwAppError(
+      `${name} ${PaymentInstructionsMessages.CONFIG_NOT_JSON}: ${error.message}`,
+      ERROR_CODE.APPERR
+    );
+  }
+
+  try {
+    return validator.validate({ [name]: entries }, parsedSpec)[name] || [];
+  } catch (error) {
+    throwAppError(
+      `${PaymentInstructionsMessages.INVALID_CONFIG}: ${error.message}`,
+      ERROR_CODE.APPERR
+    );
+  }
+}
+
+module.exports = {
+  parseConfigList,
+};
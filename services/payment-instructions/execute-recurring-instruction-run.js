@@ -0,0 +1,184 @@
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { PaymentInstructionsMessages } = require('@app/messages');
+const RecurringInstruction = require('@app/repository/recurring-instruction');
+const RecurringInstructionRun = require('@app/repository/recurring-instruction-run');
+const { recordJournalEntry } = require('@app/services/journal');
+const { executeRecurringInstruction } = require('@app/workers');
+const { processTransaction, executeLedgerTransaction, STATUS_CODES } = require('./process');
+const { getRunDate, getExecutionDelay } = require('./helpers');
+const loadFxRates = require('./load-fx-rates');
+const loadDebitHistory = require('./load-debit-history');
+const loadActiveHolds = require('./load-active-holds');
+const loadRecurringRunResult = require('./load-recurring-run-result');
+
+const spec = `root {
+  id string
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+// Executes one run of a recurring instruction. Its journal entry is keyed on the run, so the
+// transfer is made at most once.
+async function executeRun(recurringInstruction, runNumber) {
+  // Every run executes immediately; the queue delay is what spaces the runs out
+  const parsedData = {
+    type: recurringInstruction.type,
+    amount: recurringInstruction.amount,
+    currency: recurringInstruction.currency,
+    debitAccount: recurringInstruction.debit_account,
+    creditAccount: recurringInstruction.credit_account,
+    credits: recurringInstruction.credits,
+    executeBy: null,
+    reference: recurringInstruction.reference || null,
+    memo: recurringInstruction.memo || null,
+    fee: recurringInstruction.fee,
+    feeBearer: recurringInstruction.fee_bearer,
+  };
+  const recurringRun = { recurring_instruction: recurringInstruction._id, run_number: runNumber };
+
+  const fxRates = recurringInstruction.convert ? await loadFxRates() : undefined;
+
+  const result = recurringInstruction.use_ledger
+    ? await executeLedgerTransaction(recurringInstruction.instruction, parsedData, {
+        fxRates,
+        recurringRun,
+      })
+    : processTransaction(parsedData, recurringInstruction.source_accounts, {
+        fxRates,
+        // Ledger executions load the holds and the debit history for the limits themselves
+        holds: await loadActiveHolds({ account_ids: [parsedData.debitAccount] }),
+        debitHistory: await loadDebitHistory({ account_ids: [parsedData.debitAccount] }),
+      });
+
+  // Ledger executions record their journal entry inside the balance update transaction
+  if (result.status === 'successful' && !recurringInstruction.use_ledger) {
+    await recordJournalEntry({
+      instruction: recurringInstruction.instruction,
+      result,
+      ...recurringRun,
+    });
+  }
+
+  return result;
+}
+
+// Runs the next occurrence of a recurring instruction, records it and queues the one after
+async function executeRecurringInstructionRun(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  const recurringInstruction = await RecurringInstruction.findOne({ query: { _id: data.id } });
+
+  if (!recurringInstruction) {
+    throwAppError(PaymentInstructionsMessages.RECURRING_INSTRUCTION_NOT_FOUND, ERROR_CODE.NOTFOUND);
+  }
+
+  if (recurringInstruction.status !== 'pending') {
+    appLogger.warn(
+      { id: data.id, status: recurringInstruction.status },
+      'recurring-instruction-already-completed'
+    );
+    return { id: data.id, status: recurringInstruction.status };
+  }
+
+  const runNumber = recurringInstruction.runs_completed + 1;
+
+  // Claims the run before executing it, so a job delivered twice cannot run the same occurrence
+  // twice; only the worker whose update applies goes on. runs_completed only moves once the run
+  // is finished, so a retry after a failure claims the same run again.
+  const { modifiedCount } = await RecurringInstruction.updateOne({
+    query: {
+      _id: data.id,
+      status: 'pending',
+      runs_completed: recurringInstruction.runs_completed,
+      claimed_run: { $ne: runNumber },
+    },
+    updateValues: { claimed_run: runNumber },
+  });
+
+  if (!modifiedCount) {
+    appLogger.warn({ id: data.id, runNumber }, 'recurring-instruction-run-already-claimed');
+    return { id: data.id, run_number: runNumber, status: 'skipped' };
+  }
+
+  let result;
+
+  try {
+    // An earlier attempt may have made the transfer, or recorded the run, before it failed
+    const earlierAttempt = await loadRecurringRunResult({ id: data.id, run_number: runNumber });
+
+    result = earlierAttempt
+      ? earlierAttempt.result
+      : await executeRun(recurringInstruction, runNumber);
+
+    if (!earlierAttempt || !earlierAttempt.recorded) {
+      await RecurringInstructionRun.create({
+        recurring_instruction_id: data.id,
+        run_number: runNumber,
+        run_date: recurringInstruction.next_run_date,
+        status: result.status,
+        status_code: result.status_code,
+        status_reason: result.status_reason,
+        accounts: result.accounts,
+        executed_at: Date.now(),
+      });
+    }
+  } catch (error) {
+    // Gives the claim back so the queue's retry runs, or finishes, the same run
+    await RecurringInstruction.updateOne({
+      query: { _id: data.id, claimed_run: runNumber },
+      updateValues: { claimed_run: null },
+    });
+    throw error;
+  }
+
+  // Caller-supplied balances carry over so each run draws on what the previous one left
+  const sourceAccounts =
+    result.status === 'successful'
+      ? recurringInstruction.source_accounts.map((account) => {
+          const updatedAccount = result.accounts.find((acc) => acc.id === account.id);
+          return updatedAccount ? { ...account, balance: updatedAccount.balance } : account;
+        })
+      : recurringInstruction.source_accounts;
+
+  const nextRunDate = getRunDate(
+    recurringInstruction.start_date,
+    recurringInstruction.frequency,
+    runNumber
+  );
+  const isCompleted =
+    (!!recurringInstruction.times && runNumber >= recurringInstruction.times) ||
+    (!!recurringInstruction.end_date && nextRunDate > recurringInstruction.end_date);
+
+  await RecurringInstruction.updateOne({
+    query: { _id: data.id, claimed_run: runNumber },
+    updateValues: {
+      runs_completed: runNumber,
+      claimed_run: null,
+      source_accounts: sourceAccounts,
+      next_run_date: isCompleted ? null : nextRunDate,
+      ...(isCompleted && {
+        status: 'completed',
+        status_code: STATUS_CODES.SUCCESSFUL,
+        status_reason: PaymentInstructionsMessages.RECURRING_COMPLETED,
+      }),
+    },
+  });
+
+  if (!isCompleted) {
+    await executeRecurringInstruction.scheduleJob(
+      { id: data.id },
+      { delay: getExecutionDelay(nextRunDate), jobId: `${data.id}-${runNumber + 1}` }
+    );
+  }
+
+  appLogger.info(
+    { id: data.id, runNumber, status: result.status, statusCode: result.status_code },
+    'recurring-instruction-run-executed'
+  );
+
+  return { id: data.id, run_number: runNumber, status: result.status };
+}
+
+module.exports = executeRecurringInstructionRun;
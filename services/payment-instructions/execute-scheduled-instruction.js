@@ -0,0 +1,122 @@
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { PaymentInstructionsMessages } = require('@app/messages');
+const ScheduledInstruction = require('@app/repository/scheduled-instruction');
+const { recordJournalEntry } = require('@app/services/journal');
+const { processTransaction, executeLedgerTransaction } = require('./process');
+const loadFxRates = require('./load-fx-rates');
+const loadDebitHistory = require('./load-debit-history');
+const loadActiveHolds = require('./load-active-holds');
+
+const spec = `root {
+  id string
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Runs a stored pending instruction once it falls due. A ledger instruction is checked against the
+ * ledger balances at execution time. A client-balance instruction has only the accounts submitted
+ * with it, so its funds are checked against those stored balances, which may be out of date.
+ * @param {Object} serviceData - { id }
+ */
+async function executeScheduledInstruction(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  const scheduledInstruction = await ScheduledInstruction.findOne({ query: { _id: data.id } });
+
+  if (!scheduledInstruction) {
+    throwAppError(PaymentInstructionsMessages.SCHEDULED_INSTRUCTION_NOT_FOUND, ERROR_CODE.NOTFOUND);
+  }
+
+  if (scheduledInstruction.status !== 'pending') {
+    appLogger.warn(
+      { id: data.id, status: scheduledInstruction.status },
+      'scheduled-instruction-already-processed'
+    );
+    return { id: data.id, status: scheduledInstruction.status };
+  }
+
+  // Claims the record before executing it, so a job delivered twice or retried cannot run the
+  // transfer twice; only the worker whose update applies goes on
+  const { modifiedCount } = await ScheduledInstruction.updateOne({
+    query: { _id: data.id, status: 'pending' },
+    updateValues: { status: 'executing' },
+  });
+
+  if (!modifiedCount) {
+    appLogger.warn({ id: data.id }, 'scheduled-instruction-already-claimed');
+    return { id: data.id, status: 'skipped' };
+  }
+
+  // Uses the stored fields rather than re-parsing, so amended execution dates are honoured
+  const parsedData = {
+    type: scheduledInstruction.type,
+    amount: scheduledInstruction.amount,
+    currency: scheduledInstruction.currency,
+    debitAccount: scheduledInstruction.debit_account,
+    creditAccount: scheduledInstruction.credit_account,
+    credits: scheduledInstruction.credits,
+    executeBy: scheduledInstruction.execute_by,
+    executeByText: scheduledInstruction.execute_by_text || null,
+    reference: scheduledInstruction.reference || null,
+    memo: scheduledInstruction.memo || null,
+    // The fee quoted at scheduling time is the one charged
+    fee: scheduledInstruction.fee ? scheduledInstruction.fee.amount : null,
+    feeBearer: scheduledInstruction.fee ? scheduledInstruction.fee.borne_by : null,
+  };
+
+  let result;
+
+  try {
+    // Conversions use the rates current at execution time, not those quoted when scheduled
+    const fxRates = scheduledInstruction.convert ? await loadFxRates() : undefined;
+
+    result = scheduledInstruction.use_ledger
+      ? await executeLedgerTransaction(scheduledInstruction.instruction, parsedData, { fxRates })
+      : processTransaction(parsedData, scheduledInstruction.source_accounts, {
+          fxRates,
+          // Ledger executions load the holds and the debit history for the limits themselves
+          holds: await loadActiveHolds({ account_ids: [parsedData.debitAccount] }),
+          debitHistory: await loadDebitHistory({ account_ids: [parsedData.debitAccount] }),
+        });
+
+    // Not yet due; throwing lets the queue retry the job with its backoff
+    if (result.status === 'pending') {
+      throwAppError(PaymentInstructionsMessages.SCHEDULED_INSTRUCTION_NOT_DUE, ERROR_CODE.INVLDREQ);
+    }
+
+    // Ledger executions record their journal entry inside the balance update transaction
+    if (result.status === 'successful' && !scheduledInstruction.use_ledger) {
+      await recordJournalEntry({ instruction: scheduledInstruction.instruction, result });
+    }
+  } catch (error) {
+    // Nothing was saved, so the record goes back to pending for the retry or a cancellation
+    await ScheduledInstruction.updateOne({
+      query: { _id: data.id, status: 'executing' },
+      updateValues: { status: 'pending' },
+    });
+    throw error;
+  }
+
+  await ScheduledInstruction.updateOne({
+    query: { _id: data.id, status: 'executing' },
+    updateValues: {
+      status: result.status,
+      status_code: result.status_code,
+      status_reason: result.status_reason,
+      accounts: result.accounts,
+      executed_at: Date.now(),
+    },
+  });
+
+  appLogger.info(
+    { id: data.id, status: result.status, statusCode: result.status_code },
+    'scheduled-instruction-executed'
+  );
+
+  return { id: data.id, status: result.status };
+}
+
+module.exports = executeScheduledInstruction;
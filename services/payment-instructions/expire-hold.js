@@ -0,0 +1,48 @@
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { PaymentInstructionsMessages } = require('@app/messages');
+const settleHold = require('./settle-hold');
+const loadHold = require('./load-hold');
+const { STATUS_CODES } = require('./process');
+
+const spec = `root {
+  id string
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+// Releases the funds of a hold that was neither captured nor released before it expired
+async function expireHold(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  const hold = await loadHold({ id: data.id });
+
+  if (!hold) {
+    throwAppError(PaymentInstructionsMessages.HOLD_NOT_FOUND, ERROR_CODE.NOTFOUND);
+  }
+
+  if (hold.status !== 'active') {
+    appLogger.warn({ id: data.id, status: hold.status }, 'hold-already-settled');
+    return { id: data.id, status: hold.status };
+  }
+
+  const result = await settleHold({
+    id: data.id,
+    status: 'expired',
+    status_code: STATUS_CODES.HOLD_EXPIRED,
+    status_reason: PaymentInstructionsMessages.HOLD_EXPIRED,
+  });
+
+  // Captured or released since it was loaded
+  if (!result) {
+    appLogger.warn({ id: data.id }, 'hold-already-settled');
+    return { id: data.id, status: (await loadHold({ id: data.id })).status };
+  }
+
+  appLogger.info({ id: data.id }, 'hold-expired');
+
+  return result;
+}
+
+module.exports = expireHold;
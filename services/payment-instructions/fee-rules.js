@@ -0,0 +1,96 @@
+const validator = require('@app-core/validator');
+const { toMinorUnits, fromMinorUnits } = require('./helpers');
+const { parseConfigList } = require('./env-config');
+
+const FEE_BEARERS = {
+  SENDER: 'SENDER',
+  RECEIVER: 'RECEIVER',
+};
+
+const FEE_TYPES = {
+  FLAT: 'flat',
+  PERCENTAGE: 'percentage',
+  TIERED: 'tiered',
+};
+
+// Account that collects every fee; it must be among the accounts a transfer is executed against
+const FEE_ACCOUNT_ID = process.env.FEE_ACCOUNT_ID || 'fees';
+
+// FEE_RULES holds one rule per currency as a JSON array, e.g.
+// [{"currency":"NGN","type":"flat","amount":10},
+//  {"currency":"USD","type":"percentage","rate":1.5,"min":0.5,"max":20},
+//  {"currency":"GBP","type":"tiered","tiers":[{"up_to":100,"amount":0.5},{"up_to":null,"amount":2}]}]
+// Percentage rates are in percent; a tier with a null up_to has no upper bound.
+const FEE_RULES = {};
+
+const configSpec = validator.parse(`root {
+  FEE_RULES[]? {
+    currency string<uppercase|length:3>
+    type string(flat|percentage|tiered)
+    amount? number<min:0>
+    rate? number<min:0>
+    min? number<min:0>
+    max? number<min:0>
+    tiers[]? {
+      up_to? any
+      amount number<min:0>
+    }
+  }
+}`);
+
+parseConfigList('FEE_RULES', configSpec).forEach((feeRule) => {
+  FEE_RULES[feeRule.currency] = feeRule;
+});
+
+function hasFeeRule(currency, feeRules = FEE_RULES) {
+  return Object.hasOwn(feeRules, currency);
+}
+
+function calculatePercentageFee(amountInMinorUnits, feeRule, minorUnitExponent) {
+  let feeInMinorUnits = Math.round((amountInMinorUnits * feeRule.rate) / 100);
+
+  if (feeRule.min !== undefined) {
+    feeInMinorUnits = Math.max(feeInMinorUnits, toMinorUnits(feeRule.min, minorUnitExponent));
+  }
+  if (feeRule.max !== undefined) {
+    feeInMinorUnits = Math.min(feeInMinorUnits, toMinorUnits(feeRule.max, minorUnitExponent));
+  }
+
+  return feeInMinorUnits;
+}
+
+function calculateTieredFee(amount, feeRule, minorUnitExponent) {
+  const tier = feeRule.tiers.find((feeTier) => feeTier.up_to === null || amount <= feeTier.up_to);
+  return tier ? toMinorUnits(tier.amount, minorUnitExponent) : 0;
+}
+
+// Returns the fee the rules charge on an amount, in major units; 0 when the currency has no rule
+function calculateFee(amount, currency, minorUnitExponent, feeRules = FEE_RULES) {
+  if (!hasFeeRule(currency, feeRules)) return 0;
+
+  const feeRule = feeRules[currency];
+  let feeInMinorUnits = 0;
+
+  if (feeRule.type === FEE_TYPES.FLAT) {
+    feeInMinorUnits = toMinorUnits(feeRule.amount, minorUnitExponent);
+  } else if (feeRule.type === FEE_TYPES.PERCENTAGE) {
+    feeInMinorUnits = calculatePercentageFee(
+      toMinorUnits(amount, minorUnitExponent),
+      feeRule,
+      minorUnitExponent
+    );
+  } else if (feeRule.type === FEE_TYPES.TIERED) {
+    feeInMinorUnits = calculateTieredFee(amount, feeRule, minorUnitExponent);
+  }
+
+  return fromMinorUnits(feeInMinorUnits, minorUnitExponent);
+}
+
+module.exports = {
+  FEE_BEARERS,
+  FEE_TYPES,
+  FEE_ACCOUNT_ID,
+  FEE_RULES,
+  hasFeeRule,
+  calculateFee,
+};
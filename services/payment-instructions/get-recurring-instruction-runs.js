@@ -0,0 +1,41 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { PaymentInstructionsMessages } = require('@app/messages');
+const RecurringInstruction = require('@app/repository/recurring-instruction');
+const RecurringInstructionRun = require('@app/repository/recurring-instruction-run');
+const {
+  createRecurringInstructionResponse,
+  createRecurringInstructionRunResponse,
+} = require('./helpers');
+
+const spec = `root {
+  id string
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+// Looks up a recurring instruction along with the history of its runs, oldest first
+async function getRecurringInstructionRuns(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  const recurringInstruction = await RecurringInstruction.findOne({ query: { _id: data.id } });
+
+  if (!recurringInstruction) {
+    throwAppError(PaymentInstructionsMessages.RECURRING_INSTRUCTION_NOT_FOUND, ERROR_CODE.NOTFOUND);
+  }
+
+  const runs = await RecurringInstructionRun.findMany({
+    query: { recurring_instruction_id: data.id },
+    options: { sort: { run_number: 1 } },
+  });
+
+  return {
+    recurring_instruction: createRecurringInstructionResponse(
+      recurringInstruction,
+      recurringInstruction.source_accounts
+    ),
+    runs: runs.map(createRecurringInstructionRunResponse),
+  };
+}
+
+module.exports = getRecurringInstructionRuns;
@@ -0,0 +1,26 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { PaymentInstructionsMessages } = require('@app/messages');
+const ScheduledInstruction = require('@app/repository/scheduled-instruction');
+const { createScheduledInstructionResponse } = require('./helpers');
+
+const spec = `root {
+  id string
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+// Looks up a scheduled instruction and returns it in the standard response shape
+async function getScheduledInstruction(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  const scheduledInstruction = await ScheduledInstruction.findOne({ query: { _id: data.id } });
+
+  if (!scheduledInstruction) {
+    throwAppError(PaymentInstructionsMessages.SCHEDULED_INSTRUCTION_NOT_FOUND, ERROR_CODE.NOTFOUND);
+  }
+
+  return createScheduledInstructionResponse(scheduledInstruction);
+}
+
+module.exports = getScheduledInstruction;
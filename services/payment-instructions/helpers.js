@@ -1,4 +1,10 @@
 const { PaymentInstructionsMessages } = require('@app/messages');
+const { getEnabledCurrencyCodes, getMinorUnitExponent } = require('./currency-registry');
+const { createKeywordMatcher } = require('./keyword-matcher');
+const { systemClock } = require('./clock');
+
+const REFERENCE_MAX_LENGTH = 35;
+const MEMO_MAX_LENGTH = 140;
 
 // Validation functions
 function isValidAccountId(accountId) {
@@ -20,36 +26,100 @@ function isValidAccountId(accountId) {
   return true;
 }
 
+// Journal entry ids are ULIDs: 26 characters of Crockford base32
+function isValidTransactionId(transactionId) {
+  if (!transactionId || transactionId.length !== 26) return false;
+
+  const upperId = transactionId.toUpperCase();
+  for (let i = 0; i < upperId.length; i++) {
+    if (!'0123456789ABCDEFGHJKMNPQRSTVWXYZ'.includes(upperId[i])) return false;
+  }
+  return true;
+}
+
+// Hold ids are ULIDs too
+function isValidHoldId(holdId) {
+  return isValidTransactionId(holdId);
+}
+
+function isDigits(str) {
+  if (!str) return false;
+
+  for (let i = 0; i < str.length; i++) {
+    if (!(str[i] >= '0' && str[i] <= '9')) return false;
+  }
+  return true;
+}
+
 function isValidAmount(amountStr) {
   if (!amountStr) return false;
 
-  const amount = parseInt(amountStr, 10);
-  return !(Number.isNaN(amount) || amount <= 0 || amount.toString() !== amountStr);
+  const parts = amountStr.split('.');
+  if (parts.length > 2) return false;
+
+  const [wholePart, fractionPart] = parts;
+  if (!isDigits(wholePart)) return false;
+  if (parts.length === 2 && !isDigits(fractionPart)) return false;
+  if (wholePart.length > 1 && wholePart[0] === '0') return false;
+
+  // Guard against amounts that cannot be held exactly as integer minor units
+  if (!Number.isSafeInteger(Number(`${wholePart}${fractionPart || ''}`))) return false;
+
+  return Number(amountStr) > 0;
 }
 
-function hasValidFromAccountKeywords(words) {
-  return words[3].toUpperCase() === 'FROM' && words[4].toUpperCase() === 'ACCOUNT';
+function getAmountPrecision(amountStr) {
+  const separatorIndex = amountStr.indexOf('.');
+  return separatorIndex === -1 ? 0 : amountStr.length - separatorIndex - 1;
 }
 
-function hasValidForCreditToAccountKeywords(words) {
-  return (
-    words[6].toUpperCase() === 'FOR' &&
-    words[7].toUpperCase() === 'CREDIT' &&
-    words[8].toUpperCase() === 'TO' &&
-    words[9].toUpperCase() === 'ACCOUNT'
-  );
+function hasValidAmountPrecision(amountStr, minorUnitExponent) {
+  return getAmountPrecision(amountStr) <= minorUnitExponent;
+}
+
+// Money helpers: amounts and balances are handled as integer minor units (e.g. kobo, cents)
+function toMinorUnits(value, minorUnitExponent) {
+  return Math.round(value * 10 ** minorUnitExponent);
 }
 
-function hasValidToAccountKeywords(words) {
-  return words[3].toUpperCase() === 'TO' && words[4].toUpperCase() === 'ACCOUNT';
+function fromMinorUnits(minorUnits, minorUnitExponent) {
+  return minorUnits / 10 ** minorUnitExponent;
 }
 
-function hasValidForDebitFromAccountKeywords(words) {
+// Only direct pairs in the rate table are used; an inverse rate is not derived
+function getFxRate(fxRates, fromCurrency, toCurrency) {
+  return fxRates?.[fromCurrency]?.[toCurrency] ?? null;
+}
+
+// Converts an amount at the given rate, crediting whole minor units and reporting what is left over
+function convertAmount(amount, rate, fromExponent, toExponent) {
+  // Rounded to 6 places first so floating point noise cannot drop a whole minor unit
+  const exactMinorUnits =
+    Math.round(
+      toMinorUnits(amount, fromExponent) * rate * 10 ** (toExponent - fromExponent) * 1e6
+    ) / 1e6;
+  const convertedMinorUnits = Math.floor(exactMinorUnits);
+
+  return {
+    convertedAmount: fromMinorUnits(convertedMinorUnits, toExponent),
+    remainder: Number(
+      fromMinorUnits(exactMinorUnits - convertedMinorUnits, toExponent).toFixed(6 + toExponent)
+    ),
+  };
+}
+
+// Keyword checks go through a keyword matcher, which decides how typos are treated
+function hasValidFromAccountKeywords(words, matcher = createKeywordMatcher()) {
+  return matcher.matches(words, 3, 'FROM') && matcher.matches(words, 4, 'ACCOUNT');
+}
+
+// ACCOUNT and ACCOUNTS are one edit apart, so the closer of the two decides the format
+function hasValidForCreditToAccountsKeywords(words, matcher = createKeywordMatcher()) {
   return (
-    words[6].toUpperCase() === 'FOR' &&
-    words[7].toUpperCase() === 'DEBIT' &&
-    words[8].toUpperCase() === 'FROM' &&
-    words[9].toUpperCase() === 'ACCOUNT'
+    matcher.matches(words, 6, 'FOR') &&
+    matcher.matches(words, 7, 'CREDIT') &&
+    matcher.matches(words, 8, 'TO') &&
+    matcher.match(words, 9, ['ACCOUNT', 'ACCOUNTS']) === 'ACCOUNTS'
   );
 }
 
@@ -57,8 +127,78 @@ function areSameAccounts(debitAccount, creditAccount) {
   return debitAccount === creditAccount;
 }
 
-function hasValidOnDate(words, currentIndex) {
-  return currentIndex < words.length && words[currentIndex].toUpperCase() === 'ON';
+function hasValidOnDate(words, currentIndex, matcher = createKeywordMatcher()) {
+  return matcher.matches(words, currentIndex, 'ON');
+}
+
+function hasValidWithFeeKeywords(words, currentIndex, matcher = createKeywordMatcher()) {
+  return (
+    currentIndex + 1 < words.length &&
+    matcher.matches(words, currentIndex, 'WITH') &&
+    matcher.matches(words, currentIndex + 1, 'FEE')
+  );
+}
+
+function hasValidBorneByKeywords(words, currentIndex, matcher = createKeywordMatcher()) {
+  return (
+    matcher.matches(words, currentIndex, 'BORNE') && matcher.matches(words, currentIndex + 1, 'BY')
+  );
+}
+
+function isValidFeeBearer(bearer) {
+  return bearer === 'SENDER' || bearer === 'RECEIVER';
+}
+
+function hasValidEveryKeyword(words, currentIndex, matcher = createKeywordMatcher()) {
+  return matcher.matches(words, currentIndex, 'EVERY');
+}
+
+function isValidFrequency(frequency) {
+  return frequency === 'DAY' || frequency === 'WEEK' || frequency === 'MONTH';
+}
+
+function isNarrationKeyword(word) {
+  const keyword = word.toUpperCase();
+  return keyword === 'REF' || keyword === 'MEMO';
+}
+
+// A quoted word keeps its quotes, e.g. "October rent"
+function isQuotedText(word) {
+  return !!word && word.length >= 2 && word[0] === '"' && word[word.length - 1] === '"';
+}
+
+// References are matched by other systems, so they stay short and use a narrow charset
+function isValidReference(text) {
+  if (!text || text.length > REFERENCE_MAX_LENGTH) return false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (
+      !(char >= 'a' && char <= 'z') &&
+      !(char >= 'A' && char <= 'Z') &&
+      !(char >= '0' && char <= '9') &&
+      char !== ' ' &&
+      char !== '-' &&
+      char !== '/' &&
+      char !== '.' &&
+      char !== ':' &&
+      char !== '_'
+    ) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Memos allow any printable ASCII character apart from the double quote that delimits them
+function isValidMemo(text) {
+  if (!text || text.length > MEMO_MAX_LENGTH) return false;
+
+  for (let i = 0; i < text.length; i++) {
+    const charCode = text.charCodeAt(i);
+    if (charCode < 32 || charCode > 126 || text[i] === '"') return false;
+  }
+  return true;
 }
 
 function hasExtraWords(words, currentIndex) {
@@ -69,12 +209,49 @@ function hasEnoughWords(words, minLength) {
   return words.length >= minLength;
 }
 
-function hasValidFirstWord(firstWord) {
-  return firstWord === 'DEBIT' || firstWord === 'CREDIT';
+function hasValidFirstWord(words, matcher = createKeywordMatcher()) {
+  return matcher.match(words, 0, ['DEBIT', 'CREDIT']) !== null;
+}
+
+// Parse dates in YYYY-MM-DD format
+function parseDate(dateStr) {
+  if (!dateStr || dateStr.length !== 10) return null;
+  if (dateStr[4] !== '-' || dateStr[7] !== '-') return null;
+
+  const parts = dateStr.split('-');
+  if (parts.length !== 3) return null;
+
+  const year = parseInt(parts[0], 10);
+  const month = parseInt(parts[1], 10);
+  const day = parseInt(parts[2], 10);
+
+  if (Number.isNaN(year) || Number.isNaN(month) || Number.isNaN(day)) return null;
+  if (month < 1 || month > 12 || day < 1) return null;
+
+  const daysInMonth = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+  const isLeapYear = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+
+  if (isLeapYear) {
+    daysInMonth[1] = 29;
+  }
+
+  if (day > daysInMonth[month - 1]) return null;
+
+  const date = new Date(year, month - 1, day);
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day
+    ? date
+    : null;
 }
 
-function isFutureDate(executeDate, currentDate) {
-  return executeDate > currentDate;
+// Midnight UTC of the current day on the given clock
+function getCurrentUTCDate(clock = systemClock) {
+  const now = clock.now();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+function isFutureDate(executeDate, clock = systemClock) {
+  return executeDate > getCurrentUTCDate(clock);
 }
 
 function debitAccountExists(debitAccountObj) {
@@ -85,10 +262,6 @@ function creditAccountExists(creditAccountObj) {
   return !!creditAccountObj;
 }
 
-function isSupportedCurrency(currency, supportedCurrencies) {
-  return supportedCurrencies.includes(currency);
-}
-
 function currenciesMatch(debitAccountObj, creditAccountObj, instructionCurrency) {
   return (
     debitAccountObj.currency === creditAccountObj.currency &&
@@ -96,8 +269,108 @@ function currenciesMatch(debitAccountObj, creditAccountObj, instructionCurrency)
   );
 }
 
-function hasSufficientFunds(debitAccountObj, amount) {
-  return debitAccountObj.balance >= amount;
+// The ledger balance less what active holds reserve on the account
+function getAvailableBalance(accountObj, holds = [], minorUnitExponent = 0) {
+  const accountHolds = holds.filter((hold) => hold.debit_account === accountObj.id);
+  if (accountHolds.length === 0) return accountObj.balance;
+
+  const heldInMinorUnits = accountHolds.reduce(
+    (total, hold) => total + toMinorUnits(hold.amount, minorUnitExponent),
+    0
+  );
+  return fromMinorUnits(
+    toMinorUnits(accountObj.balance, minorUnitExponent) - heldInMinorUnits,
+    minorUnitExponent
+  );
+}
+
+// The lowest balance a debit may leave: zero, less the overdraft limit of an account that may go
+// negative, or the minimum balance of an account that must keep one. With both, the higher applies.
+function getBalanceFloor(accountObj) {
+  const overdraftLimit = accountObj.overdraft_limit ?? null;
+  const minBalance = accountObj.min_balance ?? null;
+
+  if (overdraftLimit !== null && minBalance !== null) return Math.max(-overdraftLimit, minBalance);
+  if (overdraftLimit !== null) return -overdraftLimit;
+  return minBalance ?? 0;
+}
+
+// A fee borne by the sender is debited on top of the amount. Funds reserved by active holds are
+// not available to spend, and the debit may not take the account below its balance floor.
+function hasSufficientFunds(debitAccountObj, amount, minorUnitExponent = 0, fee = 0, holds = []) {
+  const availableInMinorUnits = toMinorUnits(
+    getAvailableBalance(debitAccountObj, holds, minorUnitExponent),
+    minorUnitExponent
+  );
+  const debitInMinorUnits =
+    toMinorUnits(amount, minorUnitExponent) + toMinorUnits(fee, minorUnitExponent);
+
+  return (
+    availableInMinorUnits - debitInMinorUnits >=
+    toMinorUnits(getBalanceFloor(debitAccountObj), minorUnitExponent)
+  );
+}
+
+// Which balance limit a debit of requiredAmount breaches and by how much, or null for an account
+// with neither an overdraft limit nor a minimum balance
+function describeBalanceLimitBreach(accountObj, availableBalance, requiredAmount, currency) {
+  const overdraftLimit = accountObj.overdraft_limit ?? null;
+  const minBalance = accountObj.min_balance ?? null;
+  if (overdraftLimit === null && minBalance === null) return null;
+
+  const minorUnitExponent = getMinorUnitExponent(currency) ?? 0;
+  const floor = getBalanceFloor(accountObj);
+  const shortfall = fromMinorUnits(
+    toMinorUnits(floor, minorUnitExponent) -
+      toMinorUnits(availableBalance, minorUnitExponent) +
+      toMinorUnits(requiredAmount, minorUnitExponent),
+    minorUnitExponent
+  );
+
+  if (overdraftLimit !== null && floor === -overdraftLimit) {
+    return `${PaymentInstructionsMessages.OVERDRAFT_LIMIT_EXCEEDED} ${overdraftLimit} ${currency} by ${shortfall} ${currency}`;
+  }
+  return `${PaymentInstructionsMessages.MIN_BALANCE_BREACHED} ${minBalance} ${currency} by ${shortfall} ${currency}`;
+}
+
+/**
+ * Response accounts with the available part of each balance next to the ledger part.
+ * @param {Object[]} accounts - response accounts
+ * @param {Object[]} [holds] - active holds, see loadActiveHolds
+ */
+function addAvailableBalances(accounts, holds = []) {
+  return accounts.map((account) => ({
+    ...account,
+    available_balance: getAvailableBalance(
+      account,
+      holds,
+      getMinorUnitExponent(account.currency) ?? 0
+    ),
+  }));
+}
+
+// Date of the run at runIndex (0 for the first) of a schedule, as YYYY-MM-DD. Monthly runs keep the
+// start day where the month has it and fall back to the month's last day otherwise.
+function getRunDate(startDate, frequency, runIndex) {
+  const [year, month, day] = startDate.split('-').map(Number);
+
+  if (frequency === 'MONTH') {
+    const lastDayOfMonth = new Date(Date.UTC(year, month - 1 + runIndex + 1, 0)).getUTCDate();
+    return new Date(Date.UTC(year, month - 1 + runIndex, Math.min(day, lastDayOfMonth)))
+      .toISOString()
+      .substring(0, 10);
+  }
+
+  const daysPerRun = frequency === 'WEEK' ? 7 : 1;
+  return new Date(Date.UTC(year, month - 1, day + runIndex * daysPerRun))
+    .toISOString()
+    .substring(0, 10);
+}
+
+// Milliseconds until the start (UTC) of the execute_by date
+function getExecutionDelay(executeBy) {
+  const executeAt = new Date(`${executeBy}T00:00:00.000Z`).getTime();
+  return Math.max(0, executeAt - Date.now());
 }
 
 // Error response creators
@@ -129,6 +402,131 @@ function createInvalidAmountError(data, amountStr, STATUS_CODES) {
   };
 }
 
+function createInvalidAmountPrecisionError(data, STATUS_CODES) {
+  return {
+    success: false,
+    data: {
+      ...data,
+      amount: null,
+    },
+    error: {
+      status: 'failed',
+      status_reason: PaymentInstructionsMessages.INVALID_AMOUNT_PRECISION,
+      status_code: STATUS_CODES.INVALID_AMOUNT_PRECISION,
+    },
+  };
+}
+
+function createInvalidFeeError(data, STATUS_CODES) {
+  return {
+    success: false,
+    data,
+    error: {
+      status: 'failed',
+      status_reason: PaymentInstructionsMessages.INVALID_FEE,
+      status_code: STATUS_CODES.INVALID_FEE,
+    },
+  };
+}
+
+function createDuplicateSplitAccountError(data, STATUS_CODES) {
+  return {
+    success: false,
+    data,
+    error: {
+      status: 'failed',
+      status_reason: PaymentInstructionsMessages.DUPLICATE_SPLIT_ACCOUNT,
+      status_code: STATUS_CODES.SAME_ACCOUNTS,
+    },
+  };
+}
+
+function createSplitTotalMismatchError(data, STATUS_CODES) {
+  return {
+    success: false,
+    data,
+    error: {
+      status: 'failed',
+      status_reason: PaymentInstructionsMessages.SPLIT_TOTAL_MISMATCH,
+      status_code: STATUS_CODES.SPLIT_TOTAL_MISMATCH,
+    },
+  };
+}
+
+function createInvalidFrequencyError(data, STATUS_CODES) {
+  return {
+    success: false,
+    data,
+    error: {
+      status: 'failed',
+      status_reason: PaymentInstructionsMessages.INVALID_RECURRENCE_FREQUENCY,
+      status_code: STATUS_CODES.INVALID_RECURRENCE_FREQUENCY,
+    },
+  };
+}
+
+function createSplitFeeNotSupportedError(data, STATUS_CODES) {
+  return {
+    success: false,
+    data,
+    error: {
+      status: 'failed',
+      status_reason: PaymentInstructionsMessages.SPLIT_FEE_NOT_SUPPORTED,
+      status_code: STATUS_CODES.INVALID_KEYWORD_ORDER,
+    },
+  };
+}
+
+function createInvalidRecurrenceRangeError(data, STATUS_CODES) {
+  return {
+    success: false,
+    data,
+    error: {
+      status: 'failed',
+      status_reason: PaymentInstructionsMessages.INVALID_RECURRENCE_RANGE,
+      status_code: STATUS_CODES.INVALID_RECURRENCE_RANGE,
+    },
+  };
+}
+
+function createStartDateInPastError(data, STATUS_CODES) {
+  return {
+    success: false,
+    data,
+    error: {
+      status: 'failed',
+      status_reason: PaymentInstructionsMessages.START_DATE_IN_PAST,
+      status_code: STATUS_CODES.START_DATE_IN_PAST,
+    },
+  };
+}
+
+function createInvalidRecurrenceCountError(data, STATUS_CODES) {
+  return {
+    success: false,
+    data,
+    error: {
+      status: 'failed',
+      status_reason: PaymentInstructionsMessages.INVALID_RECURRENCE_COUNT,
+      status_code: STATUS_CODES.INVALID_RECURRENCE_COUNT,
+    },
+  };
+}
+
+function createInvalidNarrationError(data, isReference, STATUS_CODES) {
+  return {
+    success: false,
+    data,
+    error: {
+      status: 'failed',
+      status_reason: isReference
+        ? PaymentInstructionsMessages.INVALID_REFERENCE
+        : PaymentInstructionsMessages.INVALID_MEMO,
+      status_code: STATUS_CODES.INVALID_NARRATION,
+    },
+  };
+}
+
 function createInvalidKeywordOrderError(data, STATUS_CODES) {
   return {
     success: false,
@@ -155,6 +553,125 @@ function createInvalidAccountIdError(data, isDebitAccount, STATUS_CODES) {
   };
 }
 
+function createInvalidTransactionIdError(data, STATUS_CODES) {
+  return {
+    success: false,
+    data,
+    error: {
+      status: 'failed',
+      status_reason: PaymentInstructionsMessages.INVALID_TRANSACTION_ID,
+      status_code: STATUS_CODES.INVALID_TRANSACTION_ID,
+    },
+  };
+}
+
+function createTransactionNotFoundError(data, STATUS_CODES) {
+  return {
+    success: false,
+    data,
+    error: {
+      status: 'failed',
+      status_reason: PaymentInstructionsMessages.TRANSACTION_NOT_FOUND,
+      status_code: STATUS_CODES.TRANSACTION_NOT_FOUND,
+    },
+  };
+}
+
+function createTransactionNotReversibleError(data, STATUS_CODES) {
+  return {
+    success: false,
+    data,
+    error: {
+      status: 'failed',
+      status_reason: PaymentInstructionsMessages.TRANSACTION_NOT_REVERSIBLE,
+      status_code: STATUS_CODES.TRANSACTION_NOT_REVERSIBLE,
+    },
+  };
+}
+
+function createAlreadyReversedError(data, STATUS_CODES) {
+  return {
+    success: false,
+    data,
+    error: {
+      status: 'failed',
+      status_reason: PaymentInstructionsMessages.ALREADY_REVERSED,
+      status_code: STATUS_CODES.ALREADY_REVERSED,
+    },
+  };
+}
+
+// A reversal or refund that another adjustment beat to the original transaction; nothing moved
+function createAdjustmentConflictError(result, STATUS_CODES) {
+  return {
+    ...result,
+    status: 'failed',
+    status_reason: PaymentInstructionsMessages.ADJUSTMENT_CONFLICT,
+    status_code: STATUS_CODES.ADJUSTMENT_CONFLICT,
+    accounts: result.accounts.map((account) => ({ ...account, balance: account.balance_before })),
+  };
+}
+
+function createRefundExceedsOriginalError(data, refundableAmount, STATUS_CODES) {
+  return {
+    success: false,
+    data,
+    error: {
+      status: 'failed',
+      status_reason: `${PaymentInstructionsMessages.REFUND_EXCEEDS_ORIGINAL}: ${refundableAmount} ${data.currency} left to refund`,
+      status_code: STATUS_CODES.REFUND_EXCEEDS_ORIGINAL,
+    },
+  };
+}
+
+function createRefundCurrencyMismatchError(data, STATUS_CODES) {
+  return {
+    success: false,
+    data,
+    error: {
+      status: 'failed',
+      status_reason: PaymentInstructionsMessages.REFUND_CURRENCY_MISMATCH,
+      status_code: STATUS_CODES.CURRENCY_MISMATCH,
+    },
+  };
+}
+
+function createInvalidHoldIdError(data, STATUS_CODES) {
+  return {
+    success: false,
+    data,
+    error: {
+      status: 'failed',
+      status_reason: PaymentInstructionsMessages.INVALID_HOLD_ID,
+      status_code: STATUS_CODES.INVALID_HOLD_ID,
+    },
+  };
+}
+
+function createHoldNotFoundError(data, STATUS_CODES) {
+  return {
+    success: false,
+    data,
+    error: {
+      status: 'failed',
+      status_reason: PaymentInstructionsMessages.HOLD_NOT_FOUND,
+      status_code: STATUS_CODES.HOLD_NOT_FOUND,
+    },
+  };
+}
+
+function createHoldNotActiveError(data, holdStatus, STATUS_CODES) {
+  return {
+    success: false,
+    data,
+    error: {
+      status: 'failed',
+      status_reason: `${PaymentInstructionsMessages.HOLD_NOT_ACTIVE}: hold is ${holdStatus}`,
+      status_code: STATUS_CODES.HOLD_NOT_ACTIVE,
+    },
+  };
+}
+
 function createSameAccountsError(data, STATUS_CODES) {
   return {
     success: false,
@@ -179,6 +696,48 @@ function createInvalidDateError(data, STATUS_CODES) {
   };
 }
 
+function createAmbiguousDateError(data, STATUS_CODES) {
+  return {
+    success: false,
+    data,
+    error: {
+      status: 'failed',
+      status_reason: PaymentInstructionsMessages.AMBIGUOUS_DATE,
+      status_code: STATUS_CODES.AMBIGUOUS_DATE,
+    },
+  };
+}
+
+function createPastRelativeDateError(data, STATUS_CODES) {
+  return {
+    success: false,
+    data,
+    error: {
+      status: 'failed',
+      status_reason: PaymentInstructionsMessages.PAST_RELATIVE_DATE,
+      status_code: STATUS_CODES.PAST_RELATIVE_DATE,
+    },
+  };
+}
+
+function createNonBusinessDayError(data, reason, STATUS_CODES) {
+  return {
+    type: data.type,
+    amount: data.amount,
+    currency: data.currency,
+    debit_account: data.debitAccount,
+    credit_account: data.creditAccount,
+    execute_by: data.executeBy,
+    execute_by_text: data.executeByText ?? null,
+    reference: data.reference ?? null,
+    memo: data.memo ?? null,
+    status: 'failed',
+    status_reason: `${PaymentInstructionsMessages.NON_BUSINESS_DAY}: ${reason}`,
+    status_code: STATUS_CODES.NON_BUSINESS_DAY,
+    accounts: data.accounts || [],
+  };
+}
+
 function createAccountNotFoundError(data, isDebitAccount, STATUS_CODES) {
   return {
     type: data.type,
@@ -187,6 +746,9 @@ function createAccountNotFoundError(data, isDebitAccount, STATUS_CODES) {
     debit_account: data.debitAccount,
     credit_account: data.creditAccount,
     execute_by: data.executeBy,
+    execute_by_text: data.executeByText ?? null,
+    reference: data.reference ?? null,
+    memo: data.memo ?? null,
     status: 'failed',
     status_reason: isDebitAccount
       ? PaymentInstructionsMessages.DEBIT_ACCOUNT_NOT_FOUND
@@ -196,6 +758,69 @@ function createAccountNotFoundError(data, isDebitAccount, STATUS_CODES) {
   };
 }
 
+// Lists the enabled currencies in prose, e.g. "Only NGN, USD, GBP, and GHS are supported"
+function describeSupportedCurrencies(codes = getEnabledCurrencyCodes()) {
+  if (codes.length === 0) return PaymentInstructionsMessages.NO_CURRENCIES_ENABLED;
+  if (codes.length === 1) return `Only ${codes[0]} is supported`;
+  if (codes.length === 2) return `Only ${codes[0]} and ${codes[1]} are supported`;
+
+  return `Only ${codes.slice(0, -1).join(', ')}, and ${codes[codes.length - 1]} are supported`;
+}
+
+function createFeeExceedsAmountError(data, STATUS_CODES) {
+  return {
+    type: data.type,
+    amount: data.amount,
+    currency: data.currency,
+    debit_account: data.debitAccount,
+    credit_account: data.creditAccount,
+    execute_by: data.executeBy,
+    execute_by_text: data.executeByText ?? null,
+    reference: data.reference ?? null,
+    memo: data.memo ?? null,
+    status: 'failed',
+    status_reason: PaymentInstructionsMessages.FEE_EXCEEDS_AMOUNT,
+    status_code: STATUS_CODES.INVALID_FEE,
+    accounts: data.accounts || [],
+  };
+}
+
+function createFeeAccountNotFoundError(data, STATUS_CODES) {
+  return {
+    type: data.type,
+    amount: data.amount,
+    currency: data.currency,
+    debit_account: data.debitAccount,
+    credit_account: data.creditAccount,
+    execute_by: data.executeBy,
+    execute_by_text: data.executeByText ?? null,
+    reference: data.reference ?? null,
+    memo: data.memo ?? null,
+    status: 'failed',
+    status_reason: PaymentInstructionsMessages.FEE_ACCOUNT_NOT_FOUND,
+    status_code: STATUS_CODES.ACCOUNT_NOT_FOUND,
+    accounts: data.accounts || [],
+  };
+}
+
+function createFeeAccountIsPartyError(data, STATUS_CODES) {
+  return {
+    type: data.type,
+    amount: data.amount,
+    currency: data.currency,
+    debit_account: data.debitAccount,
+    credit_account: data.creditAccount,
+    execute_by: data.executeBy,
+    execute_by_text: data.executeByText ?? null,
+    reference: data.reference ?? null,
+    memo: data.memo ?? null,
+    status: 'failed',
+    status_reason: PaymentInstructionsMessages.FEE_ACCOUNT_IS_PARTY,
+    status_code: STATUS_CODES.SAME_ACCOUNTS,
+    accounts: data.accounts || [],
+  };
+}
+
 function createUnsupportedCurrencyError(data, STATUS_CODES) {
   return {
     type: data.type,
@@ -204,8 +829,11 @@ function createUnsupportedCurrencyError(data, STATUS_CODES) {
     debit_account: data.debitAccount,
     credit_account: data.creditAccount,
     execute_by: data.executeBy,
+    execute_by_text: data.executeByText ?? null,
+    reference: data.reference ?? null,
+    memo: data.memo ?? null,
     status: 'failed',
-    status_reason: PaymentInstructionsMessages.UNSUPPORTED_CURRENCY,
+    status_reason: `${PaymentInstructionsMessages.UNSUPPORTED_CURRENCY}. ${describeSupportedCurrencies()}`,
     status_code: STATUS_CODES.UNSUPPORTED_CURRENCY,
     accounts: data.accounts || [],
   };
@@ -219,6 +847,9 @@ function createCurrencyMismatchError(data, STATUS_CODES) {
     debit_account: data.debitAccount,
     credit_account: data.creditAccount,
     execute_by: data.executeBy,
+    execute_by_text: data.executeByText ?? null,
+    reference: data.reference ?? null,
+    memo: data.memo ?? null,
     status: 'failed',
     status_reason: PaymentInstructionsMessages.CURRENCY_MISMATCH,
     status_code: STATUS_CODES.CURRENCY_MISMATCH,
@@ -227,6 +858,15 @@ function createCurrencyMismatchError(data, STATUS_CODES) {
 }
 
 function createInsufficientFundsError(data, debitAccountObj, STATUS_CODES) {
+  const availableBalance = data.availableBalance ?? debitAccountObj.balance;
+  const requiredAmount = data.requiredAmount ?? data.amount;
+  const limitBreach = describeBalanceLimitBreach(
+    debitAccountObj,
+    availableBalance,
+    requiredAmount,
+    data.currency
+  );
+
   return {
     type: data.type,
     amount: data.amount,
@@ -234,13 +874,84 @@ function createInsufficientFundsError(data, debitAccountObj, STATUS_CODES) {
     debit_account: data.debitAccount,
     credit_account: data.creditAccount,
     execute_by: data.executeBy,
+    execute_by_text: data.executeByText ?? null,
+    reference: data.reference ?? null,
+    memo: data.memo ?? null,
     status: 'failed',
-    status_reason: `${PaymentInstructionsMessages.INSUFFICIENT_FUNDS}: has ${debitAccountObj.balance} ${data.currency}, needs ${data.amount} ${data.currency}`,
+    status_reason: `${PaymentInstructionsMessages.INSUFFICIENT_FUNDS}: has ${availableBalance} ${data.currency}, needs ${requiredAmount} ${data.currency}${limitBreach ? `, ${limitBreach}` : ''}`,
     status_code: STATUS_CODES.INSUFFICIENT_FUNDS,
     accounts: data.accounts || [],
   };
 }
 
+// The message and status code key of each limit type, see TRANSACTION_LIMITS
+const LIMIT_ERRORS = {
+  amount: 'TRANSFER_LIMIT_EXCEEDED',
+  count: 'DEBIT_COUNT_LIMIT_EXCEEDED',
+  volume: 'DEBIT_VOLUME_LIMIT_EXCEEDED',
+};
+
+// Says which limit a debit hit, and when its window frees enough room for it to go through
+function createLimitExceededError(data, breach, STATUS_CODES) {
+  const { limit, resetsAt } = breach;
+  const errorKey = LIMIT_ERRORS[limit.type];
+  const currency = limit.currency || data.currency;
+  const resetsAtText = resetsAt === null ? null : new Date(resetsAt).toISOString();
+
+  let limitText = `max ${limit.max} ${currency}`;
+  if (limit.type === 'count') limitText = `max ${limit.max} debits per ${limit.window_hours} hours`;
+  if (limit.type === 'volume') limitText += ` per ${limit.window_hours} hours`;
+
+  return {
+    type: data.type,
+    amount: data.amount,
+    currency: data.currency,
+    debit_account: data.debitAccount,
+    credit_account: data.creditAccount,
+    execute_by: data.executeBy,
+    execute_by_text: data.executeByText ?? null,
+    reference: data.reference ?? null,
+    memo: data.memo ?? null,
+    status: 'failed',
+    status_reason: `${PaymentInstructionsMessages[errorKey]} (${limit.name}): ${limitText}${resetsAtText ? `; ${PaymentInstructionsMessages.LIMIT_WINDOW_RESETS} ${resetsAtText}` : ''}`,
+    status_code: STATUS_CODES[errorKey],
+    accounts: data.accounts || [],
+    limit: {
+      name: limit.name,
+      type: limit.type,
+      max: limit.max,
+      currency: limit.currency || null,
+      window_hours: limit.window_hours || null,
+      resets_at: resetsAtText,
+    },
+  };
+}
+
+// Says which blocklist entries held the instruction back; nothing has been executed or scheduled
+function createHeldForReviewResponse(data, matches, STATUS_CODES) {
+  const matchText = matches
+    .map((match) => `${match.value} ${PaymentInstructionsMessages.BLOCKLIST_MATCH} ${match.entry}`)
+    .join('; ');
+
+  return {
+    type: data.type,
+    amount: data.amount,
+    currency: data.currency,
+    debit_account: data.debitAccount,
+    credit_account: data.creditAccount,
+    execute_by: data.executeBy,
+    execute_by_text: data.executeByText ?? null,
+    reference: data.reference ?? null,
+    memo: data.memo ?? null,
+    status: 'held_for_review',
+    status_reason: `${PaymentInstructionsMessages.HELD_FOR_REVIEW}: ${matchText}`,
+    status_code: STATUS_CODES.HELD_FOR_REVIEW,
+    accounts: data.accounts || [],
+    screening: { matches },
+    ...(data.credits && { credits: data.credits }),
+  };
+}
+
 // Success response creators
 function createSuccessResponse(data) {
   return {
@@ -267,6 +978,90 @@ function createSuccessfulTransactionResponse(data, STATUS_CODES) {
   };
 }
 
+function createScheduledInstructionResponse(scheduledInstruction) {
+  return {
+    id: scheduledInstruction._id,
+    type: scheduledInstruction.type,
+    amount: scheduledInstruction.amount,
+    currency: scheduledInstruction.currency,
+    debit_account: scheduledInstruction.debit_account,
+    credit_account: scheduledInstruction.credit_account,
+    execute_by: scheduledInstruction.execute_by,
+    execute_by_text: scheduledInstruction.execute_by_text || null,
+    reference: scheduledInstruction.reference || null,
+    memo: scheduledInstruction.memo || null,
+    status: scheduledInstruction.status,
+    status_reason: scheduledInstruction.status_reason,
+    status_code: scheduledInstruction.status_code,
+    executed_at: scheduledInstruction.executed_at || null,
+    accounts: scheduledInstruction.accounts,
+    ...(scheduledInstruction.execute_by_adjustment && {
+      execute_by_adjustment: scheduledInstruction.execute_by_adjustment,
+    }),
+    ...(scheduledInstruction.strict_date && { strict_date: true }),
+    ...(scheduledInstruction.credits && { credits: scheduledInstruction.credits }),
+  };
+}
+
+function createHeldInstructionResponse(heldInstruction) {
+  return {
+    id: heldInstruction._id,
+    type: heldInstruction.type ?? null,
+    amount: heldInstruction.amount ?? null,
+    currency: heldInstruction.currency ?? null,
+    debit_account: heldInstruction.debit_account ?? null,
+    credit_account: heldInstruction.credit_account ?? null,
+    beneficiary_name: heldInstruction.beneficiary_name || null,
+    status: heldInstruction.status,
+    status_reason: heldInstruction.status_reason,
+    status_code: heldInstruction.status_code,
+    review_note: heldInstruction.review_note || null,
+    reviewed_at: heldInstruction.reviewed_at || null,
+    screening: { matches: heldInstruction.screening_matches },
+    ...(heldInstruction.credits && { credits: heldInstruction.credits }),
+  };
+}
+
+function createRecurringInstructionResponse(recurringInstruction, accounts) {
+  return {
+    id: recurringInstruction._id,
+    type: recurringInstruction.type,
+    amount: recurringInstruction.amount,
+    currency: recurringInstruction.currency,
+    debit_account: recurringInstruction.debit_account,
+    credit_account: recurringInstruction.credit_account,
+    execute_by: recurringInstruction.next_run_date,
+    reference: recurringInstruction.reference || null,
+    memo: recurringInstruction.memo || null,
+    status: recurringInstruction.status,
+    status_reason: recurringInstruction.status_reason,
+    status_code: recurringInstruction.status_code,
+    recurrence: {
+      frequency: recurringInstruction.frequency,
+      start_date: recurringInstruction.start_date,
+      end_date: recurringInstruction.end_date || null,
+      times: recurringInstruction.times || null,
+      runs_completed: recurringInstruction.runs_completed,
+      next_run_date: recurringInstruction.next_run_date,
+    },
+    accounts,
+    ...(recurringInstruction.credits && { credits: recurringInstruction.credits }),
+  };
+}
+
+function createRecurringInstructionRunResponse(run) {
+  return {
+    id: run._id,
+    run_number: run.run_number,
+    run_date: run.run_date,
+    status: run.status,
+    status_reason: run.status_reason,
+    status_code: run.status_code,
+    executed_at: run.executed_at,
+    accounts: run.accounts,
+  };
+}
+
 function createMalformedInstructionError(STATUS_CODES) {
   return {
     success: false,
@@ -280,34 +1075,88 @@ function createMalformedInstructionError(STATUS_CODES) {
 
 module.exports = {
   isValidAccountId,
+  isValidTransactionId,
+  isValidHoldId,
+  isDigits,
   isValidAmount,
+  getAmountPrecision,
+  hasValidAmountPrecision,
+  toMinorUnits,
+  fromMinorUnits,
+  getFxRate,
+  convertAmount,
   hasValidFromAccountKeywords,
-  hasValidForCreditToAccountKeywords,
-  hasValidToAccountKeywords,
-  hasValidForDebitFromAccountKeywords,
+  hasValidForCreditToAccountsKeywords,
   areSameAccounts,
   hasValidOnDate,
+  hasValidWithFeeKeywords,
+  hasValidBorneByKeywords,
+  isValidFeeBearer,
+  hasValidEveryKeyword,
+  isValidFrequency,
+  isNarrationKeyword,
+  isQuotedText,
+  isValidReference,
+  isValidMemo,
   hasExtraWords,
   hasEnoughWords,
   hasValidFirstWord,
+  parseDate,
+  getCurrentUTCDate,
   isFutureDate,
   debitAccountExists,
   creditAccountExists,
-  isSupportedCurrency,
   currenciesMatch,
+  getAvailableBalance,
   hasSufficientFunds,
+  addAvailableBalances,
+  describeSupportedCurrencies,
+  getRunDate,
+  getExecutionDelay,
   createMissingKeywordError,
   createInvalidAmountError,
+  createInvalidAmountPrecisionError,
+  createInvalidFeeError,
+  createDuplicateSplitAccountError,
+  createSplitTotalMismatchError,
+  createInvalidFrequencyError,
+  createSplitFeeNotSupportedError,
+  createInvalidRecurrenceRangeError,
+  createStartDateInPastError,
+  createInvalidRecurrenceCountError,
+  createInvalidNarrationError,
   createInvalidKeywordOrderError,
   createInvalidAccountIdError,
+  createInvalidTransactionIdError,
+  createTransactionNotFoundError,
+  createTransactionNotReversibleError,
+  createAlreadyReversedError,
+  createAdjustmentConflictError,
+  createRefundExceedsOriginalError,
+  createRefundCurrencyMismatchError,
+  createInvalidHoldIdError,
+  createHoldNotFoundError,
+  createHoldNotActiveError,
   createSameAccountsError,
   createInvalidDateError,
+  createAmbiguousDateError,
+  createPastRelativeDateError,
+  createNonBusinessDayError,
   createAccountNotFoundError,
+  createFeeExceedsAmountError,
+  createFeeAccountNotFoundError,
+  createFeeAccountIsPartyError,
   createUnsupportedCurrencyError,
   createCurrencyMismatchError,
   createInsufficientFundsError,
+  createLimitExceededError,
+  createHeldForReviewResponse,
   createMalformedInstructionError,
   createSuccessResponse,
   createPendingTransactionResponse,
   createSuccessfulTransactionResponse,
+  createScheduledInstructionResponse,
+  createHeldInstructionResponse,
+  createRecurringInstructionResponse,
+  createRecurringInstructionRunResponse,
 };
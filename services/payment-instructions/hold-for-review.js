@@ -0,0 +1,63 @@
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const HeldInstruction = require('@app/repository/held-instruction');
+
+const spec = `root {
+  instruction string
+  source_accounts[]? {
+    id string
+    balance number
+    currency string
+    overdraft_limit? number<min:0>
+    min_balance? number
+  }
+  use_ledger? boolean
+  convert? boolean
+  keyword_matching? string
+  locale? string
+  beneficiary_name? string
+  result object
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+// Stores an instruction that matched the blocklist, with what is needed to run it if released
+async function holdForReview(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  const { result } = data;
+
+  const heldInstruction = await HeldInstruction.create(
+    {
+      instruction: data.instruction,
+      type: result.type,
+      amount: result.amount,
+      currency: result.currency,
+      debit_account: result.debit_account,
+      credit_account: result.credit_account,
+      credits: result.credits,
+      // Resolved now, so a release does not read TOMORROW or NEXT FRIDAY again
+      execute_by: result.execute_by,
+      execute_by_text: result.execute_by_text,
+      beneficiary_name: data.beneficiary_name,
+      screening_matches: result.screening.matches,
+      source_accounts: data.source_accounts || [],
+      use_ledger: !!data.use_ledger,
+      convert: !!data.convert,
+      keyword_matching: data.keyword_matching,
+      locale: data.locale,
+      status: result.status,
+      status_code: result.status_code,
+      status_reason: result.status_reason,
+    },
+    options
+  );
+
+  appLogger.warn(
+    { id: heldInstruction._id, matches: result.screening.matches },
+    'payment-instruction-held-for-review'
+  );
+
+  return { id: heldInstruction._id };
+}
+
+module.exports = holdForReview;
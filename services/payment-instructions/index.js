@@ -3,13 +3,16 @@ const {
   processTransaction,
   processTransactionService,
   STATUS_CODES,
-  SUPPORTED_CURRENCIES,
 } = require('./process');
+const { processBatchService, FAILURE_MODES } = require('./process-batch');
+const currencyRegistry = require('./currency-registry');
 
 module.exports = {
   parseInstruction,
   processTransaction,
   processTransactionService,
+  processBatchService,
+  FAILURE_MODES,
   STATUS_CODES,
-  SUPPORTED_CURRENCIES,
+  currencyRegistry,
 };
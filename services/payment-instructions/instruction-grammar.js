@@ -0,0 +1,389 @@
+const {
+  getCurrentUTCDate,
+  isValidAmount,
+  hasValidAmountPrecision,
+  isValidAccountId,
+  isValidTransactionId,
+  isValidHoldId,
+  areSameAccounts,
+  hasExtraWords,
+  createMissingKeywordError,
+  createInvalidKeywordOrderError,
+  createInvalidAmountError,
+  createInvalidAmountPrecisionError,
+  createInvalidAccountIdError,
+  createSameAccountsError,
+  createInvalidTransactionIdError,
+  createInvalidHoldIdError,
+  createInvalidDateError,
+  createAmbiguousDateError,
+  createPastRelativeDateError,
+  createSuccessResponse,
+} = require('./helpers');
+const { getMinorUnitExponent } = require('./currency-registry');
+const { DATE_PROBLEMS, countDateWords, resolveExecutionDate } = require('./natural-dates');
+const { systemClock } = require('./clock');
+
+// Marks the word a parse error is about and what was expected there; parseInstruction turns
+// this into a diagnostic with the word's position in the instruction
+function pointAt(errorResult, wordIndex, expected, suggestion = null) {
+  return { ...errorResult, diagnostic: { wordIndex, expected, suggestion } };
+}
+
+// Each slot type reads its text into a value and validates it. validate returns null when the
+// text is acceptable, otherwise the error and an optional suggested fix. A slot is one word
+// unless its type counts the words it takes.
+const SLOT_TYPES = {
+  amount: {
+    label: 'amount',
+    read: (word) => (isValidAmount(word) ? Number(word) : null),
+    validate(word, { values }, STATUS_CODES) {
+      if (!isValidAmount(word)) {
+        return { error: createInvalidAmountError(values, word, STATUS_CODES) };
+      }
+
+      const minorUnitExponent = getMinorUnitExponent(values.currency);
+      if (minorUnitExponent !== null && !hasValidAmountPrecision(word, minorUnitExponent)) {
+        return {
+          error: createInvalidAmountPrecisionError(values, STATUS_CODES),
+          suggestion: `use at most ${minorUnitExponent} decimal places for ${values.currency}`,
+        };
+      }
+      return null;
+    },
+  },
+  // Currencies are checked against the registry when the instruction is executed
+  currency: {
+    label: 'currency',
+    read: (word) => word.toUpperCase(),
+    validate: () => null,
+  },
+  // Every account id in an instruction has to differ from the ones before it
+  'account id': {
+    label: 'account id',
+    read: (word) => word,
+    validate(word, { values, field, previousWords }, STATUS_CODES) {
+      if (!isValidAccountId(word)) {
+        return {
+          error: createInvalidAccountIdError(values, field === 'debitAccount', STATUS_CODES),
+        };
+      }
+
+      const repeatedWord = previousWords.find((previousWord) =>
+        areSameAccounts(previousWord, word)
+      );
+      if (repeatedWord) {
+        return {
+          error: createSameAccountsError(values, STATUS_CODES),
+          suggestion: `use an account other than ${repeatedWord}`,
+        };
+      }
+      return null;
+    },
+  },
+  // The journal entry a reversal or refund adjusts
+  'transaction id': {
+    label: 'transaction id',
+    read: (word) => word.toUpperCase(),
+    validate(word, { values }, STATUS_CODES) {
+      if (!isValidTransactionId(word)) {
+        return { error: createInvalidTransactionIdError(values, STATUS_CODES) };
+      }
+      return null;
+    },
+  },
+  // The hold a capture or release settles
+  'hold id': {
+    label: 'hold id',
+    read: (word) => word.toUpperCase(),
+    validate(word, { values }, STATUS_CODES) {
+      if (!isValidHoldId(word)) {
+        return { error: createInvalidHoldIdError(values, STATUS_CODES) };
+      }
+      return null;
+    },
+  },
+  // Resolved to a UTC date against the clock, so TOMORROW or NEXT FRIDAY depend on today
+  date: {
+    label: 'date (YYYY-MM-DD)',
+    countWords: countDateWords,
+    read: (text, { clock }) => resolveExecutionDate(text, getCurrentUTCDate(clock)).date,
+    validate(text, { values, field, textField, clock }, STATUS_CODES) {
+      const { problem } = resolveExecutionDate(text, getCurrentUTCDate(clock));
+      const failedValues = { ...values, [field]: text, ...(textField && { [textField]: text }) };
+
+      if (!problem) return null;
+      if (problem === DATE_PROBLEMS.AMBIGUOUS) {
+        return {
+          error: createAmbiguousDateError(failedValues, STATUS_CODES),
+          suggestion:
+            'use YYYY-MM-DD, a date such as 20 SEP 2026, NEXT and a weekday, or an ISO datetime with a timezone',
+        };
+      }
+      if (problem === DATE_PROBLEMS.PAST) {
+        return {
+          error: createPastRelativeDateError(failedValues, STATUS_CODES),
+          suggestion: 'use TODAY, TOMORROW, NEXT and a weekday, or a full date',
+        };
+      }
+      return { error: createInvalidDateError(failedValues, STATUS_CODES) };
+    },
+  },
+};
+
+// Grammar elements
+function keywords(...keywordList) {
+  return { keywords: keywordList };
+}
+
+/**
+ * A typed slot that reads into `field`. With `textField` the text as written is kept as well,
+ * for slots whose value is normalised.
+ * @param {String} type - one of the SLOT_TYPES
+ * @param {String} field
+ * @param {Object} [options]
+ * @param {String} [options.textField]
+ */
+function slot(type, field, options = {}) {
+  return { slot: type, field, textField: options.textField || null };
+}
+
+/**
+ * An optional clause made of leading keywords and the slots that follow them. Once the keywords
+ * are found every slot is required. A clause with an `unless` field is skipped when that value
+ * has already been parsed, and one with a `requires` field is skipped until it has. A clause with
+ * a `flag` sets that value to true when present and false otherwise.
+ * @param {String[]} keywordList
+ * @param {Object[]} slots
+ * @param {Object} [options]
+ * @param {String} [options.unless]
+ * @param {String} [options.requires]
+ * @param {String} [options.flag]
+ */
+function clause(keywordList, slots, options = {}) {
+  return {
+    keywords: keywordList,
+    slots,
+    unless: options.unless || null,
+    requires: options.requires || null,
+    flag: options.flag || null,
+  };
+}
+
+// The words of a sequence as the user would write them, keywords as-is and slots by their label
+function describeSequence(sequence) {
+  return sequence.flatMap((element) => element.keywords || [SLOT_TYPES[element.slot].label]);
+}
+
+// Index of the first word that the matcher does not accept as its keyword, or -1 when they all match
+function findMismatchedKeyword(words, startIndex, keywordList, matcher) {
+  for (let i = 0; i < keywordList.length; i++) {
+    if (!matcher.matches(words, startIndex + i, keywordList[i])) return startIndex + i;
+  }
+  return -1;
+}
+
+// The text of the slot starting at wordIndex and how many words it takes
+function readSlotWords(element, words, wordIndex) {
+  const { countWords } = SLOT_TYPES[element.slot];
+  const wordCount = countWords ? countWords(words, wordIndex) : 1;
+
+  return { text: words.slice(wordIndex, wordIndex + wordCount).join(' ') || null, wordCount };
+}
+
+function validateSlot(element, text, wordIndex, context, STATUS_CODES) {
+  const slotType = SLOT_TYPES[element.slot];
+  const failure = slotType.validate(
+    text,
+    { ...context, field: element.field, textField: element.textField },
+    STATUS_CODES
+  );
+
+  return failure && pointAt(failure.error, wordIndex, [slotType.label], failure.suggestion);
+}
+
+function isClauseAllowed(grammarClause, values) {
+  if (grammarClause.unless && values[grammarClause.unless]) return false;
+  return !grammarClause.requires || Boolean(values[grammarClause.requires]);
+}
+
+// An optional clause returns the values it parsed and the index after it, or an error.
+// Clauses with a parse function handle their own inner structure.
+function parseClause(
+  grammarClause,
+  words,
+  startIndex,
+  values,
+  matcher,
+  STATUS_CODES,
+  clock = systemClock
+) {
+  if (grammarClause.parse) {
+    return grammarClause.parse(words, startIndex, values, matcher, clock);
+  }
+
+  if (
+    !isClauseAllowed(grammarClause, values) ||
+    findMismatchedKeyword(words, startIndex, grammarClause.keywords, matcher) !== -1
+  ) {
+    return { nextIndex: startIndex };
+  }
+
+  let currentIndex = startIndex + grammarClause.keywords.length;
+  const clauseValues = grammarClause.flag ? { [grammarClause.flag]: true } : {};
+
+  for (let i = 0; i < grammarClause.slots.length; i++) {
+    const element = grammarClause.slots[i];
+    const { text, wordCount } = readSlotWords(element, words, currentIndex);
+    const context = { values: { ...values, ...clauseValues }, previousWords: [], clock };
+    const error = validateSlot(element, text, currentIndex, context, STATUS_CODES);
+    if (error) return { error };
+
+    clauseValues[element.field] = SLOT_TYPES[element.slot].read(text, context);
+    if (element.textField) clauseValues[element.textField] = text;
+    currentIndex += wordCount;
+  }
+
+  return { ...clauseValues, nextIndex: currentIndex };
+}
+
+function getClauseKeyword(grammarClause) {
+  return grammarClause.keyword || grammarClause.keywords[0];
+}
+
+// Keywords that could still follow the words parsed so far: clauses after the last one parsed,
+// the inner keywords a parsed clause still allows, and the closing keywords
+function getOpenKeywords(grammar, parsedClauses, values) {
+  const lastParsedIndex = Math.max(
+    -1,
+    ...parsedClauses.map((grammarClause) => grammar.clauses.indexOf(grammarClause))
+  );
+  const openKeywords = [];
+
+  grammar.clauses.forEach((grammarClause, index) => {
+    if (parsedClauses.includes(grammarClause)) {
+      if (grammarClause.openKeywords) openKeywords.push(...grammarClause.openKeywords(values));
+    } else if (index > lastParsedIndex && isClauseAllowed(grammarClause, values)) {
+      openKeywords.push(getClauseKeyword(grammarClause));
+    }
+  });
+
+  return [...openKeywords, ...grammar.closingKeywords];
+}
+
+/**
+ * Parses words against a grammar: a fixed sequence of keywords and typed slots, then optional
+ * clauses in order. Checks run in the order of the sequence; a keyword run is only checked once
+ * all of its words are present, and an instruction that stops short is reported as missing a
+ * keyword after the words it has are validated.
+ * @param {Object} grammar - { type, sequence, clauses, closingKeywords } and optional
+ * `defaults` for values the words do not set
+ * @param {String[]} words
+ * @param {Object} matcher - keyword matcher for this parse
+ * @param {Object} STATUS_CODES
+ * @param {Object} [clock] - for slots relative to today
+ */
+function parseWithGrammar(grammar, words, matcher, STATUS_CODES, clock = systemClock) {
+  const format = describeSequence(grammar.sequence);
+  let values = { type: grammar.type, ...grammar.defaults };
+  const slotStarts = [];
+  let wordIndex = 0;
+
+  // Slots in the sequence are one word each at fixed positions, so their values are known
+  // before they are validated
+  grammar.sequence.forEach((element) => {
+    slotStarts.push(wordIndex);
+    if (element.slot) {
+      values[element.field] = words[wordIndex]
+        ? SLOT_TYPES[element.slot].read(words[wordIndex], { clock })
+        : null;
+    }
+    wordIndex += element.keywords ? element.keywords.length : 1;
+  });
+  grammar.clauses.forEach((grammarClause) => {
+    if (grammarClause.flag) values[grammarClause.flag] = false;
+    (grammarClause.slots || []).forEach((element) => {
+      values[element.field] = null;
+      if (element.textField) values[element.textField] = null;
+    });
+  });
+
+  // The words of the slots validated so far, by slot type
+  const slotWords = {};
+
+  for (let i = 0; i < grammar.sequence.length; i++) {
+    const element = grammar.sequence[i];
+    const startIndex = slotStarts[i];
+
+    if (element.keywords) {
+      const mismatchIndex =
+        words.length >= startIndex + element.keywords.length
+          ? findMismatchedKeyword(words, startIndex, element.keywords, matcher)
+          : -1;
+
+      if (mismatchIndex !== -1) {
+        return pointAt(createInvalidKeywordOrderError(values, STATUS_CODES), mismatchIndex, [
+          element.keywords[mismatchIndex - startIndex],
+        ]);
+      }
+    } else if (startIndex < words.length) {
+      const previousWords = slotWords[element.slot] || [];
+      const error = validateSlot(
+        element,
+        words[startIndex],
+        startIndex,
+        { values, previousWords, clock },
+        STATUS_CODES
+      );
+
+      if (error) return error;
+      slotWords[element.slot] = [...previousWords, words[startIndex]];
+    }
+  }
+
+  if (words.length < format.length) {
+    return pointAt(createMissingKeywordError(values, STATUS_CODES), words.length, [
+      format[words.length],
+    ]);
+  }
+
+  let currentIndex = format.length;
+  const parsedClauses = [];
+
+  for (let i = 0; i < grammar.clauses.length; i++) {
+    const { error, nextIndex, ...clauseValues } = parseClause(
+      grammar.clauses[i],
+      words,
+      currentIndex,
+      values,
+      matcher,
+      STATUS_CODES,
+      clock
+    );
+    if (error) return error;
+
+    values = { ...values, ...clauseValues };
+    if (nextIndex > currentIndex) parsedClauses.push(grammar.clauses[i]);
+    currentIndex = nextIndex;
+  }
+
+  if (hasExtraWords(words, currentIndex)) {
+    return pointAt(
+      createInvalidKeywordOrderError(values, STATUS_CODES),
+      currentIndex,
+      getOpenKeywords(grammar, parsedClauses, values)
+    );
+  }
+
+  return createSuccessResponse(values);
+}
+
+module.exports = {
+  pointAt,
+  keywords,
+  slot,
+  clause,
+  describeSequence,
+  parseClause,
+  parseWithGrammar,
+};
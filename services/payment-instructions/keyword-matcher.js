@@ -0,0 +1,133 @@
+const { DEFAULT_LOCALE, normaliseKeyword, getKeywordAliases } = require('./locales');
+
+const KEYWORD_MATCHING_MODES = {
+  STRICT: 'strict',
+  LENIENT: 'lenient',
+};
+
+// Optimal string alignment distance: insertions, deletions, substitutions and swaps of two
+// neighbouring letters each count as one edit, so FRM, FORM and FROMM are all one edit from FROM
+function getEditDistance(source, target) {
+  const distances = [];
+
+  for (let i = 0; i <= source.length; i++) {
+    distances.push([i]);
+  }
+  for (let j = 1; j <= target.length; j++) {
+    distances[0].push(j);
+  }
+
+  for (let i = 1; i <= source.length; i++) {
+    for (let j = 1; j <= target.length; j++) {
+      const substitutionCost = source[i - 1] === target[j - 1] ? 0 : 1;
+
+      distances[i][j] = Math.min(
+        distances[i - 1][j] + 1,
+        distances[i][j - 1] + 1,
+        distances[i - 1][j - 1] + substitutionCost
+      );
+
+      if (i > 1 && j > 1 && source[i - 1] === target[j - 2] && source[i - 2] === target[j - 1]) {
+        distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return distances[source.length][target.length];
+}
+
+// Two-letter keywords such as TO, BY and ON are one edit from too many other words to allow a typo
+function getMaxTypoDistance(keyword) {
+  if (keyword.length <= 2) return 0;
+  if (keyword.length <= 5) return 1;
+  return 2;
+}
+
+// The closest keyword within its typo allowance, or null when none is close enough. Localised
+// spellings count as well; the result has the keyword and the spelling it was closest to.
+function findClosestKeyword(word, keywords, locale) {
+  const normalisedWord = normaliseKeyword(word);
+  let closestKeyword = null;
+  let closestDistance = Infinity;
+
+  keywords.forEach((keyword) => {
+    [keyword, ...getKeywordAliases(keyword, locale)].forEach((spelling) => {
+      const distance = getEditDistance(normalisedWord, spelling);
+
+      if (distance <= getMaxTypoDistance(spelling) && distance < closestDistance) {
+        closestKeyword = { keyword, spelling };
+        closestDistance = distance;
+      }
+    });
+  });
+
+  return closestKeyword;
+}
+
+/**
+ * Creates the keyword matcher for one parse. Exact matches are case insensitive, and the words
+ * of the locale match the English keywords they stand for. A near miss matches in lenient mode
+ * and is recorded in `corrections`; in strict mode it does not match and is recorded in
+ * `suggestions` so the error can say what was probably meant.
+ * @param {String} [mode] - strict (default) or lenient
+ * @param {String} [locale] - one of SUPPORTED_LOCALES, English by default
+ */
+function createKeywordMatcher(mode = KEYWORD_MATCHING_MODES.STRICT, locale = DEFAULT_LOCALE) {
+  const corrections = [];
+  const suggestions = [];
+
+  // Returns the keyword the word at index is taken as, or null when it matches none of them. The
+  // words are left as written; callers that act on the keyword use the one returned.
+  function match(words, index, keywords) {
+    if (index >= words.length) return null;
+
+    const word = words[index].toUpperCase();
+    if (keywords.includes(word)) return word;
+
+    const localisedKeyword = keywords.find((keyword) =>
+      getKeywordAliases(keyword, locale).includes(normaliseKeyword(word))
+    );
+    if (localisedKeyword) return localisedKeyword;
+
+    const closestKeyword = findClosestKeyword(word, keywords, locale);
+    if (!closestKeyword) return null;
+
+    if (mode === KEYWORD_MATCHING_MODES.LENIENT) {
+      // A word is matched again by later checks, but corrected once
+      if (!corrections.some((correction) => correction.wordIndex === index)) {
+        corrections.push({
+          wordIndex: index,
+          found: words[index],
+          correctedTo: closestKeyword.spelling,
+        });
+      }
+      return closestKeyword.keyword;
+    }
+
+    if (!suggestions.some((suggestion) => suggestion.wordIndex === index)) {
+      suggestions.push({
+        wordIndex: index,
+        found: words[index],
+        suggestion: closestKeyword.spelling,
+      });
+    }
+    return null;
+  }
+
+  return {
+    mode,
+    locale,
+    corrections,
+    suggestions,
+    match,
+    matches(words, index, keyword) {
+      return match(words, index, [keyword]) === keyword;
+    },
+  };
+}
+
+module.exports = {
+  KEYWORD_MATCHING_MODES,
+  getEditDistance,
+  createKeywordMatcher,
+};
@@ -0,0 +1,33 @@
+const validator = require('@app-core/validator');
+const Hold = require('@app/repository/hold');
+
+const spec = `root {
+  account_ids[] string
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Loads the active holds that reserve funds on any of the accounts
+ * @param {Object} serviceData - { account_ids }
+ * @param {Object} [options]
+ * @param {Object} [options.session] - reads the holds in the caller's transaction
+ */
+async function loadActiveHolds(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  const { session } = options;
+
+  const holds = await Hold.findMany({
+    query: { debit_account: { $in: data.account_ids }, status: 'active' },
+    options: { session },
+  });
+
+  return holds.map((hold) => ({
+    id: hold._id,
+    debit_account: hold.debit_account,
+    amount: hold.amount,
+    currency: hold.currency,
+  }));
+}
+
+module.exports = loadActiveHolds;
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const { promisify } = require('util');
+const { appLogger } = require('@app-core/logger');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { PaymentInstructionsMessages } = require('@app/messages');
+const { EMPTY_BLOCKLIST, createBlocklist } = require('./blocklist-screening');
+
+const stat = promisify(fs.stat);
+const readFile = promisify(fs.readFile);
+
+// The last blocklist read from each file, with the modification time and size it was read at
+const loadedBlocklists = {};
+
+/**
+ * Loads the screening blocklist from a local JSON file, {"account_ids":[...],"names":[...]}.
+ * The file is read again whenever it changes on disk, so edits apply to the next instruction
+ * without a restart. A file that cannot be read or parsed keeps the last blocklist read from it
+ * in force. Screening is off only when no file is configured: a configured file that has never
+ * loaded throws, so no instruction runs unscreened.
+ * @param {Object} [options]
+ * @param {String} [options.path] - BLOCKLIST_PATH by default
+ */
+async function loadBlocklist(options = {}) {
+  const path = options.path || process.env.BLOCKLIST_PATH;
+  if (!path) return EMPTY_BLOCKLIST;
+
+  const loadedBlocklist = loadedBlocklists[path];
+
+  try {
+    const stats = await stat(path);
+
+    if (
+      loadedBlocklist &&
+      loadedBlocklist.modifiedAt === stats.mtimeMs &&
+      loadedBlocklist.size === stats.size
+    ) {
+      return loadedBlocklist.blocklist;
+    }
+
+    const blocklist = createBlocklist(JSON.parse(await readFile(path, 'utf8')));
+
+    loadedBlocklists[path] = { blocklist, modifiedAt: stats.mtimeMs, size: stats.size };
+    appLogger.info(
+      { path, accountIds: blocklist.account_ids.length, names: blocklist.names.length },
+      'payment-instruction-blocklist-loaded'
+    );
+
+    return blocklist;
+  } catch (error) {
+    if (!loadedBlocklist) {
+      appLogger.errorX(error, 'payment-instruction-blocklist-unavailable');
+      throwAppError(PaymentInstructionsMessages.BLOCKLIST_UNAVAILABLE, ERROR_CODE.APPERR);
+    }
+
+    appLogger.warn({ path, error }, 'payment-instruction-blocklist-load-failed');
+    return loadedBlocklist.blocklist;
+  }
+}
+
+module.exports = loadBlocklist;
@@ -0,0 +1,41 @@
+const validator = require('@app-core/validator');
+const JournalEntry = require('@app/repository/journal-entry');
+const { systemClock } = require('./clock');
+const { TRANSACTION_LIMITS, getLimitHistoryStart } = require('./transaction-limits');
+
+const spec = `root {
+  account_ids[] string
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Loads the journaled debits from the accounts within the longest rolling limit window, which
+ * is all the count and volume limits look at. Nothing is loaded when no limit has a window.
+ * @param {Object} serviceData - { account_ids }
+ * @param {Object} [options]
+ * @param {Object} [options.clock]
+ * @param {Object[]} [options.limits] - TRANSACTION_LIMITS by default
+ * @param {Object} [options.session] - reads the journal in the caller's transaction
+ */
+async function loadDebitHistory(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  const { clock = systemClock, limits = TRANSACTION_LIMITS, session } = options;
+
+  const historyStart = getLimitHistoryStart(clock.now().getTime(), limits);
+  if (historyStart === null) return [];
+
+  const journalEntries = await JournalEntry.findMany({
+    query: { debit_account: { $in: data.account_ids }, created: { $gt: historyStart } },
+    options: { session },
+  });
+
+  return journalEntries.map((journalEntry) => ({
+    debit_account: journalEntry.debit_account,
+    amount: journalEntry.amount,
+    currency: journalEntry.currency,
+    created: journalEntry.created,
+  }));
+}
+
+module.exports = loadDebitHistory;
@@ -0,0 +1,16 @@
+const FxRate = require('@app/repository/fx-rate');
+
+// Loads the stored rate table keyed by source then target currency, e.g. { NGN: { USD: 0.00065 } }
+async function loadFxRates() {
+  const fxRates = await FxRate.findMany({ query: {} });
+  const rateTable = {};
+
+  fxRates.forEach((fxRate) => {
+    rateTable[fxRate.from_currency] = rateTable[fxRate.from_currency] || {};
+    rateTable[fxRate.from_currency][fxRate.to_currency] = fxRate.rate;
+  });
+
+  return rateTable;
+}
+
+module.exports = loadFxRates;
@@ -0,0 +1,17 @@
+const validator = require('@app-core/validator');
+const Hold = require('@app/repository/hold');
+
+const spec = `root {
+  id string
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+// Loads the hold a capture or release refers to, or null when there is no such hold
+async function loadHold(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  return (await Hold.findOne({ query: { _id: data.id } })) || null;
+}
+
+module.exports = loadHold;
@@ -0,0 +1,14 @@
+const Holiday = require('@app/repository/holiday');
+
+// Loads the stored holidays of every currency, used alongside those in BUSINESS_CALENDARS
+async function loadHolidays() {
+  const holidays = await Holiday.findMany({ query: {} });
+
+  return holidays.map((holiday) => ({
+    currency: holiday.currency,
+    date: holiday.date,
+    name: holiday.name || null,
+  }));
+}
+
+module.exports = loadHolidays;
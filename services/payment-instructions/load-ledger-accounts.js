@@ -0,0 +1,43 @@
+const validator = require('@app-core/validator');
+const Account = require('@app/repository/account');
+
+const spec = `root {
+  account_ids[] string
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+// Locks the given ledger accounts in the caller's session and returns them in the service account shape
+async function loadLedgerAccounts(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  const { session } = options;
+
+  // Writing to the documents inside the transaction holds them until it commits or aborts;
+  // without a session the accounts are only read. Operations on one session must not run
+  // concurrently, hence the sequential loop.
+  if (session) {
+    for (let i = 0; i < data.account_ids.length; i++) {
+      // eslint-disable-next-line no-await-in-loop
+      await Account.updateOne({
+        query: { account_id: data.account_ids[i] },
+        updateValues: { locked_at: Date.now() },
+        options: { session },
+      });
+    }
+  }
+
+  const ledgerAccounts = await Account.findMany({
+    query: { account_id: { $in: data.account_ids } },
+    options: { session },
+  });
+
+  return ledgerAccounts.map((ledgerAccount) => ({
+    id: ledgerAccount.account_id,
+    balance: ledgerAccount.balance,
+    currency: ledgerAccount.currency,
+    overdraft_limit: ledgerAccount.overdraft_limit ?? null,
+    min_balance: ledgerAccount.min_balance ?? null,
+  }));
+}
+
+module.exports = loadLedgerAccounts;
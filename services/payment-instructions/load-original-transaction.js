@@ -0,0 +1,23 @@
+const validator = require('@app-core/validator');
+const JournalEntry = require('@app/repository/journal-entry');
+
+const spec = `root {
+  id string
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+// Loads the journal entry a reversal or refund refers to, with the adjustments already made
+// to it, or null when there is no such entry
+async function loadOriginalTransaction(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  const transaction = await JournalEntry.findOne({ query: { _id: data.id } });
+  if (!transaction) return null;
+
+  const adjustments = await JournalEntry.findMany({ query: { original_transaction: data.id } });
+
+  return { transaction, adjustments };
+}
+
+module.exports = loadOriginalTransaction;
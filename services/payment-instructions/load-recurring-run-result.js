@@ -0,0 +1,61 @@
+const validator = require('@app-core/validator');
+const { PaymentInstructionsMessages } = require('@app/messages');
+const RecurringInstructionRun = require('@app/repository/recurring-instruction-run');
+const JournalEntry = require('@app/repository/journal-entry');
+
+const spec = `root {
+  id string
+  run_number number
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Loads what an earlier attempt at a run of a recurring instruction got done before it failed:
+ * its run record, or else the journal entry of the transfer it made. A retry finishes the run
+ * from this result instead of executing it again.
+ * @param {Object} serviceData - { id, run_number }
+ * @returns {Promise<Object|null>} - { result, recorded }, or null when the run did nothing yet
+ */
+async function loadRecurringRunResult(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  const run = await RecurringInstructionRun.findOne({
+    query: { recurring_instruction_id: data.id, run_number: data.run_number },
+  });
+
+  if (run) {
+    return {
+      result: {
+        status: run.status,
+        status_code: run.status_code,
+        status_reason: run.status_reason,
+        accounts: run.accounts,
+      },
+      recorded: true,
+    };
+  }
+
+  const journalEntry = await JournalEntry.findOne({
+    query: { recurring_instruction: data.id, run_number: data.run_number },
+  });
+
+  if (!journalEntry) return null;
+
+  return {
+    result: {
+      status: 'successful',
+      status_code: journalEntry.status_code,
+      status_reason: PaymentInstructionsMessages.TRANSACTION_SUCCESS,
+      accounts: journalEntry.lines.map((line) => ({
+        id: line.account_id,
+        balance: line.balance_after,
+        balance_before: line.balance_before,
+        currency: line.currency,
+      })),
+    },
+    recorded: false,
+  };
+}
+
+module.exports = loadRecurringRunResult;
@@ -0,0 +1,170 @@
+const {
+  PaymentInstructionsMessages,
+  PaymentInstructionsLocalisedMessages,
+} = require('@app/messages');
+
+const DEFAULT_LOCALE = 'en';
+
+// English keywords are accepted in every locale, so a locale only lists its own words. Each
+// keyword is a single word in every language, which keeps the instruction format the same.
+// Amounts, currencies, dates, fee bearers, frequencies and REF/MEMO are written as in English.
+const KEYWORD_DICTIONARIES = {
+  en: {},
+  fr: {
+    DEBIT: ['DÉBITER', 'DÉBIT'],
+    CREDIT: ['CRÉDITER', 'CRÉDIT'],
+    FROM: ['DU', 'DE', 'DES'],
+    ACCOUNT: ['COMPTE'],
+    ACCOUNTS: ['COMPTES'],
+    FOR: ['POUR'],
+    TO: ['LE', 'AU', 'AUX', 'LES', 'À'],
+    ON: ['LE'],
+    STRICT: ['STRICTEMENT'],
+    WITH: ['AVEC'],
+    FEE: ['FRAIS'],
+    BORNE: ['PAYÉS'],
+    BY: ['PAR'],
+    EVERY: ['CHAQUE'],
+    STARTING: ['DÈS'],
+    UNTIL: ["JUSQU'AU"],
+    TIMES: ['FOIS'],
+  },
+  yo: {
+    DEBIT: ['YỌ'],
+    CREDIT: ['FI'],
+    FROM: ['LÁTI'],
+    ACCOUNT: ['AKỌỌLẸ'],
+    FOR: ['FÚN'],
+    TO: ['SÍ'],
+    ON: ['NÍ'],
+    WITH: ['PẸ̀LÚ'],
+    EVERY: ['GBOGBO'],
+    UNTIL: ['TÍTÍ'],
+    TIMES: ['ÌGBÀ'],
+  },
+  ha: {
+    DEBIT: ['CIRE'],
+    CREDIT: ['SAKA'],
+    FROM: ['DAGA'],
+    ACCOUNT: ['ASUSU', 'ASUSUN'],
+    FOR: ['DOMIN'],
+    TO: ['ZUWA'],
+    ON: ['RANAR'],
+    WITH: ['TARE'],
+    EVERY: ['KOWANE'],
+    UNTIL: ['HAR'],
+    TIMES: ['SAU'],
+  },
+  pcm: {
+    DEBIT: ['COMOT'],
+    CREDIT: ['PUT'],
+    FOR: ['MAKE'],
+    TO: ['ENTER', 'INSIDE'],
+    WITH: ['WIT'],
+    FEE: ['CHARGE'],
+    UNTIL: ['TILL', 'REACH'],
+  },
+};
+
+const SUPPORTED_LOCALES = Object.keys(KEYWORD_DICTIONARIES);
+
+// The Unicode block of combining accents that NFD splits off the letters they sit on
+const COMBINING_MARKS_START = 0x0300;
+const COMBINING_MARKS_END = 0x036f;
+
+// Uppercase without accents, so DEBITER and débiter both read as DÉBITER
+function normaliseKeyword(word) {
+  const decomposedWord = word.toUpperCase().normalize('NFD');
+  let normalisedWord = '';
+
+  for (let i = 0; i < decomposedWord.length; i++) {
+    const charCode = decomposedWord.charCodeAt(i);
+    if (charCode < COMBINING_MARKS_START || charCode > COMBINING_MARKS_END) {
+      normalisedWord += decomposedWord[i];
+    }
+  }
+  return normalisedWord;
+}
+
+const NORMALISED_DICTIONARIES = {};
+
+SUPPORTED_LOCALES.forEach((locale) => {
+  NORMALISED_DICTIONARIES[locale] = {};
+
+  Object.entries(KEYWORD_DICTIONARIES[locale]).forEach(([keyword, localisedWords]) => {
+    NORMALISED_DICTIONARIES[locale][keyword] = localisedWords.map(normaliseKeyword);
+  });
+});
+
+/**
+ * The localised words, normalised, that stand for an English keyword in a locale.
+ * @param {String} keyword
+ * @param {String} [locale]
+ * @returns {String[]}
+ */
+function getKeywordAliases(keyword, locale = DEFAULT_LOCALE) {
+  return (NORMALISED_DICTIONARIES[locale] || {})[keyword] || [];
+}
+
+/**
+ * The supported locale an Accept-Language header prefers most, or null when it names none.
+ * fr-FR matches fr, and languages are tried in order of their q weights.
+ * @param {String} [acceptLanguage]
+ */
+function getAcceptedLocale(acceptLanguage) {
+  if (!acceptLanguage) return null;
+
+  const languages = acceptLanguage
+    .split(',')
+    .map((part) => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.find((param) => param.trim().startsWith('q='));
+
+      return {
+        locale: tag.trim().split('-')[0].toLowerCase(),
+        weight: qParam ? Number(qParam.trim().substring(2)) : 1,
+      };
+    })
+    .filter((language) => SUPPORTED_LOCALES.includes(language.locale) && language.weight > 0)
+    .sort((a, b) => b.weight - a.weight);
+
+  return languages.length > 0 ? languages[0].locale : null;
+}
+
+// Longest first, so a message is replaced before any shorter message it contains
+const MESSAGE_KEYS_BY_LENGTH = Object.keys(PaymentInstructionsMessages).sort(
+  (a, b) => PaymentInstructionsMessages[b].length - PaymentInstructionsMessages[a].length
+);
+
+/**
+ * Translates the messages a status reason is built from. Reasons combine messages with details
+ * such as balances and dates, so each message is replaced where it appears; messages a locale
+ * does not translate stay in English.
+ * @param {String} statusReason
+ * @param {String} [locale]
+ */
+function localiseStatusReason(statusReason, locale = DEFAULT_LOCALE) {
+  const localisedMessages = PaymentInstructionsLocalisedMessages[locale];
+  if (!statusReason || !localisedMessages) return statusReason;
+
+  return MESSAGE_KEYS_BY_LENGTH.reduce((reason, key) => {
+    if (!localisedMessages[key]) return reason;
+    return reason.split(PaymentInstructionsMessages[key]).join(localisedMessages[key]);
+  }, statusReason);
+}
+
+// A response with its status reason in the locale
+function localiseResponse(response, locale) {
+  if (!locale || locale === DEFAULT_LOCALE) return response;
+  return { ...response, status_reason: localiseStatusReason(response.status_reason, locale) };
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  normaliseKeyword,
+  getKeywordAliases,
+  getAcceptedLocale,
+  localiseStatusReason,
+  localiseResponse,
+};
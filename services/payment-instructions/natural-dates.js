@@ -0,0 +1,183 @@
+const { isDigits, parseDate } = require('./helpers');
+
+const DATE_PROBLEMS = {
+  INVALID: 'invalid',
+  AMBIGUOUS: 'ambiguous',
+  PAST: 'past',
+};
+
+const MONTHS = [
+  ['JAN', 'JANUARY'],
+  ['FEB', 'FEBRUARY'],
+  ['MAR', 'MARCH'],
+  ['APR', 'APRIL'],
+  ['MAY', 'MAY'],
+  ['JUN', 'JUNE'],
+  ['JUL', 'JULY'],
+  ['AUG', 'AUGUST'],
+  ['SEP', 'SEPTEMBER'],
+  ['OCT', 'OCTOBER'],
+  ['NOV', 'NOVEMBER'],
+  ['DEC', 'DECEMBER'],
+];
+
+// In getUTCDay order
+const WEEKDAYS = ['SUNDAY', 'MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY'];
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+function formatUTCDate(date) {
+  return date.toISOString().substring(0, 10);
+}
+
+function padNumber(value, length) {
+  return String(value).padStart(length, '0');
+}
+
+// 1 to 12 for a month name or its three-letter abbreviation, otherwise null
+function getMonthNumber(word) {
+  const upperWord = (word || '').toUpperCase();
+  const monthIndex = MONTHS.findIndex((names) => names.includes(upperWord));
+  return monthIndex === -1 ? null : monthIndex + 1;
+}
+
+/**
+ * How many words the date starting at index takes: NEXT FRIDAY is two, 20 SEP 2026 is three and
+ * anything else is one.
+ * @param {String[]} words
+ * @param {Number} index
+ */
+function countDateWords(words, index) {
+  const word = (words[index] || '').toUpperCase();
+
+  if (word === 'NEXT' || word === 'LAST') return 2;
+  if (isDigits(word) && word.length <= 2 && getMonthNumber(words[index + 1])) {
+    return isDigits(words[index + 2]) ? 3 : 2;
+  }
+  return 1;
+}
+
+// HH:MM, HH:MM:SS or HH:MM:SS.sss as milliseconds into the day, or null
+function parseTimeOfDay(timeStr) {
+  const [clockStr, fractionStr = '0'] = timeStr.split('.');
+  const parts = clockStr.split(':');
+
+  if (parts.length < 2 || parts.length > 3 || !parts.every((part) => part.length === 2))
+    return null;
+  if (!parts.every(isDigits) || !isDigits(fractionStr) || fractionStr.length > 3) return null;
+
+  const [hours, minutes, seconds = 0] = parts.map(Number);
+  if (hours > 23 || minutes > 59 || seconds > 59) return null;
+
+  return ((hours * 60 + minutes) * 60 + seconds) * 1000 + Number(fractionStr.padEnd(3, '0'));
+}
+
+// Z, +HH:MM, +HHMM or +HH as minutes east of UTC, or null
+function parseUTCOffset(offsetStr) {
+  if (offsetStr === 'Z' || offsetStr === 'z') return 0;
+
+  const sign = offsetStr[0] === '-' ? -1 : 1;
+  const digits = offsetStr.substring(1).split(':').join('');
+
+  if ((offsetStr[0] !== '+' && offsetStr[0] !== '-') || !isDigits(digits)) return null;
+  if (digits.length !== 2 && digits.length !== 4) return null;
+
+  const hours = Number(digits.substring(0, 2));
+  const minutes = Number(digits.substring(2) || 0);
+  if (hours > 14 || minutes > 59) return null;
+
+  return sign * (hours * 60 + minutes);
+}
+
+// An ISO datetime such as 2026-09-20T18:30:00+01:00, resolved to its UTC date. The timezone is
+// required because the same local time falls on different UTC dates around midnight.
+function resolveISODateTime(text) {
+  const dateStr = text.substring(0, 10);
+  const timeAndOffset = text.substring(11);
+
+  if (text[10] !== 'T' || !parseDate(dateStr)) return { problem: DATE_PROBLEMS.INVALID };
+
+  let offsetIndex = timeAndOffset.length - 1;
+  while (offsetIndex >= 0 && !'Zz+-'.includes(timeAndOffset[offsetIndex])) {
+    offsetIndex--;
+  }
+
+  const timeOfDay = parseTimeOfDay(
+    offsetIndex === -1 ? timeAndOffset : timeAndOffset.substring(0, offsetIndex)
+  );
+  if (timeOfDay === null) return { problem: DATE_PROBLEMS.INVALID };
+  if (offsetIndex === -1) return { problem: DATE_PROBLEMS.AMBIGUOUS };
+
+  const offsetMinutes = parseUTCOffset(timeAndOffset.substring(offsetIndex));
+  if (offsetMinutes === null) return { problem: DATE_PROBLEMS.INVALID };
+
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const utcTime = Date.UTC(year, month - 1, day) + timeOfDay - offsetMinutes * 60 * 1000;
+
+  return { date: formatUTCDate(new Date(utcTime)) };
+}
+
+// NEXT FRIDAY is the first Friday after today, so on a Friday it is a week away
+function resolveRelativeWeekday(prefix, weekday, today) {
+  const weekdayIndex = WEEKDAYS.indexOf(weekday);
+
+  if (weekdayIndex === -1 || (prefix !== 'NEXT' && prefix !== 'LAST')) {
+    return { problem: DATE_PROBLEMS.INVALID };
+  }
+  if (prefix === 'LAST') return { problem: DATE_PROBLEMS.PAST };
+
+  const daysAhead = (weekdayIndex - today.getUTCDay() + 7) % 7 || 7;
+  return { date: formatUTCDate(new Date(today.getTime() + daysAhead * DAY_IN_MS)) };
+}
+
+// 20 SEP 2026; without a four-digit year it is unclear which year is meant
+function resolveDayMonthYear(dayStr, monthWord, yearStr) {
+  if (!isDigits(dayStr) || !getMonthNumber(monthWord)) return { problem: DATE_PROBLEMS.INVALID };
+  if (yearStr.length !== 4) return { problem: DATE_PROBLEMS.AMBIGUOUS };
+
+  const date = `${yearStr}-${padNumber(getMonthNumber(monthWord), 2)}-${padNumber(dayStr, 2)}`;
+  return parseDate(date) ? { date } : { problem: DATE_PROBLEMS.INVALID };
+}
+
+/**
+ * Resolves the date text of an ON clause to a UTC date (YYYY-MM-DD). Accepts YYYY-MM-DD, TODAY,
+ * TOMORROW, NEXT followed by a weekday, day month year (20 SEP 2026) and ISO datetimes with a
+ * timezone. Returns { date } or { problem } with one of DATE_PROBLEMS.
+ * @param {String} text
+ * @param {Date} today - midnight UTC of the current day
+ */
+function resolveExecutionDate(text, today) {
+  if (!text) return { problem: DATE_PROBLEMS.INVALID };
+
+  const parts = text.toUpperCase().split(' ');
+
+  if (parts.length === 3) return resolveDayMonthYear(...parts);
+  if (parts.length === 2) {
+    return getMonthNumber(parts[1])
+      ? { problem: DATE_PROBLEMS.AMBIGUOUS }
+      : resolveRelativeWeekday(parts[0], parts[1], today);
+  }
+
+  const [word] = parts;
+
+  if (parseDate(text)) return { date: text };
+  if (word === 'TODAY') return { date: formatUTCDate(today) };
+  if (word === 'TOMORROW') return { date: formatUTCDate(new Date(today.getTime() + DAY_IN_MS)) };
+  if (word === 'YESTERDAY') return { problem: DATE_PROBLEMS.PAST };
+  // FRIDAY on its own could mean this week's or next week's
+  if (WEEKDAYS.includes(word)) return { problem: DATE_PROBLEMS.AMBIGUOUS };
+  // 03/04/2026 reads as March or April depending on where the sender is
+  if (word.split('/').length === 3 && word.split('/').every(isDigits)) {
+    return { problem: DATE_PROBLEMS.AMBIGUOUS };
+  }
+  if (word.length > 10) return resolveISODateTime(word);
+
+  return { problem: DATE_PROBLEMS.INVALID };
+}
+
+module.exports = {
+  WEEKDAYS,
+  DATE_PROBLEMS,
+  countDateWords,
+  resolveExecutionDate,
+};
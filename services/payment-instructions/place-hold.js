@@ -0,0 +1,44 @@
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const Hold = require('@app/repository/hold');
+const { expireHold } = require('@app/workers');
+
+const HOLD_TTL_MILLIS = (Number(process.env.HOLD_TTL_HOURS) || 168) * 3600000;
+
+const spec = `root {
+  instruction string
+  result object
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+// Stores an active hold and queues its expiry, after which the funds are available again
+async function placeHold(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  const { result } = data;
+
+  const hold = await Hold.create(
+    {
+      instruction: data.instruction,
+      amount: result.amount,
+      currency: result.currency,
+      debit_account: result.debit_account,
+      credit_account: result.credit_account,
+      reference: result.reference,
+      memo: result.memo,
+      status: 'active',
+      status_code: result.status_code,
+      status_reason: result.status_reason,
+      expires_at: Date.now() + HOLD_TTL_MILLIS,
+    },
+    options
+  );
+
+  await expireHold.scheduleJob({ id: hold._id }, { delay: HOLD_TTL_MILLIS, jobId: hold._id });
+
+  appLogger.info({ id: hold._id, expiresAt: hold.expires_at }, 'payment-instruction-hold-placed');
+
+  return { id: hold._id, expires_at: hold.expires_at };
+}
+
+module.exports = placeHold;
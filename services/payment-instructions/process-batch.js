@@ -0,0 +1,310 @@
+const { PaymentInstructionsMessages } = require('@app/messages');
+const validator = require('@app-core/validator');
+const { createSession } = require('@app-core/mongoose');
+const { recordJournalEntry } = require('@app/services/journal');
+const {
+  parseInstruction,
+  createParseReport,
+  findPreExecutionResult,
+  runInstruction,
+  getInstructionAccountIds,
+  STATUS_CODES,
+} = require('./process');
+const schedulePendingInstruction = require('./schedule-pending-instruction');
+const holdForReview = require('./hold-for-review');
+const loadBlocklist = require('./load-blocklist');
+const loadHolidays = require('./load-holidays');
+const loadActiveHolds = require('./load-active-holds');
+const loadDebitHistory = require('./load-debit-history');
+const loadLedgerAccounts = require('./load-ledger-accounts');
+const saveLedgerBalances = require('./save-ledger-balances');
+const loadFxRates = require('./load-fx-rates');
+const { systemClock } = require('./clock');
+const { addAvailableBalances } = require('./helpers');
+const { localiseResponse } = require('./locales');
+
+const FAILURE_MODES = {
+  STOP: 'stop',
+  CONTINUE: 'continue',
+  ROLLBACK: 'rollback',
+};
+
+// Validator spec for the batch service
+const batchServiceSpec = `root {
+  accounts[]? {
+    id string
+    balance number
+    currency string
+    overdraft_limit? number<min:0>
+    min_balance? number
+  }
+  instructions[] string
+  convert? boolean
+  on_failure? string(stop|continue|rollback)
+  include_diagnostics? boolean
+  keyword_matching? string(strict|lenient)
+  locale? string(en|fr|yo|ha|pcm)
+}`;
+
+const parsedBatchServiceSpec = validator.parse(batchServiceSpec);
+
+function createSkippedInstructionResponse(index) {
+  return {
+    index,
+    type: null,
+    amount: null,
+    currency: null,
+    debit_account: null,
+    credit_account: null,
+    execute_by: null,
+    status: 'skipped',
+    status_reason: PaymentInstructionsMessages.BATCH_INSTRUCTION_SKIPPED,
+    status_code: STATUS_CODES.SKIPPED,
+    accounts: [],
+  };
+}
+
+// In rollback mode every instruction is reported with the code of the one that failed
+function createRolledBackInstructionResponse(result, failedResult) {
+  return {
+    ...result,
+    status: 'rolled_back',
+    status_reason: `${PaymentInstructionsMessages.BATCH_ROLLED_BACK} (instruction ${failedResult.index}): ${failedResult.status_reason}`,
+    status_code: failedResult.status_code,
+    accounts: result.accounts.map((account) => ({ ...account, balance: account.balance_before })),
+  };
+}
+
+// Carry the balances of a successful result over to the running account set
+function applyResultToAccounts(runningAccounts, result) {
+  if (result.status !== 'successful') return runningAccounts;
+
+  return runningAccounts.map((account) => {
+    const updatedAccount = result.accounts.find((acc) => acc.id === account.id);
+    return updatedAccount ? { ...account, balance: updatedAccount.balance } : account;
+  });
+}
+
+// The ledger accounts the parsed instructions of a batch touch, each once
+function getBatchAccountIds(parseResults) {
+  const accountIds = parseResults
+    .filter((parseResult) => parseResult.success)
+    .flatMap((parseResult) => getInstructionAccountIds(parseResult.data));
+
+  return [...new Set(accountIds)];
+}
+
+// Executes instructions in order against running balances. Each instruction runs through the same
+// pipeline as a single one; without caller-supplied accounts the balances are loaded from the
+// ledger and saved back, with the journal entries, in one transaction.
+async function processBatchService(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedBatchServiceSpec);
+
+  const { instructions } = data;
+  const onFailure = data.on_failure || FAILURE_MODES.STOP;
+  const useLedger = !data.accounts;
+  const parseResults = instructions.map((instruction) =>
+    parseInstruction(instruction, {
+      keywordMatching: data.keyword_matching,
+      locale: data.locale,
+      clock: options.clock,
+    })
+  );
+
+  let { session } = options;
+  let accounts;
+  let runningAccounts;
+  let hasStopped = false;
+  let results = [];
+  let holds;
+
+  // A caller-supplied session is committed or aborted by the caller
+  const isSessionNative = useLedger && !session;
+
+  if (isSessionNative) {
+    session = await createSession();
+    session.startTransaction();
+  }
+
+  try {
+    const ledgerAccountIds = useLedger ? getBatchAccountIds(parseResults) : [];
+    accounts =
+      data.accounts ||
+      (ledgerAccountIds.length > 0
+        ? await loadLedgerAccounts({ account_ids: ledgerAccountIds }, { session })
+        : []);
+    runningAccounts = accounts.map((account) => ({ ...account }));
+
+    const accountIds = accounts.map((account) => account.id);
+    // Loaded once, since any instruction in the batch may be dated
+    const holidays = await loadHolidays();
+    const fxRates = data.convert ? await loadFxRates() : undefined;
+    // Holds do not change during the batch, since a batch cannot place or settle them
+    holds =
+      accountIds.length > 0 ? await loadActiveHolds({ account_ids: accountIds }, { session }) : [];
+    // Debits made earlier in the batch count towards the limits of the ones after them
+    const debitHistory =
+      accountIds.length > 0
+        ? await loadDebitHistory(
+            { account_ids: accountIds },
+            { clock: options.clock, limits: options.limits, session }
+          )
+        : [];
+    // Every instruction is screened like a single one; a match is held instead of executed
+    const blocklist = await loadBlocklist({ path: options.blocklistPath });
+
+    // Each instruction runs against the balances the ones before it left
+    for (let index = 0; index < instructions.length; index++) {
+      if (hasStopped) {
+        results.push(createSkippedInstructionResponse(index));
+      } else {
+        const parseReport = createParseReport(parseResults[index], {
+          includeDiagnostics: !!data.include_diagnostics,
+          keywordMatching: data.keyword_matching,
+        });
+        let result = findPreExecutionResult(parseResults[index], runningAccounts, { blocklist });
+
+        if (!result) {
+          // eslint-disable-next-line no-await-in-loop
+          ({ result } = await runInstruction(
+            instructions[index],
+            parseResults[index],
+            runningAccounts,
+            {
+              fxRates,
+              holidays,
+              holds,
+              debitHistory,
+              chargeRuleFees: useLedger,
+              limits: options.limits,
+              clock: options.clock,
+            }
+          ));
+        }
+        results.push({ index, ...result, ...parseReport });
+
+        if (result.status === 'successful') {
+          debitHistory.push({
+            debit_account: result.debit_account,
+            amount: result.amount,
+            currency: result.currency,
+            created: (options.clock || systemClock).now().getTime(),
+          });
+        }
+
+        runningAccounts = applyResultToAccounts(runningAccounts, result);
+
+        if (result.status === 'failed' && onFailure !== FAILURE_MODES.CONTINUE) {
+          hasStopped = true;
+        }
+      }
+    }
+
+    const failedResult = results.find((result) => result.status === 'failed');
+
+    if (failedResult && onFailure === FAILURE_MODES.ROLLBACK) {
+      runningAccounts = accounts.map((account) => ({ ...account }));
+      results = results.map((result) => createRolledBackInstructionResponse(result, failedResult));
+    }
+
+    if (useLedger) {
+      await saveLedgerBalances(
+        {
+          accounts: runningAccounts.filter(
+            (account, index) => account.balance !== accounts[index].balance
+          ),
+        },
+        { session }
+      );
+    }
+
+    // Journal entries are written one at a time so their ids follow the execution order
+    const successfulResults = results.filter((result) => result.status === 'successful');
+
+    for (let i = 0; i < successfulResults.length; i++) {
+      // eslint-disable-next-line no-await-in-loop
+      await recordJournalEntry(
+        {
+          instruction: instructions[successfulResults[i].index],
+          result: successfulResults[i],
+        },
+        { session }
+      );
+    }
+
+    if (isSessionNative) {
+      await session.commitTransaction();
+    }
+  } catch (error) {
+    if (isSessionNative) {
+      await session.abortTransaction();
+    }
+    throw error;
+  } finally {
+    if (isSessionNative) {
+      await session.endSession();
+    }
+  }
+
+  // Pending instructions are re-checked against the final balances, or the ledger's, when they fall
+  // due, and held ones run against them if released
+  results = await Promise.all(
+    results.map(async (result) => {
+      if (result.status === 'held_for_review') {
+        const heldInstruction = await holdForReview({
+          instruction: instructions[result.index],
+          ...(!useLedger && { source_accounts: runningAccounts }),
+          use_ledger: useLedger,
+          convert: !!data.convert,
+          keyword_matching: data.keyword_matching,
+          locale: data.locale,
+          result,
+        });
+
+        return { ...result, id: heldInstruction.id };
+      }
+      if (result.status !== 'pending') return result;
+
+      const scheduledInstruction = await schedulePendingInstruction({
+        instruction: instructions[result.index],
+        ...(!useLedger && { source_accounts: runningAccounts }),
+        use_ledger: useLedger,
+        convert: !!data.convert,
+        result,
+      });
+
+      return { ...result, id: scheduledInstruction.id };
+    })
+  );
+
+  return {
+    on_failure: onFailure,
+    total: results.length,
+    successful: results.filter((result) => result.status === 'successful').length,
+    pending: results.filter((result) => result.status === 'pending').length,
+    held_for_review: results.filter((result) => result.status === 'held_for_review').length,
+    failed: results.filter((result) => result.status === 'failed').length,
+    skipped: results.filter((result) => result.status === 'skipped').length,
+    rolled_back: results.filter((result) => result.status === 'rolled_back').length,
+    results: results.map((result) =>
+      localiseResponse(
+        { ...result, accounts: addAvailableBalances(result.accounts, holds) },
+        data.locale
+      )
+    ),
+    accounts: addAvailableBalances(
+      runningAccounts.map((account, index) => ({
+        id: account.id,
+        balance: account.balance,
+        balance_before: accounts[index].balance,
+        currency: account.currency,
+      })),
+      holds
+    ),
+  };
+}
+
+module.exports = {
+  processBatchService,
+  FAILURE_MODES,
+};
@@ -1,41 +1,120 @@
 const { PaymentInstructionsMessages } = require('@app/messages');
 const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const { createSession } = require('@app-core/mongoose');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { recordJournalEntry } = require('@app/services/journal');
 const {
+  parseDate,
+  getCurrentUTCDate,
   isValidAccountId,
+  isDigits,
   isValidAmount,
+  getAmountPrecision,
+  hasValidAmountPrecision,
+  toMinorUnits,
+  fromMinorUnits,
   hasValidFromAccountKeywords,
-  hasValidForCreditToAccountKeywords,
-  hasValidToAccountKeywords,
-  hasValidForDebitFromAccountKeywords,
+  hasValidForCreditToAccountsKeywords,
   areSameAccounts,
   hasValidOnDate,
+  hasValidWithFeeKeywords,
+  hasValidBorneByKeywords,
+  isValidFeeBearer,
+  hasValidEveryKeyword,
+  isValidFrequency,
+  isNarrationKeyword,
+  isQuotedText,
+  isValidReference,
+  isValidMemo,
   hasExtraWords,
   hasEnoughWords,
   hasValidFirstWord,
   isFutureDate,
   debitAccountExists,
   creditAccountExists,
-  isSupportedCurrency,
   currenciesMatch,
+  getFxRate,
+  convertAmount,
+  getAvailableBalance,
   hasSufficientFunds,
+  addAvailableBalances,
   createMissingKeywordError,
   createInvalidAmountError,
+  createInvalidAmountPrecisionError,
+  createInvalidFeeError,
+  createDuplicateSplitAccountError,
+  createSplitTotalMismatchError,
+  createInvalidFrequencyError,
+  createSplitFeeNotSupportedError,
+  createInvalidRecurrenceRangeError,
+  createStartDateInPastError,
+  createInvalidRecurrenceCountError,
+  createInvalidNarrationError,
   createInvalidKeywordOrderError,
   createInvalidAccountIdError,
   createSameAccountsError,
   createInvalidDateError,
   createAccountNotFoundError,
+  createFeeExceedsAmountError,
+  createFeeAccountNotFoundError,
+  createFeeAccountIsPartyError,
   createUnsupportedCurrencyError,
   createCurrencyMismatchError,
   createInsufficientFundsError,
+  createLimitExceededError,
+  createHeldForReviewResponse,
   createMalformedInstructionError,
+  createNonBusinessDayError,
+  createTransactionNotFoundError,
+  createTransactionNotReversibleError,
+  createAlreadyReversedError,
+  createAdjustmentConflictError,
+  createRefundExceedsOriginalError,
+  createRefundCurrencyMismatchError,
+  createHoldNotFoundError,
+  createHoldNotActiveError,
   createSuccessResponse,
 } = require('./helpers');
+const schedulePendingInstruction = require('./schedule-pending-instruction');
+const scheduleRecurringInstruction = require('./schedule-recurring-instruction');
+const loadLedgerAccounts = require('./load-ledger-accounts');
+const saveLedgerBalances = require('./save-ledger-balances');
+const loadFxRates = require('./load-fx-rates');
+const loadHolidays = require('./load-holidays');
+const loadOriginalTransaction = require('./load-original-transaction');
+const loadActiveHolds = require('./load-active-holds');
+const loadDebitHistory = require('./load-debit-history');
+const loadHold = require('./load-hold');
+const loadBlocklist = require('./load-blocklist');
+const holdForReview = require('./hold-for-review');
+const placeHold = require('./place-hold');
+const settleHold = require('./settle-hold');
+const { isCurrencyEnabled, getMinorUnitExponent } = require('./currency-registry');
+const { FEE_BEARERS, FEE_ACCOUNT_ID, hasFeeRule, calculateFee } = require('./fee-rules');
+const { KEYWORD_MATCHING_MODES, createKeywordMatcher } = require('./keyword-matcher');
+const { rollForwardToBusinessDay } = require('./business-calendar');
+const { findLimitBreach } = require('./transaction-limits');
+const { findBlocklistMatches } = require('./blocklist-screening');
+const { systemClock } = require('./clock');
+const { localiseResponse } = require('./locales');
+const {
+  pointAt,
+  keywords,
+  slot,
+  clause,
+  describeSequence,
+  parseClause,
+  parseWithGrammar,
+} = require('./instruction-grammar');
 
 const STATUS_CODES = {
   SUCCESSFUL: 'AP00',
   PENDING: 'AP02',
   INVALID_AMOUNT: 'AM01',
+  INVALID_AMOUNT_PRECISION: 'AM02',
+  INVALID_FEE: 'AM03',
+  SPLIT_TOTAL_MISMATCH: 'AM04',
   CURRENCY_MISMATCH: 'CU01',
   UNSUPPORTED_CURRENCY: 'CU02',
   INSUFFICIENT_FUNDS: 'AC01',
@@ -43,298 +122,784 @@ const STATUS_CODES = {
   ACCOUNT_NOT_FOUND: 'AC03',
   INVALID_ACCOUNT_ID: 'AC04',
   INVALID_DATE_FORMAT: 'DT01',
+  INVALID_RECURRENCE_RANGE: 'DT02',
+  START_DATE_IN_PAST: 'DT03',
+  INVALID_RECURRENCE_COUNT: 'DT04',
+  AMBIGUOUS_DATE: 'DT05',
+  PAST_RELATIVE_DATE: 'DT06',
+  NON_BUSINESS_DAY: 'DT07',
+  INVALID_RECURRENCE_FREQUENCY: 'DT08',
+  INVALID_TRANSACTION_ID: 'TX01',
+  TRANSACTION_NOT_FOUND: 'TX02',
+  TRANSACTION_NOT_REVERSIBLE: 'TX03',
+  ALREADY_REVERSED: 'TX04',
+  REFUND_EXCEEDS_ORIGINAL: 'TX05',
+  ADJUSTMENT_CONFLICT: 'TX06',
+  INVALID_HOLD_ID: 'HD01',
+  HOLD_NOT_FOUND: 'HD02',
+  HOLD_NOT_ACTIVE: 'HD03',
+  TRANSFER_LIMIT_EXCEEDED: 'LM01',
+  DEBIT_COUNT_LIMIT_EXCEEDED: 'LM02',
+  DEBIT_VOLUME_LIMIT_EXCEEDED: 'LM03',
+  HELD_FOR_REVIEW: 'SC01',
+  REVIEW_REJECTED: 'SC02',
   MISSING_KEYWORD: 'SY01',
   INVALID_KEYWORD_ORDER: 'SY02',
   MALFORMED_INSTRUCTION: 'SY03',
+  INVALID_NARRATION: 'SY04',
+  SKIPPED: 'BT01',
+  CANCELLED: 'AP03',
+  AMENDED: 'AP04',
+  RECURRING_SCHEDULED: 'AP05',
+  HOLD_PLACED: 'AP06',
+  HOLD_RELEASED: 'AP07',
+  HOLD_EXPIRED: 'AP08',
 };
 
-// Supported currency codes (case-insensitive during parsing)
-const SUPPORTED_CURRENCIES = ['NGN', 'USD', 'GBP', 'GHS'];
-
 // Validator spec for the service
 const serviceSpec = `root {
-  accounts[] {
+  accounts[]? {
     id string
     balance number
     currency string
+    overdraft_limit? number<min:0>
+    min_balance? number
   }
   instruction string
+  convert? boolean
+  include_diagnostics? boolean
+  keyword_matching? string(strict|lenient)
+  locale? string(en|fr|yo|ha|pcm)
+  beneficiary_name? string
 }`;
 
 const parsedServiceSpec = validator.parse(serviceSpec);
 
-// Parse dates in YYYY-MM-DD format
-function parseDate(dateStr) {
-  if (!dateStr || dateStr.length !== 10) return null;
-  if (dateStr[4] !== '-' || dateStr[7] !== '-') return null;
-
-  const parts = dateStr.split('-');
-  if (parts.length !== 3) return null;
-
-  const year = parseInt(parts[0], 10);
-  const month = parseInt(parts[1], 10);
-  const day = parseInt(parts[2], 10);
-
-  if (Number.isNaN(year) || Number.isNaN(month) || Number.isNaN(day)) return null;
-  if (month < 1 || month > 12 || day < 1) return null;
-
-  const daysInMonth = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
-
-  const isLeapYear = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
-
-  if (isLeapYear) {
-    daysInMonth[1] = 29;
-  }
-
-  if (day > daysInMonth[month - 1]) return null;
-
-  const date = new Date(year, month - 1, day);
-  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day
-    ? date
-    : null;
-}
+const FREQUENCIES = ['DAY', 'WEEK', 'MONTH'];
 
-function getCurrentUTCDate() {
-  const now = new Date();
-  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
-}
+// Words before this index belong to the transfer itself, so REF or MEMO there is an account id
+const NARRATION_SEARCH_START_INDEX = 11;
 
-function splitByWhitespace(str) {
-  if (!str) return [];
+const FIRST_WORDS = ['DEBIT', 'CREDIT', 'REVERSE', 'REFUND', 'HOLD', 'CAPTURE', 'RELEASE'];
 
-  const trimmed = str.trim();
-  const result = [];
+// Splits on whitespace, keeping each word's character offset for diagnostics. Quoted text such
+// as "October rent" is kept as one word, quotes included.
+function tokenizeInstruction(str) {
+  const tokens = [];
   let currentWord = '';
+  let currentOffset = 0;
+  let isInQuotes = false;
+
+  for (let i = 0; i < str.length; i++) {
+    const char = str[i];
+    const isWhitespace = char === ' ' || char === '\t' || char === '\n' || char === '\r';
 
-  for (let i = 0; i < trimmed.length; i++) {
-    const char = trimmed[i];
-    if (char === ' ' || char === '\t' || char === '\n' || char === '\r') {
+    if (isWhitespace && !isInQuotes) {
       if (currentWord.length > 0) {
-        result.push(currentWord);
+        tokens.push({ value: currentWord, offset: currentOffset });
         currentWord = '';
       }
     } else {
+      if (currentWord.length === 0) currentOffset = i;
+      if (char === '"') isInQuotes = !isInQuotes;
       currentWord += char;
     }
   }
 
   if (currentWord.length > 0) {
-    result.push(currentWord);
+    tokens.push({ value: currentWord, offset: currentOffset });
   }
 
-  return result;
+  return tokens;
 }
 
-// Format: DEBIT [amount] [currency] FROM ACCOUNT [account_id] FOR CREDIT TO ACCOUNT [account_id] [ON [date]]
-function parseDebitInstruction(words) {
-  const amountStr = words[1] || null;
-  const currency = words[2] ? words[2].toUpperCase() : null;
-  const debitAccount = words[5] || null;
-  const creditAccount = words[10] || null;
+// Index of the first word that differs from the expected keywordList, or -1 when they all match
+function findKeywordMismatch(words, startIndex, keywordList) {
+  for (let i = 0; i < keywordList.length; i++) {
+    const word = words[startIndex + i];
+    if (!word || word.toUpperCase() !== keywordList[i]) return startIndex + i;
+  }
+  return -1;
+}
 
-  const parsedData = {
-    type: 'DEBIT',
-    amount: amountStr ? parseInt(amountStr, 10) : null,
-    currency,
-    debitAccount,
-    creditAccount,
-    executeBy: null,
-  };
+// Points an error at the first keyword that does not match
+function pointAtKeywordMismatch(errorResult, words, startIndex, keywordList) {
+  const wordIndex = findKeywordMismatch(words, startIndex, keywordList);
+  return pointAt(errorResult, wordIndex, [keywordList[wordIndex - startIndex]]);
+}
 
-  if (!hasEnoughWords(words, 6)) {
-    return createMissingKeywordError(parsedData, STATUS_CODES);
+// Optional clause after the accounts: WITH FEE [amount] BORNE BY SENDER|RECEIVER
+// Without an amount the fee comes from the fee rules for the currency
+function parseFeeClause(words, startIndex, parsedData, matcher) {
+  if (!hasValidWithFeeKeywords(words, startIndex, matcher)) {
+    return { fee: null, feeBearer: null, nextIndex: startIndex };
   }
 
-  if (!amountStr) {
-    return createInvalidAmountError(parsedData, amountStr, STATUS_CODES);
+  let currentIndex = startIndex + 2;
+  let fee = null;
+
+  if (currentIndex < words.length && !matcher.matches(words, currentIndex, 'BORNE')) {
+    const feeStr = words[currentIndex];
+    const minorUnitExponent = getMinorUnitExponent(parsedData.currency);
+
+    if (
+      !isValidAmount(feeStr) ||
+      (minorUnitExponent !== null && !hasValidAmountPrecision(feeStr, minorUnitExponent))
+    ) {
+      return {
+        error: pointAt(createInvalidFeeError(parsedData, STATUS_CODES), currentIndex, ['amount']),
+      };
+    }
+
+    fee = Number(feeStr);
+    currentIndex++;
   }
 
-  const amount = parseInt(amountStr, 10);
+  const bearerKeywords = ['BORNE', 'BY', 'SENDER or RECEIVER'];
 
-  if (!isValidAmount(amountStr)) {
-    parsedData.amount = null;
-    return createInvalidAmountError(parsedData, amountStr, STATUS_CODES);
+  if (!hasEnoughWords(words, currentIndex + 3)) {
+    return {
+      error: pointAt(createMissingKeywordError(parsedData, STATUS_CODES), words.length, [
+        bearerKeywords[words.length - currentIndex],
+      ]),
+    };
   }
 
-  if (hasEnoughWords(words, 5) && !hasValidFromAccountKeywords(words)) {
-    return createInvalidKeywordOrderError(parsedData, STATUS_CODES);
+  const feeBearer = words[currentIndex + 2].toUpperCase();
+
+  if (!hasValidBorneByKeywords(words, currentIndex, matcher)) {
+    return {
+      error: pointAtKeywordMismatch(
+        createInvalidKeywordOrderError(parsedData, STATUS_CODES),
+        words,
+        currentIndex,
+        ['BORNE', 'BY']
+      ),
+    };
   }
 
-  if (debitAccount && !isValidAccountId(debitAccount)) {
-    return createInvalidAccountIdError(parsedData, true, STATUS_CODES);
+  if (!isValidFeeBearer(feeBearer)) {
+    return {
+      error: pointAt(createInvalidKeywordOrderError(parsedData, STATUS_CODES), currentIndex + 2, [
+        'SENDER',
+        'RECEIVER',
+      ]),
+    };
   }
 
-  if (hasEnoughWords(words, 10) && !hasValidForCreditToAccountKeywords(words)) {
-    return createInvalidKeywordOrderError(parsedData, STATUS_CODES);
+  return { fee, feeBearer, nextIndex: currentIndex + 3 };
+}
+
+// Optional clause after the accounts and fee: EVERY DAY|WEEK|MONTH [STARTING date] [UNTIL date | TIMES n]
+// Without STARTING the first run is today; without UNTIL or TIMES the schedule runs until cancelled
+function parseRecurrenceClause(words, startIndex, parsedData, matcher, clock) {
+  if (!hasValidEveryKeyword(words, startIndex, matcher)) {
+    return { recurrence: null, nextIndex: startIndex };
   }
 
-  if (creditAccount && !isValidAccountId(creditAccount)) {
-    return createInvalidAccountIdError(parsedData, false, STATUS_CODES);
+  let currentIndex = startIndex + 1;
+
+  if (currentIndex >= words.length) {
+    return {
+      error: pointAt(
+        createMissingKeywordError(parsedData, STATUS_CODES),
+        currentIndex,
+        FREQUENCIES
+      ),
+    };
   }
 
-  if (debitAccount && creditAccount && areSameAccounts(debitAccount, creditAccount)) {
-    return createSameAccountsError(parsedData, STATUS_CODES);
+  const frequency = words[currentIndex].toUpperCase();
+  if (!isValidFrequency(frequency)) {
+    return {
+      error: pointAt(
+        createInvalidFrequencyError(parsedData, STATUS_CODES),
+        currentIndex,
+        FREQUENCIES
+      ),
+    };
   }
+  currentIndex++;
+
+  // YYYY-MM-DD strings compare in date order
+  const today = getCurrentUTCDate(clock).toISOString().substring(0, 10);
+  const recurrence = { frequency, start_date: today, end_date: null, times: null };
+
+  if (matcher.matches(words, currentIndex, 'STARTING')) {
+    const dateStr = words[currentIndex + 1] || null;
+
+    if (!parseDate(dateStr)) {
+      return {
+        error: pointAt(
+          createInvalidDateError({ ...parsedData, executeBy: dateStr }, STATUS_CODES),
+          currentIndex + 1,
+          ['date (YYYY-MM-DD)']
+        ),
+      };
+    }
+
+    if (dateStr < today) {
+      return {
+        error: pointAt(
+          createStartDateInPastError(parsedData, STATUS_CODES),
+          currentIndex + 1,
+          ['date (YYYY-MM-DD)'],
+          `use ${today} or a later date`
+        ),
+      };
+    }
 
-  if (!hasEnoughWords(words, 11)) {
-    return createMissingKeywordError(parsedData, STATUS_CODES);
+    recurrence.start_date = dateStr;
+    currentIndex += 2;
   }
 
-  let executeBy = null;
-  let currentIndex = 11;
+  if (matcher.matches(words, currentIndex, 'UNTIL')) {
+    const dateStr = words[currentIndex + 1] || null;
+
+    if (!parseDate(dateStr)) {
+      return {
+        error: pointAt(
+          createInvalidDateError({ ...parsedData, executeBy: dateStr }, STATUS_CODES),
+          currentIndex + 1,
+          ['date (YYYY-MM-DD)']
+        ),
+      };
+    }
 
-  if (hasValidOnDate(words, currentIndex)) {
-    currentIndex++;
-    if (currentIndex >= words.length) {
-      return createInvalidDateError(
-        {
-          ...parsedData,
-          executeBy: null,
-        },
-        STATUS_CODES
-      );
+    if (dateStr <= recurrence.start_date) {
+      return {
+        error: pointAt(
+          createInvalidRecurrenceRangeError(parsedData, STATUS_CODES),
+          currentIndex + 1,
+          ['date (YYYY-MM-DD)'],
+          `use a date after ${recurrence.start_date}`
+        ),
+      };
     }
 
-    const dateStr = words[currentIndex];
-    const date = parseDate(dateStr);
-    if (!date) {
-      return createInvalidDateError(
-        {
-          ...parsedData,
-          executeBy: dateStr,
-        },
-        STATUS_CODES
-      );
+    recurrence.end_date = dateStr;
+    currentIndex += 2;
+  } else if (matcher.matches(words, currentIndex, 'TIMES')) {
+    const timesStr = words[currentIndex + 1] || null;
+
+    if (!isDigits(timesStr) || Number(timesStr) < 1) {
+      return {
+        error: pointAt(
+          createInvalidRecurrenceCountError(parsedData, STATUS_CODES),
+          currentIndex + 1,
+          ['count']
+        ),
+      };
     }
 
-    executeBy = dateStr;
-    currentIndex++;
+    recurrence.times = Number(timesStr);
+    currentIndex += 2;
   }
 
-  if (hasExtraWords(words, currentIndex)) {
-    return createInvalidKeywordOrderError(
-      {
-        ...parsedData,
-        executeBy,
-      },
-      STATUS_CODES
-    );
+  return { recurrence, nextIndex: currentIndex };
+}
+
+// The narration clauses close the instruction; anything from the first REF or MEMO on is one of them
+function findNarrationIndex(words, searchStartIndex = NARRATION_SEARCH_START_INDEX) {
+  for (let i = searchStartIndex; i < words.length; i++) {
+    if (isNarrationKeyword(words[i])) return i;
   }
+  return words.length;
+}
 
-  return createSuccessResponse({
-    ...parsedData,
-    executeBy,
-  });
+// Optional closing clauses: REF "text" and MEMO "text", each at most once and in either order
+function parseNarrationClause(words, startIndex, parsedData) {
+  const narration = { reference: null, memo: null };
+  const failedData = { ...parsedData, ...narration };
+  let currentIndex = startIndex;
+
+  while (currentIndex < words.length) {
+    const isReference = words[currentIndex].toUpperCase() === 'REF';
+    const field = isReference ? 'reference' : 'memo';
+
+    if (!isNarrationKeyword(words[currentIndex]) || narration[field] !== null) {
+      return {
+        error: pointAt(
+          createInvalidKeywordOrderError(failedData, STATUS_CODES),
+          currentIndex,
+          ['REF', 'MEMO'].filter(
+            (keyword) => narration[keyword === 'REF' ? 'reference' : 'memo'] === null
+          )
+        ),
+      };
+    }
+
+    if (currentIndex + 1 >= words.length) {
+      return {
+        error: pointAt(createMissingKeywordError(failedData, STATUS_CODES), currentIndex + 1, [
+          'quoted text',
+        ]),
+      };
+    }
+
+    const quotedText = words[currentIndex + 1];
+    const text = quotedText.substring(1, quotedText.length - 1);
+    const isValidText = isReference ? isValidReference(text) : isValidMemo(text);
+
+    if (!isQuotedText(quotedText) || !isValidText) {
+      return {
+        error: pointAt(
+          createInvalidNarrationError(failedData, isReference, STATUS_CODES),
+          currentIndex + 1,
+          ['quoted text'],
+          isReference
+            ? 'use 1 to 35 letters, digits, spaces or - / . : _ characters between double quotes'
+            : 'use 1 to 140 printable characters between double quotes'
+        ),
+      };
+    }
+
+    narration[field] = text;
+    currentIndex += 2;
+  }
+
+  return narration;
 }
 
-// Format: CREDIT [amount] [currency] TO ACCOUNT [account_id] FOR DEBIT FROM ACCOUNT [account_id] [ON [date]]
-function parseCreditInstruction(words) {
+// ON takes YYYY-MM-DD or a natural date such as TOMORROW, NEXT FRIDAY or 20 SEP 2026, and keeps
+// the date as written in executeByText. A recurring instruction takes its dates from the
+// schedule, so it cannot also have ON
+const EXECUTION_DATE_CLAUSE = clause(
+  ['ON'],
+  [slot('date', 'executeBy', { textField: 'executeByText' })],
+  {
+    unless: 'recurrence',
+  }
+);
+
+// STRICT after the date rejects a date that is not a business day instead of moving it forward
+const STRICT_DATE_CLAUSE = clause(['STRICT'], [], {
+  requires: 'executeBy',
+  flag: 'strictDate',
+});
+
+const GRAMMAR_CLAUSES = [
+  { keyword: 'WITH', parse: parseFeeClause },
+  {
+    keyword: 'EVERY',
+    parse: parseRecurrenceClause,
+    openKeywords: ({ recurrence }) =>
+      recurrence.end_date || recurrence.times ? [] : ['UNTIL', 'TIMES'],
+  },
+  EXECUTION_DATE_CLAUSE,
+  STRICT_DATE_CLAUSE,
+];
+
+// Format: DEBIT [amount] [currency] FROM ACCOUNT [account_id] FOR CREDIT TO ACCOUNT [account_id] [WITH FEE ...] [ON [date] [STRICT] | EVERY ...]
+const DEBIT_GRAMMAR = {
+  type: 'DEBIT',
+  sequence: [
+    keywords('DEBIT'),
+    slot('amount', 'amount'),
+    slot('currency', 'currency'),
+    keywords('FROM', 'ACCOUNT'),
+    slot('account id', 'debitAccount'),
+    keywords('FOR', 'CREDIT', 'TO', 'ACCOUNT'),
+    slot('account id', 'creditAccount'),
+  ],
+  clauses: GRAMMAR_CLAUSES,
+  closingKeywords: ['REF', 'MEMO'],
+};
+
+// Format: CREDIT [amount] [currency] TO ACCOUNT [account_id] FOR DEBIT FROM ACCOUNT [account_id] [WITH FEE ...] [ON [date] [STRICT] | EVERY ...]
+const CREDIT_GRAMMAR = {
+  type: 'CREDIT',
+  sequence: [
+    keywords('CREDIT'),
+    slot('amount', 'amount'),
+    slot('currency', 'currency'),
+    keywords('TO', 'ACCOUNT'),
+    slot('account id', 'creditAccount'),
+    keywords('FOR', 'DEBIT', 'FROM', 'ACCOUNT'),
+    slot('account id', 'debitAccount'),
+  ],
+  clauses: GRAMMAR_CLAUSES,
+  closingKeywords: ['REF', 'MEMO'],
+};
+
+// An adjustment takes its accounts, and a reversal its amount, from the transaction it adjusts
+const ADJUSTMENT_DEFAULTS = {
+  amount: null,
+  currency: null,
+  debitAccount: null,
+  creditAccount: null,
+  executeBy: null,
+  executeByText: null,
+  strictDate: false,
+};
+
+// Format: REVERSE TRANSACTION [transaction_id]
+const REVERSE_GRAMMAR = {
+  type: 'REVERSE',
+  sequence: [keywords('REVERSE', 'TRANSACTION'), slot('transaction id', 'originalTransaction')],
+  clauses: [],
+  closingKeywords: ['REF', 'MEMO'],
+  defaults: ADJUSTMENT_DEFAULTS,
+};
+
+// Format: REFUND [amount] [currency] OF TRANSACTION [transaction_id]
+const REFUND_GRAMMAR = {
+  type: 'REFUND',
+  sequence: [
+    keywords('REFUND'),
+    slot('amount', 'amount'),
+    slot('currency', 'currency'),
+    keywords('OF', 'TRANSACTION'),
+    slot('transaction id', 'originalTransaction'),
+  ],
+  clauses: [],
+  closingKeywords: ['REF', 'MEMO'],
+  defaults: ADJUSTMENT_DEFAULTS,
+};
+
+const ADJUSTMENT_TYPES = [REVERSE_GRAMMAR.type, REFUND_GRAMMAR.type];
+
+// Format: HOLD [amount] [currency] ON ACCOUNT [account_id] FOR ACCOUNT [account_id]
+const HOLD_GRAMMAR = {
+  type: 'HOLD',
+  sequence: [
+    keywords('HOLD'),
+    slot('amount', 'amount'),
+    slot('currency', 'currency'),
+    keywords('ON', 'ACCOUNT'),
+    slot('account id', 'debitAccount'),
+    keywords('FOR', 'ACCOUNT'),
+    slot('account id', 'creditAccount'),
+  ],
+  clauses: [],
+  closingKeywords: ['REF', 'MEMO'],
+  defaults: { executeBy: null, executeByText: null, strictDate: false },
+};
+
+// A capture or release takes its amount and accounts from the hold it settles
+const HOLD_SETTLEMENT_DEFAULTS = ADJUSTMENT_DEFAULTS;
+
+// Format: CAPTURE HOLD [hold_id]
+const CAPTURE_GRAMMAR = {
+  type: 'CAPTURE',
+  sequence: [keywords('CAPTURE', 'HOLD'), slot('hold id', 'holdId')],
+  clauses: [],
+  closingKeywords: ['REF', 'MEMO'],
+  defaults: HOLD_SETTLEMENT_DEFAULTS,
+};
+
+// Format: RELEASE HOLD [hold_id]
+const RELEASE_GRAMMAR = {
+  type: 'RELEASE',
+  sequence: [keywords('RELEASE', 'HOLD'), slot('hold id', 'holdId')],
+  clauses: [],
+  closingKeywords: ['REF', 'MEMO'],
+  defaults: HOLD_SETTLEMENT_DEFAULTS,
+};
+
+const HOLD_TYPES = [HOLD_GRAMMAR.type, CAPTURE_GRAMMAR.type, RELEASE_GRAMMAR.type];
+
+// Instructions that do not name a transfer between two accounts in the DEBIT or CREDIT format
+const NON_TRANSFER_GRAMMARS = [
+  REVERSE_GRAMMAR,
+  REFUND_GRAMMAR,
+  HOLD_GRAMMAR,
+  CAPTURE_GRAMMAR,
+  RELEASE_GRAMMAR,
+];
+
+// Format: DEBIT [amount] [currency] FROM ACCOUNT [account_id] FOR CREDIT TO ACCOUNTS [account_id]:[amount], ... [ON [date] [STRICT] | EVERY ...]
+function parseSplitDebitInstruction(words, matcher, clock) {
   const amountStr = words[1] || null;
   const currency = words[2] ? words[2].toUpperCase() : null;
-  const creditAccount = words[5] || null;
-  const debitAccount = words[10] || null;
+  const debitAccount = words[5] || null;
 
   const parsedData = {
-    type: 'CREDIT',
-    amount: amountStr ? parseInt(amountStr, 10) : null,
+    type: 'DEBIT',
+    amount: isValidAmount(amountStr) ? Number(amountStr) : null,
     currency,
     debitAccount,
-    creditAccount,
+    creditAccount: null,
     executeBy: null,
+    executeByText: null,
+    strictDate: false,
   };
 
-  if (!hasEnoughWords(words, 6)) {
-    return createMissingKeywordError(parsedData, STATUS_CODES);
-  }
-
-  if (!amountStr) {
-    return createInvalidAmountError(parsedData, amountStr, STATUS_CODES);
-  }
-
-  const amount = parseInt(amountStr, 10);
-
   if (!isValidAmount(amountStr)) {
     parsedData.amount = null;
-    return createInvalidAmountError(parsedData, amountStr, STATUS_CODES);
+    return pointAt(createInvalidAmountError(parsedData, amountStr, STATUS_CODES), 1, ['amount']);
   }
 
-  if (hasEnoughWords(words, 5) && !hasValidToAccountKeywords(words)) {
-    return createInvalidKeywordOrderError(parsedData, STATUS_CODES);
+  const minorUnitExponent = getMinorUnitExponent(currency);
+  if (minorUnitExponent !== null && !hasValidAmountPrecision(amountStr, minorUnitExponent)) {
+    return pointAt(
+      createInvalidAmountPrecisionError(parsedData, STATUS_CODES),
+      1,
+      ['amount'],
+      `use at most ${minorUnitExponent} decimal places for ${currency}`
+    );
   }
 
-  if (creditAccount && !isValidAccountId(creditAccount)) {
-    return createInvalidAccountIdError(parsedData, false, STATUS_CODES);
+  if (!hasValidFromAccountKeywords(words, matcher)) {
+    return pointAtKeywordMismatch(
+      createInvalidKeywordOrderError(parsedData, STATUS_CODES),
+      words,
+      3,
+      ['FROM', 'ACCOUNT']
+    );
   }
 
-  if (hasEnoughWords(words, 10) && !hasValidForDebitFromAccountKeywords(words)) {
-    return createInvalidKeywordOrderError(parsedData, STATUS_CODES);
+  if (!isValidAccountId(debitAccount)) {
+    return pointAt(createInvalidAccountIdError(parsedData, true, STATUS_CODES), 5, ['account id']);
   }
 
-  if (debitAccount && !isValidAccountId(debitAccount)) {
-    return createInvalidAccountIdError(parsedData, true, STATUS_CODES);
-  }
+  // The legs run up to the optional ON or EVERY clause; joining the words allows "b:600, c:400" or
+  // "b:600,c:400"
+  let currentIndex = 10;
+  let legsStr = '';
+  // The word each character of legsStr came from, so a bad leg can be pointed at
+  const legCharWordIndexes = [];
+
+  while (
+    currentIndex < words.length &&
+    !hasValidOnDate(words, currentIndex, matcher) &&
+    !hasValidEveryKeyword(words, currentIndex, matcher)
+  ) {
+    // Otherwise WITH FEE would be read as legs and reported as a bad amount
+    if (hasValidWithFeeKeywords(words, currentIndex, matcher)) {
+      return pointAt(createSplitFeeNotSupportedError(parsedData, STATUS_CODES), currentIndex, [
+        'account id:amount',
+        'ON',
+        'EVERY',
+      ]);
+    }
 
-  if (debitAccount && creditAccount && areSameAccounts(debitAccount, creditAccount)) {
-    return createSameAccountsError(parsedData, STATUS_CODES);
+    legsStr += words[currentIndex];
+    legCharWordIndexes.push(...Array(words[currentIndex].length).fill(currentIndex));
+    currentIndex++;
   }
 
-  if (!hasEnoughWords(words, 11)) {
-    return createMissingKeywordError(parsedData, STATUS_CODES);
+  if (!legsStr) {
+    return pointAt(createMissingKeywordError(parsedData, STATUS_CODES), currentIndex, [
+      'account id:amount',
+    ]);
   }
 
-  let executeBy = null;
-  let currentIndex = 11;
+  const credits = [];
+  const legAmountStrs = [];
+  const legs = legsStr.split(',');
+  let legStart = 0;
 
-  if (hasValidOnDate(words, currentIndex)) {
-    currentIndex++;
-    if (currentIndex >= words.length) {
-      return createInvalidDateError(
-        {
-          ...parsedData,
-          executeBy: null,
-        },
-        STATUS_CODES
+  for (let i = 0; i < legs.length; i++) {
+    const separatorIndex = legs[i].indexOf(':');
+    const legWordIndex = legCharWordIndexes[Math.min(legStart, legCharWordIndexes.length - 1)];
+    legStart += legs[i].length + 1;
+
+    if (separatorIndex === -1) {
+      return pointAt(createInvalidKeywordOrderError(parsedData, STATUS_CODES), legWordIndex, [
+        'account id:amount',
+      ]);
+    }
+
+    const creditAccount = legs[i].substring(0, separatorIndex);
+    const legAmountStr = legs[i].substring(separatorIndex + 1);
+
+    if (!isValidAccountId(creditAccount)) {
+      return pointAt(createInvalidAccountIdError(parsedData, false, STATUS_CODES), legWordIndex, [
+        'account id:amount',
+      ]);
+    }
+
+    if (!isValidAmount(legAmountStr)) {
+      return pointAt(
+        createInvalidAmountError(parsedData, legAmountStr, STATUS_CODES),
+        legWordIndex,
+        ['account id:amount']
       );
     }
 
-    const dateStr = words[currentIndex];
-    const date = parseDate(dateStr);
-    if (!date) {
-      return createInvalidDateError(
-        {
-          ...parsedData,
-          executeBy: dateStr,
-        },
-        STATUS_CODES
+    if (minorUnitExponent !== null && !hasValidAmountPrecision(legAmountStr, minorUnitExponent)) {
+      return pointAt(
+        createInvalidAmountPrecisionError(parsedData, STATUS_CODES),
+        legWordIndex,
+        ['account id:amount'],
+        `use at most ${minorUnitExponent} decimal places for ${currency}`
       );
     }
 
-    executeBy = dateStr;
-    currentIndex++;
+    if (areSameAccounts(debitAccount, creditAccount)) {
+      return pointAt(
+        createSameAccountsError(parsedData, STATUS_CODES),
+        legWordIndex,
+        ['account id:amount'],
+        `use an account other than ${debitAccount}`
+      );
+    }
+
+    if (credits.some((credit) => credit.account_id === creditAccount)) {
+      return pointAt(
+        createDuplicateSplitAccountError(parsedData, STATUS_CODES),
+        legWordIndex,
+        ['account id:amount'],
+        `combine the legs for ${creditAccount} into one`
+      );
+    }
+
+    credits.push({ account_id: creditAccount, amount: Number(legAmountStr) });
+    legAmountStrs.push(legAmountStr);
+  }
+
+  // Compared in minor units at the finest precision used, so the check also holds for unknown currencies
+  const precision = Math.max(...[amountStr, ...legAmountStrs].map(getAmountPrecision));
+  const legsTotal = credits.reduce(
+    (total, credit) => total + toMinorUnits(credit.amount, precision),
+    0
+  );
+
+  if (legsTotal !== toMinorUnits(parsedData.amount, precision)) {
+    return pointAt(
+      createSplitTotalMismatchError(parsedData, STATUS_CODES),
+      1,
+      ['amount'],
+      `the credit legs add up to ${fromMinorUnits(legsTotal, precision)}, not ${parsedData.amount}`
+    );
+  }
+
+  const recurrenceClause = parseRecurrenceClause(words, currentIndex, parsedData, matcher, clock);
+  if (recurrenceClause.error) {
+    return recurrenceClause.error;
+  }
+  const { recurrence } = recurrenceClause;
+  currentIndex = recurrenceClause.nextIndex;
+
+  // Skipped for a recurring instruction, so an ON after EVERY is reported as an extra word
+  const executionDateClause = parseClause(
+    EXECUTION_DATE_CLAUSE,
+    words,
+    currentIndex,
+    { ...parsedData, recurrence },
+    matcher,
+    STATUS_CODES,
+    clock
+  );
+  if (executionDateClause.error) {
+    return executionDateClause.error;
   }
+  const { executeBy = null, executeByText = null } = executionDateClause;
+  currentIndex = executionDateClause.nextIndex;
+
+  const strictDateClause = parseClause(
+    STRICT_DATE_CLAUSE,
+    words,
+    currentIndex,
+    { ...parsedData, executeBy },
+    matcher,
+    STATUS_CODES,
+    clock
+  );
+  const strictDate = !!strictDateClause.strictDate;
+  currentIndex = strictDateClause.nextIndex;
 
   if (hasExtraWords(words, currentIndex)) {
-    return createInvalidKeywordOrderError(
-      {
-        ...parsedData,
-        executeBy,
-      },
-      STATUS_CODES
+    let openKeywords = executeBy && !strictDate ? ['STRICT'] : [];
+    if (recurrence && !recurrence.end_date && !recurrence.times) {
+      openKeywords = ['UNTIL', 'TIMES'];
+    }
+
+    return pointAt(
+      createInvalidKeywordOrderError(
+        {
+          ...parsedData,
+          executeBy,
+          executeByText,
+          strictDate,
+        },
+        STATUS_CODES
+      ),
+      currentIndex,
+      [...openKeywords, 'REF', 'MEMO']
     );
   }
 
   return createSuccessResponse({
     ...parsedData,
     executeBy,
+    executeByText,
+    strictDate,
+    credits,
+    ...(recurrence && { recurrence }),
   });
 }
 
-// Process transaction between accounts
-function processTransaction(parsedData, accounts) {
+// Pending when the execution date is still in the future, otherwise executed now
+function getExecutionStatus(executeBy, clock) {
+  if (executeBy && isFutureDate(parseDate(executeBy), clock)) {
+    return {
+      status: 'pending',
+      statusCode: STATUS_CODES.PENDING,
+      statusReason: PaymentInstructionsMessages.TRANSACTION_PENDING,
+    };
+  }
+
+  return {
+    status: 'successful',
+    statusCode: STATUS_CODES.SUCCESSFUL,
+    statusReason: PaymentInstructionsMessages.TRANSACTION_SUCCESS,
+  };
+}
+
+/**
+ * The date a pending instruction settles on: execute_by, or the next business day of the
+ * currency when execute_by falls on a weekend or holiday. With STRICT the instruction is
+ * rejected instead of moved.
+ * @param {Object} parsedData
+ * @param {Object[]} [holidays] - stored holidays, see loadHolidays
+ * @returns {{ executeBy: String, adjustment: Object|null, rejectionReason: String|null }}
+ */
+function getSettlementDate(parsedData, holidays) {
+  const { date, reason } = rollForwardToBusinessDay(
+    parsedData.executeBy,
+    parsedData.currency,
+    holidays
+  );
+
+  if (!reason) {
+    return { executeBy: parsedData.executeBy, adjustment: null, rejectionReason: null };
+  }
+  if (parsedData.strictDate) {
+    return { executeBy: parsedData.executeBy, adjustment: null, rejectionReason: reason };
+  }
+
+  return {
+    executeBy: date,
+    adjustment: { requested_date: parsedData.executeBy, reason },
+    rejectionReason: null,
+  };
+}
+
+// The first transaction limit an executing debit would breach, counting the debits already made
+// from the account in options.debitHistory. Pending instructions are checked when they run.
+function findDebitLimitBreach(parsedData, options) {
+  return findLimitBreach(
+    {
+      account_id: parsedData.debitAccount,
+      amount: parsedData.amount,
+      currency: parsedData.currency,
+    },
+    options.debitHistory,
+    (options.clock || systemClock).now().getTime(),
+    options.limits
+  );
+}
+
+// Applies one debit and all of its credit legs together. Fees and conversion only apply to
+// single-credit transfers, so every account must hold the instruction currency.
+function processSplitTransaction(parsedData, accounts, options = {}) {
+  const creditAccountIds = parsedData.credits.map((credit) => credit.account_id);
   let responseAccounts = [];
 
   accounts.forEach((account) => {
-    if (account.id === parsedData.debitAccount || account.id === parsedData.creditAccount) {
+    if (account.id === parsedData.debitAccount || creditAccountIds.includes(account.id)) {
       responseAccounts.push({
         id: account.id,
         balance: account.balance,
@@ -344,119 +909,117 @@ function processTransaction(parsedData, accounts) {
     }
   });
 
+  const errorData = {
+    type: parsedData.type,
+    amount: parsedData.amount,
+    currency: parsedData.currency,
+    debitAccount: parsedData.debitAccount,
+    creditAccount: null,
+    executeBy: parsedData.executeBy,
+    executeByText: parsedData.executeByText,
+    reference: parsedData.reference,
+    memo: parsedData.memo,
+    accounts: responseAccounts,
+  };
+
   const debitAccountObj = accounts.find((acc) => acc.id === parsedData.debitAccount);
-  const creditAccountObj = accounts.find((acc) => acc.id === parsedData.creditAccount);
+  const creditAccountObjs = creditAccountIds.map((id) => accounts.find((acc) => acc.id === id));
 
   if (!debitAccountExists(debitAccountObj)) {
-    return createAccountNotFoundError(
-      {
-        type: parsedData.type,
-        amount: parsedData.amount,
-        currency: parsedData.currency,
-        debitAccount: parsedData.debitAccount,
-        creditAccount: parsedData.creditAccount,
-        executeBy: parsedData.executeBy,
-        accounts: responseAccounts,
-      },
-      true,
-      STATUS_CODES
-    );
+    return {
+      ...createAccountNotFoundError(errorData, true, STATUS_CODES),
+      credits: parsedData.credits,
+    };
   }
 
-  if (!creditAccountExists(creditAccountObj)) {
-    return createAccountNotFoundError(
-      {
-        type: parsedData.type,
-        amount: parsedData.amount,
-        currency: parsedData.currency,
-        debitAccount: parsedData.debitAccount,
-        creditAccount: parsedData.creditAccount,
-        executeBy: parsedData.executeBy,
-        accounts: responseAccounts,
-      },
-      false,
-      STATUS_CODES
-    );
+  if (!creditAccountObjs.every(creditAccountExists)) {
+    return {
+      ...createAccountNotFoundError(errorData, false, STATUS_CODES),
+      credits: parsedData.credits,
+    };
   }
 
-  if (!isSupportedCurrency(parsedData.currency, SUPPORTED_CURRENCIES)) {
-    return createUnsupportedCurrencyError(
-      {
-        type: parsedData.type,
-        amount: parsedData.amount,
-        currency: parsedData.currency,
-        debitAccount: parsedData.debitAccount,
-        creditAccount: parsedData.creditAccount,
-        executeBy: parsedData.executeBy,
-        accounts: responseAccounts,
-      },
-      STATUS_CODES
-    );
+  if (!isCurrencyEnabled(parsedData.currency)) {
+    return {
+      ...createUnsupportedCurrencyError(errorData, STATUS_CODES),
+      credits: parsedData.credits,
+    };
   }
 
-  if (!currenciesMatch(debitAccountObj, creditAccountObj, parsedData.currency)) {
-    return createCurrencyMismatchError(
-      {
-        type: parsedData.type,
-        amount: parsedData.amount,
-        currency: parsedData.currency,
-        debitAccount: parsedData.debitAccount,
-        creditAccount: parsedData.creditAccount,
-        executeBy: parsedData.executeBy,
-        accounts: responseAccounts,
-      },
-      STATUS_CODES
-    );
+  if (
+    !creditAccountObjs.every((creditAccountObj) =>
+      currenciesMatch(debitAccountObj, creditAccountObj, parsedData.currency)
+    )
+  ) {
+    return { ...createCurrencyMismatchError(errorData, STATUS_CODES), credits: parsedData.credits };
   }
 
-  if (!hasSufficientFunds(debitAccountObj, parsedData.amount)) {
-    return createInsufficientFundsError(
-      {
-        type: parsedData.type,
-        amount: parsedData.amount,
-        currency: parsedData.currency,
-        debitAccount: parsedData.debitAccount,
-        creditAccount: parsedData.creditAccount,
-        executeBy: parsedData.executeBy,
-        accounts: responseAccounts,
-      },
-      debitAccountObj,
-      STATUS_CODES
-    );
+  const minorUnitExponent = getMinorUnitExponent(parsedData.currency);
+
+  if (
+    !hasSufficientFunds(debitAccountObj, parsedData.amount, minorUnitExponent, 0, options.holds)
+  ) {
+    return {
+      ...createInsufficientFundsError(
+        {
+          ...errorData,
+          availableBalance: getAvailableBalance(debitAccountObj, options.holds, minorUnitExponent),
+        },
+        debitAccountObj,
+        STATUS_CODES
+      ),
+      credits: parsedData.credits,
+    };
   }
 
-  let status = 'successful';
-  let statusCode = STATUS_CODES.SUCCESSFUL;
-  let statusReason = PaymentInstructionsMessages.TRANSACTION_SUCCESS;
+  const { status, statusCode, statusReason } = getExecutionStatus(
+    parsedData.executeBy,
+    options.clock
+  );
+  let { executeBy } = parsedData;
+  let adjustment = null;
+  const limitBreach = status === 'successful' && findDebitLimitBreach(parsedData, options);
 
-  if (parsedData.executeBy) {
-    const executeDate = parseDate(parsedData.executeBy);
-    const currentDate = getCurrentUTCDate();
+  if (limitBreach) {
+    return {
+      ...createLimitExceededError(errorData, limitBreach, STATUS_CODES),
+      credits: parsedData.credits,
+    };
+  }
+
+  if (status === 'pending') {
+    const settlement = getSettlementDate(parsedData, options.holidays);
 
-    if (isFutureDate(executeDate, currentDate)) {
-      status = 'pending';
-      statusCode = STATUS_CODES.PENDING;
-      statusReason = PaymentInstructionsMessages.TRANSACTION_PENDING;
+    if (settlement.rejectionReason) {
+      return {
+        ...createNonBusinessDayError(errorData, settlement.rejectionReason, STATUS_CODES),
+        credits: parsedData.credits,
+      };
     }
+    ({ executeBy, adjustment } = settlement);
   }
 
   if (status === 'successful') {
+    const amountInMinorUnits = toMinorUnits(parsedData.amount, minorUnitExponent);
+
     responseAccounts = responseAccounts.map((account) => {
+      const balanceInMinorUnits = toMinorUnits(account.balance, minorUnitExponent);
+
       if (account.id === parsedData.debitAccount) {
         return {
           ...account,
-          balance_before: account.balance,
-          balance: account.balance - parsedData.amount,
-        };
-      }
-      if (account.id === parsedData.creditAccount) {
-        return {
-          ...account,
-          balance_before: account.balance,
-          balance: account.balance + parsedData.amount,
+          balance: fromMinorUnits(balanceInMinorUnits - amountInMinorUnits, minorUnitExponent),
         };
       }
-      return account;
+
+      const credit = parsedData.credits.find((leg) => leg.account_id === account.id);
+      return {
+        ...account,
+        balance: fromMinorUnits(
+          balanceInMinorUnits + toMinorUnits(credit.amount, minorUnitExponent),
+          minorUnitExponent
+        ),
+      };
     });
   }
 
@@ -465,98 +1028,1243 @@ function processTransaction(parsedData, accounts) {
     amount: parsedData.amount,
     currency: parsedData.currency,
     debit_account: parsedData.debitAccount,
-    credit_account: parsedData.creditAccount,
-    execute_by: parsedData.executeBy,
+    credit_account: null,
+    execute_by: executeBy,
+    execute_by_text: parsedData.executeByText ?? null,
+    ...(adjustment && { execute_by_adjustment: adjustment }),
+    ...(status === 'pending' && parsedData.strictDate && { strict_date: true }),
+    reference: parsedData.reference ?? null,
+    memo: parsedData.memo ?? null,
     status,
     status_reason: statusReason,
     status_code: statusCode,
     accounts: responseAccounts,
+    credits: parsedData.credits,
   };
 }
 
-// Parse payment instruction (DEBIT or CREDIT format)
-function parseInstruction(instruction) {
-  if (!instruction || typeof instruction !== 'string') {
-    return createMalformedInstructionError(STATUS_CODES);
-  }
+// The accounts with these ids, as they appear in a response before any balance changes
+function createResponseAccounts(accounts, accountIds) {
+  return accounts
+    .filter((account) => accountIds.includes(account.id))
+    .map((account) => ({
+      id: account.id,
+      balance: account.balance,
+      balance_before: account.balance,
+      currency: account.currency,
+    }));
+}
+
+// Reserves the amount on the debit account for a later capture to the credit account. No money
+// moves until then, so both balances stay as they are and only the available balance drops.
+function processHold(parsedData, accounts, options = {}) {
+  const errorData = {
+    type: parsedData.type,
+    amount: parsedData.amount,
+    currency: parsedData.currency,
+    debitAccount: parsedData.debitAccount,
+    creditAccount: parsedData.creditAccount,
+    executeBy: null,
+    executeByText: null,
+    reference: parsedData.reference,
+    memo: parsedData.memo,
+    accounts: createResponseAccounts(accounts, [parsedData.debitAccount, parsedData.creditAccount]),
+  };
+
+  const debitAccountObj = accounts.find((acc) => acc.id === parsedData.debitAccount);
+  const creditAccountObj = accounts.find((acc) => acc.id === parsedData.creditAccount);
 
-  const words = splitByWhitespace(instruction);
-  if (!hasEnoughWords(words, 6)) {
-    return createMalformedInstructionError(STATUS_CODES);
+  if (!debitAccountExists(debitAccountObj)) {
+    return createAccountNotFoundError(errorData, true, STATUS_CODES);
   }
 
-  const firstWord = words[0].toUpperCase();
-  if (hasValidFirstWord(firstWord)) {
-    if (firstWord === 'DEBIT') {
-      return parseDebitInstruction(words);
-    }
-    if (firstWord === 'CREDIT') {
-      return parseCreditInstruction(words);
-    }
+  if (!creditAccountExists(creditAccountObj)) {
+    return createAccountNotFoundError(errorData, false, STATUS_CODES);
   }
-  return createMalformedInstructionError(STATUS_CODES);
-}
 
-// Main service function
-async function processTransactionService(serviceData, options = {}) {
-  const opts = options;
+  if (!isCurrencyEnabled(parsedData.currency)) {
+    return createUnsupportedCurrencyError(errorData, STATUS_CODES);
+  }
 
-  const data = validator.validate(serviceData, parsedServiceSpec);
+  // The capture is a plain transfer, so it cannot convert
+  if (!currenciesMatch(debitAccountObj, creditAccountObj, parsedData.currency)) {
+    return createCurrencyMismatchError(errorData, STATUS_CODES);
+  }
 
-  const { instruction, accounts } = data;
+  const minorUnitExponent = getMinorUnitExponent(parsedData.currency);
 
-  const parseResult = parseInstruction(instruction);
+  if (
+    !hasSufficientFunds(debitAccountObj, parsedData.amount, minorUnitExponent, 0, options.holds)
+  ) {
+    return createInsufficientFundsError(
+      {
+        ...errorData,
+        availableBalance: getAvailableBalance(debitAccountObj, options.holds, minorUnitExponent),
+      },
+      debitAccountObj,
+      STATUS_CODES
+    );
+  }
 
-  if (!parseResult.success) {
-    const parsedData = parseResult.data || {
-      type: null,
-      amount: null,
-      currency: null,
-      debitAccount: null,
-      creditAccount: null,
-      executeBy: null,
-    };
+  return {
+    type: parsedData.type,
+    amount: parsedData.amount,
+    currency: parsedData.currency,
+    debit_account: parsedData.debitAccount,
+    credit_account: parsedData.creditAccount,
+    execute_by: null,
+    execute_by_text: null,
+    reference: parsedData.reference ?? null,
+    memo: parsedData.memo ?? null,
+    status: 'held',
+    status_reason: PaymentInstructionsMessages.HOLD_PLACED,
+    status_code: STATUS_CODES.HOLD_PLACED,
+    accounts: errorData.accounts,
+  };
+}
+
+// Frees the funds a hold reserved; nothing moves, so the balances stay as they are
+function processHoldRelease(parsedData, accounts) {
+  return {
+    type: parsedData.type,
+    amount: parsedData.amount,
+    currency: parsedData.currency,
+    debit_account: parsedData.debitAccount,
+    credit_account: parsedData.creditAccount,
+    execute_by: null,
+    execute_by_text: null,
+    reference: parsedData.reference ?? null,
+    memo: parsedData.memo ?? null,
+    status: 'released',
+    status_reason: PaymentInstructionsMessages.HOLD_RELEASED,
+    status_code: STATUS_CODES.HOLD_RELEASED,
+    accounts: createResponseAccounts(accounts, [parsedData.debitAccount, parsedData.creditAccount]),
+    hold_id: parsedData.holdId,
+  };
+}
 
-    const errorInfo = parseResult.error || {
-      status_reason: PaymentInstructionsMessages.MALFORMED_INSTRUCTION,
-      status_code: STATUS_CODES.MALFORMED_INSTRUCTION,
+/**
+ * Process transaction between accounts
+ * @param {Object} parsedData
+ * @param {Object[]} accounts
+ * @param {Object} [options]
+ * @param {Object[]} [options.holds] - active holds, whose funds are not available to the transfer
+ * @param {Boolean} [options.chargeRuleFees] - charge the fee rules without a WITH FEE clause
+ */
+function processTransaction(parsedData, accounts, options = {}) {
+  if (parsedData.credits) {
+    return processSplitTransaction(parsedData, accounts, options);
+  }
+  if (parsedData.type === HOLD_GRAMMAR.type) {
+    return processHold(parsedData, accounts, options);
+  }
+  if (parsedData.type === RELEASE_GRAMMAR.type) {
+    return processHoldRelease(parsedData, accounts);
+  }
+  // A resolved capture runs as a transfer and reports the hold it settles
+  if (parsedData.holdId) {
+    return {
+      ...processTransaction({ ...parsedData, holdId: null }, accounts, options),
+      hold_id: parsedData.holdId,
     };
+  }
+  // A resolved adjustment runs as a transfer and reports the transaction it adjusts
+  if (parsedData.originalTransaction) {
+    return {
+      ...processTransaction({ ...parsedData, originalTransaction: null }, accounts, options),
+      original_transaction: parsedData.originalTransaction,
+    };
+  }
+  let responseAccounts = [];
 
-    const responseAccounts = [];
-    if (parsedData.debitAccount || parsedData.creditAccount) {
-      accounts.forEach((account) => {
-        if (account.id === parsedData.debitAccount || account.id === parsedData.creditAccount) {
-          responseAccounts.push({
-            id: account.id,
-            balance: account.balance,
-            balance_before: account.balance,
-            currency: account.currency,
-          });
-        }
+  accounts.forEach((account) => {
+    if (account.id === parsedData.debitAccount || account.id === parsedData.creditAccount) {
+      responseAccounts.push({
+        id: account.id,
+        balance: account.balance,
+        balance_before: account.balance,
+        currency: account.currency,
       });
     }
+  });
 
-    return {
-      type: parsedData.type,
-      amount: parsedData.amount,
+  // Shares responseAccounts, so accounts added later (the fee account) also show up in errors
+  const errorData = {
+    type: parsedData.type,
+    amount: parsedData.amount,
+    currency: parsedData.currency,
+    debitAccount: parsedData.debitAccount,
+    creditAccount: parsedData.creditAccount,
+    executeBy: parsedData.executeBy,
+    executeByText: parsedData.executeByText,
+    reference: parsedData.reference,
+    memo: parsedData.memo,
+    accounts: responseAccounts,
+  };
+
+  const debitAccountObj = accounts.find((acc) => acc.id === parsedData.debitAccount);
+  const creditAccountObj = accounts.find((acc) => acc.id === parsedData.creditAccount);
+
+  if (!debitAccountExists(debitAccountObj)) {
+    return createAccountNotFoundError(errorData, true, STATUS_CODES);
+  }
+
+  if (!creditAccountExists(creditAccountObj)) {
+    return createAccountNotFoundError(errorData, false, STATUS_CODES);
+  }
+
+  if (!isCurrencyEnabled(parsedData.currency)) {
+    return createUnsupportedCurrencyError(errorData, STATUS_CODES);
+  }
+
+  const minorUnitExponent = getMinorUnitExponent(parsedData.currency);
+  const amountInMinorUnits = toMinorUnits(parsedData.amount, minorUnitExponent);
+  let creditMinorUnitExponent = minorUnitExponent;
+  let fx = null;
+
+  // An explicit fee in the instruction takes precedence over the fee rules for the currency. The
+  // rules charge a WITH FEE clause without an amount, and in ledger mode every transfer; callers
+  // sending their own balances are not charged a fee they did not ask for.
+  const feeBearer = parsedData.feeBearer || FEE_BEARERS.SENDER;
+  const ruleFee =
+    parsedData.feeBearer || options.chargeRuleFees
+      ? calculateFee(parsedData.amount, parsedData.currency, minorUnitExponent, options.feeRules)
+      : 0;
+  const feeInMinorUnits = toMinorUnits(parsedData.fee ?? ruleFee, minorUnitExponent);
+  const senderFeeInMinorUnits = feeBearer === FEE_BEARERS.SENDER ? feeInMinorUnits : 0;
+  const receiverFeeInMinorUnits = feeBearer === FEE_BEARERS.RECEIVER ? feeInMinorUnits : 0;
+
+  if (receiverFeeInMinorUnits >= amountInMinorUnits) {
+    return createFeeExceedsAmountError(errorData, STATUS_CODES);
+  }
+
+  // What the credit account receives in the instruction currency, before any conversion
+  let creditAmountInMinorUnits = amountInMinorUnits - receiverFeeInMinorUnits;
+
+  // With a rate table supplied, a credit account in another currency receives the converted amount
+  if (!currenciesMatch(debitAccountObj, creditAccountObj, parsedData.currency)) {
+    const fxRate = getFxRate(options.fxRates, parsedData.currency, creditAccountObj.currency);
+    creditMinorUnitExponent = getMinorUnitExponent(creditAccountObj.currency);
+
+    if (
+      debitAccountObj.currency !== parsedData.currency ||
+      fxRate === null ||
+      creditMinorUnitExponent === null
+    ) {
+      return createCurrencyMismatchError(errorData, STATUS_CODES);
+    }
+
+    const conversion = convertAmount(
+      fromMinorUnits(creditAmountInMinorUnits, minorUnitExponent),
+      fxRate,
+      minorUnitExponent,
+      creditMinorUnitExponent
+    );
+    creditAmountInMinorUnits = toMinorUnits(conversion.convertedAmount, creditMinorUnitExponent);
+
+    fx = {
+      rate: fxRate,
+      from_currency: parsedData.currency,
+      to_currency: creditAccountObj.currency,
+      converted_amount: conversion.convertedAmount,
+      remainder: conversion.remainder,
+    };
+  }
+
+  let fee = null;
+
+  // Fees are routed to the fee account, which has to be part of the account set and cannot be
+  // a party to the transfer it is collecting from
+  if (feeInMinorUnits > 0) {
+    const feeAccountObj = accounts.find((acc) => acc.id === FEE_ACCOUNT_ID);
+
+    if (!feeAccountObj) {
+      return createFeeAccountNotFoundError(errorData, STATUS_CODES);
+    }
+
+    if (FEE_ACCOUNT_ID === parsedData.debitAccount || FEE_ACCOUNT_ID === parsedData.creditAccount) {
+      return createFeeAccountIsPartyError(errorData, STATUS_CODES);
+    }
+
+    responseAccounts.push({
+      id: feeAccountObj.id,
+      balance: feeAccountObj.balance,
+      balance_before: feeAccountObj.balance,
+      currency: feeAccountObj.currency,
+    });
+
+    if (feeAccountObj.currency !== parsedData.currency) {
+      return createCurrencyMismatchError(errorData, STATUS_CODES);
+    }
+
+    fee = {
+      amount: fromMinorUnits(feeInMinorUnits, minorUnitExponent),
       currency: parsedData.currency,
-      debit_account: parsedData.debitAccount,
-      credit_account: parsedData.creditAccount,
-      execute_by: parsedData.executeBy,
-      status: 'failed',
-      status_reason: errorInfo.status_reason,
-      status_code: errorInfo.status_code,
-      accounts: responseAccounts,
+      borne_by: feeBearer,
+      account_id: FEE_ACCOUNT_ID,
+    };
+  }
+
+  if (
+    !hasSufficientFunds(
+      debitAccountObj,
+      parsedData.amount,
+      minorUnitExponent,
+      fromMinorUnits(senderFeeInMinorUnits, minorUnitExponent),
+      options.holds
+    )
+  ) {
+    return createInsufficientFundsError(
+      {
+        ...errorData,
+        requiredAmount: fromMinorUnits(
+          amountInMinorUnits + senderFeeInMinorUnits,
+          minorUnitExponent
+        ),
+        availableBalance: getAvailableBalance(debitAccountObj, options.holds, minorUnitExponent),
+      },
+      debitAccountObj,
+      STATUS_CODES
+    );
+  }
+
+  const { status, statusCode, statusReason } = getExecutionStatus(
+    parsedData.executeBy,
+    options.clock
+  );
+  let { executeBy } = parsedData;
+  let adjustment = null;
+  const limitBreach = status === 'successful' && findDebitLimitBreach(parsedData, options);
+
+  if (limitBreach) {
+    return createLimitExceededError(errorData, limitBreach, STATUS_CODES);
+  }
+
+  if (status === 'pending') {
+    const settlement = getSettlementDate(parsedData, options.holidays);
+
+    if (settlement.rejectionReason) {
+      return createNonBusinessDayError(errorData, settlement.rejectionReason, STATUS_CODES);
+    }
+    ({ executeBy, adjustment } = settlement);
+  }
+
+  if (status === 'successful') {
+    responseAccounts = responseAccounts.map((account) => {
+      if (account.id === parsedData.debitAccount) {
+        const balanceInMinorUnits = toMinorUnits(account.balance, minorUnitExponent);
+        return {
+          ...account,
+          balance_before: account.balance,
+          balance: fromMinorUnits(
+            balanceInMinorUnits - amountInMinorUnits - senderFeeInMinorUnits,
+            minorUnitExponent
+          ),
+        };
+      }
+      if (account.id === parsedData.creditAccount) {
+        const balanceInMinorUnits = toMinorUnits(account.balance, creditMinorUnitExponent);
+        return {
+          ...account,
+          balance_before: account.balance,
+          balance: fromMinorUnits(
+            balanceInMinorUnits + creditAmountInMinorUnits,
+            creditMinorUnitExponent
+          ),
+        };
+      }
+      if (fee && account.id === fee.account_id) {
+        const balanceInMinorUnits = toMinorUnits(account.balance, minorUnitExponent);
+        return {
+          ...account,
+          balance_before: account.balance,
+          balance: fromMinorUnits(balanceInMinorUnits + feeInMinorUnits, minorUnitExponent),
+        };
+      }
+      return account;
+    });
+  }
+
+  return {
+    type: parsedData.type,
+    amount: parsedData.amount,
+    currency: parsedData.currency,
+    debit_account: parsedData.debitAccount,
+    credit_account: parsedData.creditAccount,
+    execute_by: executeBy,
+    execute_by_text: parsedData.executeByText ?? null,
+    ...(adjustment && { execute_by_adjustment: adjustment }),
+    ...(status === 'pending' && parsedData.strictDate && { strict_date: true }),
+    reference: parsedData.reference ?? null,
+    memo: parsedData.memo ?? null,
+    status,
+    status_reason: statusReason,
+    status_code: statusCode,
+    accounts: responseAccounts,
+    ...(fee && { fee }),
+    ...(fx && { fx }),
+  };
+}
+
+/**
+ * Resolves a parsed REVERSE or REFUND against the journal entry it adjusts into a transfer back
+ * from the original credit account to the original debit account. Only what the credit account
+ * received can be returned, less earlier refunds; fees stay with the fee account, and nothing is
+ * charged for the adjustment.
+ * @param {Object} parsedData
+ * @param {Object|null} originalTransaction - { transaction, adjustments }, see loadOriginalTransaction
+ * @returns {Object} a parse result carrying the transfer, or the reason it cannot be made
+ */
+function resolveAdjustment(parsedData, originalTransaction) {
+  if (!originalTransaction) {
+    return createTransactionNotFoundError(parsedData, STATUS_CODES);
+  }
+
+  const { transaction, adjustments } = originalTransaction;
+
+  // Split and converted transfers have no single amount in one currency to send back
+  if (
+    ADJUSTMENT_TYPES.includes(transaction.type) ||
+    !transaction.credit_account ||
+    transaction.fx
+  ) {
+    return createTransactionNotReversibleError(parsedData, STATUS_CODES);
+  }
+
+  if (adjustments.some((adjustment) => adjustment.type === REVERSE_GRAMMAR.type)) {
+    return createAlreadyReversedError(parsedData, STATUS_CODES);
+  }
+
+  if (parsedData.currency && parsedData.currency !== transaction.currency) {
+    return createRefundCurrencyMismatchError(parsedData, STATUS_CODES);
+  }
+
+  const minorUnitExponent = getMinorUnitExponent(transaction.currency);
+  const creditLine = transaction.lines.find(
+    (line) => line.side === 'credit' && line.account_id === transaction.credit_account
+  );
+  const refundableInMinorUnits = adjustments.reduce(
+    (total, adjustment) => total - toMinorUnits(adjustment.amount, minorUnitExponent),
+    toMinorUnits(creditLine.amount, minorUnitExponent)
+  );
+
+  // A reversal returns whatever has not been refunded yet
+  const amount =
+    parsedData.type === REVERSE_GRAMMAR.type
+      ? fromMinorUnits(refundableInMinorUnits, minorUnitExponent)
+      : parsedData.amount;
+
+  if (
+    refundableInMinorUnits <= 0 ||
+    toMinorUnits(amount, minorUnitExponent) > refundableInMinorUnits
+  ) {
+    return createRefundExceedsOriginalError(
+      { ...parsedData, currency: transaction.currency },
+      fromMinorUnits(Math.max(refundableInMinorUnits, 0), minorUnitExponent),
+      STATUS_CODES
+    );
+  }
+
+  return createSuccessResponse({
+    ...parsedData,
+    amount,
+    currency: transaction.currency,
+    debitAccount: transaction.credit_account,
+    creditAccount: transaction.debit_account,
+    fee: 0,
+    feeBearer: null,
+    adjustmentSequence: adjustments.length + 1,
+  });
+}
+
+/**
+ * Resolves a parsed CAPTURE or RELEASE against the hold it settles. A capture becomes a transfer
+ * of the held amount to the account named when the funds were held, with nothing charged for it.
+ * @param {Object} parsedData
+ * @param {Object|null} hold - see loadHold
+ * @returns {Object} a parse result carrying the hold's amount and accounts, or the reason it
+ * cannot be settled
+ */
+function resolveHoldSettlement(parsedData, hold) {
+  if (!hold) {
+    return createHoldNotFoundError(parsedData, STATUS_CODES);
+  }
+
+  // The expiry job may not have run yet
+  const holdStatus =
+    hold.status === 'active' && hold.expires_at <= Date.now() ? 'expired' : hold.status;
+
+  if (holdStatus !== 'active') {
+    return createHoldNotActiveError(parsedData, holdStatus, STATUS_CODES);
+  }
+
+  return createSuccessResponse({
+    ...parsedData,
+    amount: hold.amount,
+    currency: hold.currency,
+    debitAccount: hold.debit_account,
+    creditAccount: hold.credit_account,
+    fee: 0,
+    feeBearer: null,
+  });
+}
+
+// Route the transfer part of the instruction to the parser for its format
+function parseTransferWords(words, matcher, clock) {
+  const firstWord = matcher.match(words, 0, ['DEBIT', 'CREDIT']);
+
+  if (firstWord) {
+    if (firstWord === 'DEBIT') {
+      return hasEnoughWords(words, 10) && hasValidForCreditToAccountsKeywords(words, matcher)
+        ? parseSplitDebitInstruction(words, matcher, clock)
+        : parseWithGrammar(DEBIT_GRAMMAR, words, matcher, STATUS_CODES, clock);
+    }
+    if (firstWord === 'CREDIT') {
+      return parseWithGrammar(CREDIT_GRAMMAR, words, matcher, STATUS_CODES, clock);
+    }
+  }
+  return pointAt(createMalformedInstructionError(STATUS_CODES), 0, FIRST_WORDS);
+}
+
+// The grammar of an adjustment or hold instruction, or null for a transfer
+function getNonTransferGrammar(words, matcher) {
+  if (hasValidFirstWord(words, matcher)) return null;
+
+  // REVERSE and REFUND adjust an earlier transaction rather than naming both accounts; HOLD
+  // reserves funds, and CAPTURE and RELEASE settle a hold placed earlier
+  const firstWord =
+    matcher.match(words, 0, ['REVERSE', 'REFUND']) ||
+    matcher.match(words, 0, ['HOLD', 'CAPTURE', 'RELEASE']);
+
+  return NON_TRANSFER_GRAMMARS.find((grammar) => grammar.type === firstWord) || null;
+}
+
+// Turns the word an error points at into its text, its character position and a suggested fix
+function createDiagnostic(tokens, instructionLength, { wordIndex, expected, suggestion }) {
+  const token = tokens[wordIndex] || null;
+  const previousToken = tokens[wordIndex - 1] || null;
+  const found = token ? token.value : 'end of instruction';
+  const after = previousToken ? ` after ${previousToken.value}` : '';
+  const expectedText =
+    expected.length > 2 ? `one of ${expected.join(', ')}` : expected.join(' or ');
+
+  return {
+    token: token ? token.value : null,
+    offset: token ? token.offset : instructionLength,
+    length: token ? token.value.length : 0,
+    expected,
+    suggestion:
+      suggestion ||
+      (expected.length > 0
+        ? `expected ${expectedText}${after}, found ${found}`
+        : `remove ${found}`),
+  };
+}
+
+// Keywords corrected in lenient mode, with the position of the word as it was typed
+function createCorrections(tokens, matcher) {
+  return matcher.corrections.map((correction) => ({
+    token: correction.found,
+    offset: tokens[correction.wordIndex].offset,
+    length: correction.found.length,
+    corrected_to: correction.correctedTo,
+  }));
+}
+
+// Replaces the word index a parse error points at with the diagnostics callers see. In strict
+// mode a near miss on the offending word is added to the reason as a did-you-mean suggestion.
+function createParseFailure(parseResult, tokens, instruction, matcher) {
+  const { diagnostic, ...result } = parseResult;
+  const keywordSuggestion =
+    diagnostic &&
+    matcher.suggestions.find((suggestion) => suggestion.wordIndex === diagnostic.wordIndex);
+
+  return {
+    ...result,
+    ...(keywordSuggestion && {
+      error: {
+        ...result.error,
+        status_reason: `${result.error.status_reason}. ${PaymentInstructionsMessages.KEYWORD_SUGGESTION} ${keywordSuggestion.suggestion} ${PaymentInstructionsMessages.KEYWORD_SUGGESTION_INSTEAD_OF} ${keywordSuggestion.found}?`,
+      },
+    }),
+    diagnostics: diagnostic ? [createDiagnostic(tokens, instruction.length, diagnostic)] : [],
+    corrections: createCorrections(tokens, matcher),
+  };
+}
+
+/**
+ * Parse payment instruction (DEBIT, CREDIT, REVERSE, REFUND, HOLD, CAPTURE or RELEASE format). A failed parse carries diagnostics that
+ * point at the offending word.
+ * @param {String} instruction
+ * @param {Object} [options]
+ * @param {String} [options.keywordMatching] - strict (default) rejects misspelt keywords with a
+ * suggestion; lenient corrects them and lists the corrections
+ * @param {String} [options.locale] - also accepts the keywords of this locale, e.g. DÉBITER for fr
+ */
+function parseInstruction(instruction, options = {}) {
+  const matcher = createKeywordMatcher(options.keywordMatching, options.locale);
+
+  if (!instruction || typeof instruction !== 'string') {
+    return { ...createMalformedInstructionError(STATUS_CODES), diagnostics: [], corrections: [] };
+  }
+
+  const tokens = tokenizeInstruction(instruction);
+  const words = tokens.map((token) => token.value);
+  const nonTransferGrammar = getNonTransferGrammar(words, matcher);
+
+  if (!nonTransferGrammar && !hasEnoughWords(words, 6)) {
+    const firstWord = matcher.match(words, 0, ['DEBIT', 'CREDIT']);
+    const isValidFirstWord = firstWord !== null;
+    const format = describeSequence(
+      firstWord === 'CREDIT' ? CREDIT_GRAMMAR.sequence : DEBIT_GRAMMAR.sequence
+    );
+    const malformedResult = isValidFirstWord
+      ? pointAt(createMalformedInstructionError(STATUS_CODES), words.length, [format[words.length]])
+      : pointAt(createMalformedInstructionError(STATUS_CODES), 0, FIRST_WORDS);
+
+    return createParseFailure(malformedResult, tokens, instruction, matcher);
+  }
+
+  // Adjustments and holds are short enough that REF or MEMO can follow their fixed words directly
+  const narrationIndex = nonTransferGrammar
+    ? findNarrationIndex(words, describeSequence(nonTransferGrammar.sequence).length)
+    : findNarrationIndex(words);
+  const parseResult = nonTransferGrammar
+    ? parseWithGrammar(
+        nonTransferGrammar,
+        words.slice(0, narrationIndex),
+        matcher,
+        STATUS_CODES,
+        options.clock
+      )
+    : parseTransferWords(words.slice(0, narrationIndex), matcher, options.clock);
+
+  if (!parseResult.data) {
+    return createParseFailure(parseResult, tokens, instruction, matcher);
+  }
+
+  const narrationClause = parseNarrationClause(words, narrationIndex, parseResult.data);
+  const narration = narrationClause.error
+    ? { reference: null, memo: null }
+    : { reference: narrationClause.reference, memo: narrationClause.memo };
+
+  // Errors are reported in instruction order, so a transfer error wins over a narration error
+  if (!parseResult.success) {
+    return createParseFailure(
+      { ...parseResult, data: { ...parseResult.data, ...narration } },
+      tokens,
+      instruction,
+      matcher
+    );
+  }
+
+  if (narrationClause.error) {
+    return createParseFailure(narrationClause.error, tokens, instruction, matcher);
+  }
+
+  return {
+    ...createSuccessResponse({ ...parseResult.data, ...narration }),
+    corrections: createCorrections(tokens, matcher),
+  };
+}
+
+// Build the standard failed response for an instruction that could not be parsed
+function createParseFailureResponse(parseResult, accounts) {
+  const parsedData = parseResult.data || {
+    type: null,
+    amount: null,
+    currency: null,
+    debitAccount: null,
+    creditAccount: null,
+    executeBy: null,
+    reference: null,
+    memo: null,
+  };
+
+  const errorInfo = parseResult.error || {
+    status_reason: PaymentInstructionsMessages.MALFORMED_INSTRUCTION,
+    status_code: STATUS_CODES.MALFORMED_INSTRUCTION,
+  };
+
+  const responseAccounts = [];
+  if (parsedData.debitAccount || parsedData.creditAccount) {
+    accounts.forEach((account) => {
+      if (account.id === parsedData.debitAccount || account.id === parsedData.creditAccount) {
+        responseAccounts.push({
+          id: account.id,
+          balance: account.balance,
+          balance_before: account.balance,
+          currency: account.currency,
+        });
+      }
+    });
+  }
+
+  return {
+    type: parsedData.type,
+    amount: parsedData.amount,
+    currency: parsedData.currency,
+    debit_account: parsedData.debitAccount,
+    credit_account: parsedData.creditAccount,
+    execute_by: parsedData.executeBy,
+    execute_by_text: parsedData.executeByText ?? null,
+    reference: parsedData.reference,
+    memo: parsedData.memo,
+    status: 'failed',
+    status_reason: errorInfo.status_reason,
+    status_code: errorInfo.status_code,
+    accounts: responseAccounts,
+    ...(parsedData.originalTransaction && {
+      original_transaction: parsedData.originalTransaction,
+    }),
+    ...(parsedData.holdId && { hold_id: parsedData.holdId }),
+  };
+}
+
+// The opt-in parse details for a response: diagnostics on request, and the keyword
+// corrections whenever lenient matching is used
+function createParseReport(parseResult, options) {
+  return {
+    ...(options.includeDiagnostics && { diagnostics: parseResult.diagnostics || [] }),
+    ...(options.keywordMatching === KEYWORD_MATCHING_MODES.LENIENT && {
+      corrections: parseResult.corrections || [],
+    }),
+  };
+}
+
+// The accounts an instruction pays from and to; the fee account is the bank's own and not screened
+function getPartyAccountIds(parsedData) {
+  const accountIds = parsedData.credits
+    ? [parsedData.debitAccount, ...parsedData.credits.map((credit) => credit.account_id)]
+    : [parsedData.debitAccount, parsedData.creditAccount];
+
+  return accountIds.filter(Boolean);
+}
+
+// Every account an instruction touches; the fee account only when the transfer can carry a fee
+function getInstructionAccountIds(parsedData) {
+  const accountIds = getPartyAccountIds(parsedData);
+
+  if (!parsedData.credits && (parsedData.fee || hasFeeRule(parsedData.currency))) {
+    accountIds.push(FEE_ACCOUNT_ID);
+  }
+
+  return accountIds;
+}
+
+// The failed response when a recurring instruction names an account that does not exist or a
+// currency that is not enabled, or null. Funds are only checked when each run executes.
+function findRecurringInstructionError(parsedData, accounts) {
+  const accountIds = getPartyAccountIds(parsedData);
+  const errorData = { ...parsedData, accounts: createResponseAccounts(accounts, accountIds) };
+  const missingAccountId = accountIds.find(
+    (accountId) => !accounts.some((account) => account.id === accountId)
+  );
+
+  if (missingAccountId) {
+    return {
+      ...createAccountNotFoundError(
+        errorData,
+        missingAccountId === parsedData.debitAccount,
+        STATUS_CODES
+      ),
+      ...(parsedData.credits && { credits: parsedData.credits }),
+    };
+  }
+
+  if (!isCurrencyEnabled(parsedData.currency)) {
+    return {
+      ...createUnsupportedCurrencyError(errorData, STATUS_CODES),
+      ...(parsedData.credits && { credits: parsedData.credits }),
     };
   }
+  return null;
+}
+
+// The held-for-review (SC01) response when the parties of an instruction match the blocklist, or
+// null when it is clear to run
+function screenInstruction(parsedData, accounts, blocklist, beneficiaryName) {
+  const accountIds = getPartyAccountIds(parsedData);
+  const matches = findBlocklistMatches(
+    { account_ids: accountIds, beneficiary_name: beneficiaryName },
+    blocklist
+  );
+
+  if (matches.length === 0) return null;
+
+  return createHeldForReviewResponse(
+    { ...parsedData, accounts: createResponseAccounts(accounts, accountIds) },
+    matches,
+    STATUS_CODES
+  );
+}
+
+// The failed response when an instruction has to be submitted on its own, or null. A recurring
+// instruction becomes a schedule of its own, an adjustment needs the transaction it refers to and
+// holds are stored records, none of which a batch of running balances can hold.
+function findStandaloneInstructionError(parsedData, accounts) {
+  let statusReason = null;
+
+  if (parsedData.recurrence) {
+    statusReason = PaymentInstructionsMessages.RECURRING_NOT_SUPPORTED;
+  } else if (parsedData.originalTransaction) {
+    statusReason = PaymentInstructionsMessages.ADJUSTMENT_NOT_SUPPORTED;
+  } else if (HOLD_TYPES.includes(parsedData.type)) {
+    statusReason = PaymentInstructionsMessages.HOLD_NOT_SUPPORTED;
+  }
+
+  if (!statusReason) return null;
+
+  return createParseFailureResponse(
+    {
+      data: parsedData,
+      error: {
+        status: 'failed',
+        status_reason: statusReason,
+        status_code: STATUS_CODES.INVALID_KEYWORD_ORDER,
+      },
+    },
+    accounts
+  );
+}
+
+// The response for an instruction that cannot run against running balances, or null: one that
+// did not parse, one that must be submitted on its own, or one held by screening. The caller
+// stores what is held.
+function findPreExecutionResult(parseResult, accounts, options = {}) {
+  if (!parseResult.success) {
+    return createParseFailureResponse(parseResult, accounts);
+  }
+
+  return (
+    findStandaloneInstructionError(parseResult.data, accounts) ||
+    (options.blocklist && screenInstruction(parseResult.data, accounts, options.blocklist)) ||
+    null
+  );
+}
+
+// Parse and execute a single instruction against the given accounts
+function executeInstruction(instruction, accounts, options = {}) {
+  const parseResult = parseInstruction(instruction, {
+    keywordMatching: options.keywordMatching,
+    locale: options.locale,
+    clock: options.clock,
+  });
+  const parseReport = createParseReport(parseResult, options);
+  const preExecutionResult = findPreExecutionResult(parseResult, accounts, options);
+
+  if (preExecutionResult) {
+    return { ...preExecutionResult, ...parseReport };
+  }
 
-  return processTransaction(parseResult.data, accounts);
+  return { ...processTransaction(parseResult.data, accounts, options), ...parseReport };
+}
+
+// A reversal or refund numbered the same as one already recorded for its original transaction;
+// both passed their checks against the same earlier adjustments, and only the first stands
+function isAdjustmentConflict(error, parsedData) {
+  return !!parsedData.adjustmentSequence && error.errorCode === ERROR_CODE.DUPLRCRD;
+}
+
+// Closes the hold a capture or release settles before anything of it is saved. A concurrent
+// capture, release or expiry may have closed the hold since it was loaded; then nothing moves and
+// the hold is reported as no longer active.
+async function claimSettledHold(result, parsedData, accounts, options = {}) {
+  const settledHold = await settleHold(
+    {
+      id: result.hold_id,
+      status: result.status === 'released' ? 'released' : 'captured',
+      status_code: result.status_code,
+      status_reason: result.status_reason,
+    },
+    options
+  );
+
+  if (settledHold) {
+    return result;
+  }
+
+  const hold = await loadHold({ id: result.hold_id });
+
+  return createParseFailureResponse(
+    createHoldNotActiveError(parsedData, hold.status, STATUS_CODES),
+    accounts
+  );
+}
+
+function isHoldSettlement(result) {
+  return !!result.hold_id && (result.status === 'successful' || result.status === 'released');
+}
+
+// Execute a parsed instruction against server-held balances; the debit, the credit and the
+// journal entry commit together. options.recurringRun, { recurring_instruction, run_number },
+// keys the journal entry on the run of a recurring instruction that made it.
+async function executeLedgerTransaction(instruction, parsedData, options = {}) {
+  let result;
+  let sessionToUse;
+  let isSessionNative = false;
+
+  if (options.session) {
+    sessionToUse = options.session;
+  } else {
+    sessionToUse = await createSession();
+    isSessionNative = true;
+  }
+
+  try {
+    if (isSessionNative) {
+      sessionToUse.startTransaction();
+    }
+
+    const accountIds = getInstructionAccountIds(parsedData);
+
+    const accounts = await loadLedgerAccounts(
+      { account_ids: accountIds },
+      { session: sessionToUse }
+    );
+
+    // Read once the accounts are locked, so a hold placed or settled, or a debit journaled, by a
+    // concurrent execution is either committed and seen here or waits for this transaction. A
+    // capture spends the funds its own hold reserved.
+    const holds = (
+      await loadActiveHolds({ account_ids: accountIds }, { session: sessionToUse })
+    ).filter((hold) => hold.id !== parsedData.holdId);
+
+    result = processTransaction(parsedData, accounts, {
+      chargeRuleFees: true,
+      fxRates: options.fxRates,
+      holidays: options.holidays,
+      holds,
+      debitHistory: await loadDebitHistory(
+        { account_ids: [parsedData.debitAccount] },
+        { clock: options.clock, limits: options.limits, session: sessionToUse }
+      ),
+      limits: options.limits,
+      clock: options.clock,
+    });
+
+    if (isHoldSettlement(result)) {
+      result = await claimSettledHold(result, parsedData, accounts, { session: sessionToUse });
+    }
+
+    if (result.status === 'successful') {
+      await saveLedgerBalances({ accounts: result.accounts }, { session: sessionToUse });
+      await recordJournalEntry(
+        {
+          instruction,
+          result,
+          adjustment_sequence: parsedData.adjustmentSequence,
+          ...options.recurringRun,
+        },
+        { session: sessionToUse }
+      );
+    }
+
+    // Stored in the same transaction, so no other debit can spend the funds before the hold exists
+    if (result.status === 'held') {
+      const hold = await placeHold({ instruction, result }, { session: sessionToUse });
+
+      result = { id: hold.id, ...result, expires_at: hold.expires_at };
+    }
+
+    if (isSessionNative) {
+      await sessionToUse.commitTransaction();
+    }
+  } catch (error) {
+    if (isSessionNative) {
+      await sessionToUse.abortTransaction();
+    }
+    // The balances were saved in the aborted session, so nothing of this adjustment remains
+    if (!isSessionNative || !isAdjustmentConflict(error, parsedData)) {
+      appLogger.errorX(error, 'execute-ledger-transaction-error');
+      throw error;
+    }
+    result = createAdjustmentConflictError(result, STATUS_CODES);
+  } finally {
+    if (isSessionNative) {
+      await sessionToUse.endSession();
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Runs a parsed instruction against the given balances, or against the ledger when there are none.
+ * The one execution pipeline behind single instructions and batches: a reversal or refund is
+ * resolved against the transaction it adjusts, a capture or release against its hold, and
+ * whatever the options do not carry is loaded for the instruction's accounts. A batch passes the
+ * holds and debits it keeps running across its instructions.
+ * Against given balances nothing is stored; a ledger execution commits its balances, journal
+ * entry and any hold before returning.
+ * @param {String} instruction
+ * @param {Object} parseResult - as returned by parseInstruction
+ * @param {Object[]} [accounts] - the balances to run against; omitted for the ledger
+ * @param {Object} [options]
+ * @param {Boolean} [options.convert] - load the exchange rates for a cross-currency transfer
+ * @param {Object} [options.fxRates] - exchange rates already loaded
+ * @param {String[]} [options.holidays] - holidays already loaded
+ * @param {Object[]} [options.holds] - active holds of the accounts, instead of loading them
+ * @param {Object[]} [options.debitHistory] - recent debits of the accounts, instead of loading them
+ * @param {Boolean} [options.chargeRuleFees] - charge the fee rules without a WITH FEE clause
+ * @returns {Promise<Object>} - { transferResult, result, holds }
+ */
+async function runInstruction(instruction, parseResult, accounts, options = {}) {
+  const { clock, limits } = options;
+
+  // A reversal or refund becomes a transfer once the transaction it adjusts is loaded, and a
+  // capture or release once its hold is
+  let transferResult = parseResult;
+
+  if (parseResult.success && parseResult.data.originalTransaction) {
+    transferResult = resolveAdjustment(
+      parseResult.data,
+      await loadOriginalTransaction({ id: parseResult.data.originalTransaction })
+    );
+  } else if (parseResult.success && parseResult.data.holdId) {
+    transferResult = resolveHoldSettlement(
+      parseResult.data,
+      await loadHold({ id: parseResult.data.holdId })
+    );
+  }
+
+  const fxRates = options.fxRates || (options.convert ? await loadFxRates() : undefined);
+  // Only a dated instruction can land on a weekend or holiday
+  const holidays =
+    options.holidays ||
+    (transferResult.success && transferResult.data.executeBy ? await loadHolidays() : undefined);
+
+  // Ledger executions read the holds and debits inside their balance transaction
+  if (!accounts) {
+    const result = transferResult.success
+      ? await executeLedgerTransaction(instruction, transferResult.data, {
+          fxRates,
+          holidays,
+          limits,
+          clock,
+        })
+      : createParseFailureResponse(transferResult, []);
+
+    return { transferResult, result, holds: [] };
+  }
+
+  // A capture spends the funds its own hold reserved
+  const instructionAccountIds = transferResult.data
+    ? getInstructionAccountIds(transferResult.data)
+    : [];
+  const holds =
+    options.holds ||
+    (instructionAccountIds.length > 0
+      ? (await loadActiveHolds({ account_ids: instructionAccountIds })).filter(
+          (hold) => hold.id !== transferResult.data.holdId
+        )
+      : []);
+
+  // The debits already made from the account, for the rolling-window limits
+  const debitHistory =
+    options.debitHistory ||
+    (transferResult.success
+      ? await loadDebitHistory(
+          { account_ids: [transferResult.data.debitAccount] },
+          { clock, limits }
+        )
+      : []);
+
+  const result = transferResult.success
+    ? processTransaction(transferResult.data, accounts, {
+        chargeRuleFees: options.chargeRuleFees,
+        fxRates,
+        holidays,
+        holds,
+        debitHistory,
+        limits,
+        clock,
+      })
+    : createParseFailureResponse(transferResult, accounts);
+
+  return { transferResult, result, holds };
+}
+
+// Main service function
+async function processTransactionService(serviceData, options = {}) {
+  const opts = options;
+
+  const data = validator.validate(serviceData, parsedServiceSpec);
+
+  const { instruction, accounts } = data;
+
+  // Without caller-supplied accounts the balances are loaded from and saved to the ledger
+  const useLedger = !accounts;
+  const keywordMatching = data.keyword_matching || KEYWORD_MATCHING_MODES.STRICT;
+  const { locale } = data;
+  const { clock, limits } = options;
+  const parsedInstruction = parseInstruction(instruction, { keywordMatching, locale, clock });
+  // A released instruction keeps the execution date resolved when it was held, rather than
+  // resolving a relative date such as TOMORROW again
+  const parseResult =
+    parsedInstruction.success && options.executeBy
+      ? { ...parsedInstruction, data: { ...parsedInstruction.data, executeBy: options.executeBy } }
+      : parsedInstruction;
+
+  // Both are opt-in, so by default the response keeps the assessment-compatible shape
+  const parseReport = createParseReport(parseResult, {
+    includeDiagnostics: !!data.include_diagnostics,
+    keywordMatching,
+  });
+
+  // Screened before anything is scheduled or executed. A match waits for a reviewer to release or
+  // reject it, and a released instruction is not screened again.
+  const heldResult =
+    parseResult.success &&
+    !options.skipScreening &&
+    screenInstruction(
+      parseResult.data,
+      accounts || [],
+      await loadBlocklist({ path: options.blocklistPath }),
+      data.beneficiary_name
+    );
+
+  if (heldResult) {
+    const heldInstruction = await holdForReview({
+      instruction,
+      source_accounts: accounts,
+      use_ledger: useLedger,
+      convert: !!data.convert,
+      keyword_matching: keywordMatching,
+      locale,
+      beneficiary_name: data.beneficiary_name,
+      result: heldResult,
+    });
+
+    return localiseResponse({ id: heldInstruction.id, ...heldResult, ...parseReport }, locale);
+  }
+
+  // Recurring instructions are stored and run one occurrence at a time by the queue worker
+  if (parseResult.success && parseResult.data.recurrence) {
+    const recurringError = findRecurringInstructionError(
+      parseResult.data,
+      accounts || (await loadLedgerAccounts({ account_ids: getPartyAccountIds(parseResult.data) }))
+    );
+
+    if (recurringError) {
+      return localiseResponse({ ...recurringError, ...parseReport }, locale);
+    }
+
+    const recurringInstruction = await scheduleRecurringInstruction({
+      instruction,
+      source_accounts: accounts,
+      use_ledger: useLedger,
+      convert: !!data.convert,
+      status_code: STATUS_CODES.RECURRING_SCHEDULED,
+      parsed_instruction: parseResult.data,
+    });
+
+    return localiseResponse({ ...recurringInstruction, ...parseReport }, locale);
+  }
+
+  let transferResult;
+  let result;
+  let holds;
+
+  // Set once money has moved or funds are reserved. A later failure is then reported as such, so
+  // the caller does not treat it as one that left nothing behind and run the instruction again.
+  let executed = false;
+
+  try {
+    ({ transferResult, result, holds } = await runInstruction(instruction, parseResult, accounts, {
+      convert: !!data.convert,
+      limits,
+      clock,
+    }));
+
+    if (useLedger) {
+      executed = ['successful', 'released', 'held'].includes(result.status);
+
+      // Read after the commit, so the available balances reflect a hold just placed or settled
+      const instructionAccountIds = transferResult.data
+        ? getInstructionAccountIds(transferResult.data)
+        : [];
+      holds =
+        instructionAccountIds.length > 0
+          ? await loadActiveHolds({ account_ids: instructionAccountIds })
+          : [];
+    } else {
+      if (isHoldSettlement(result)) {
+        result = await claimSettledHold(result, transferResult.data, accounts);
+        executed = isHoldSettlement(result);
+      }
+
+      if (result.status === 'successful') {
+        try {
+          await recordJournalEntry({
+            instruction,
+            result,
+            adjustment_sequence: transferResult.data.adjustmentSequence,
+          });
+          executed = true;
+        } catch (error) {
+          if (!isAdjustmentConflict(error, transferResult.data)) throw error;
+          result = createAdjustmentConflictError(result, STATUS_CODES);
+        }
+      }
+    }
+
+    // Ledger executions place the hold inside their balance transaction
+    if (result.status === 'held' && !useLedger) {
+      const hold = await placeHold({ instruction, result });
+      executed = true;
+
+      result = { id: hold.id, ...result, expires_at: hold.expires_at };
+      holds = [
+        ...holds,
+        {
+          id: result.id,
+          debit_account: result.debit_account,
+          amount: result.amount,
+          currency: result.currency,
+        },
+      ];
+    }
+
+    // Each account shows its ledger balance and what is left of it after active holds
+    const response = { ...result, accounts: addAvailableBalances(result.accounts, holds) };
+
+    // Stored results keep English reasons; only the response is localised
+    if (result.status !== 'pending') {
+      return localiseResponse({ ...response, ...parseReport }, locale);
+    }
+
+    const scheduledInstruction = await schedulePendingInstruction({
+      instruction,
+      source_accounts: accounts,
+      use_ledger: useLedger,
+      convert: !!data.convert,
+      result,
+    });
+
+    return localiseResponse({ id: scheduledInstruction.id, ...response, ...parseReport }, locale);
+  } catch (error) {
+    if (!executed) throw error;
+
+    appLogger.errorX(error, 'payment-instruction-failed-after-execution');
+    throwAppError(error.message, error.errorCode || ERROR_CODE.APPERR, {
+      context: { executed: true },
+    });
+  }
 }
 
 module.exports = {
+  parseDate,
+  getCurrentUTCDate,
   parseInstruction,
   processTransaction,
+  executeInstruction,
+  executeLedgerTransaction,
+  runInstruction,
+  findPreExecutionResult,
+  createParseReport,
+  getInstructionAccountIds,
   processTransactionService,
+  getSettlementDate,
   STATUS_CODES,
-  SUPPORTED_CURRENCIES,
 };
@@ -0,0 +1,17 @@
+const validator = require('@app-core/validator');
+const IdempotencyKey = require('@app/repository/idempotency-key');
+
+const spec = `root {
+  key string
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+// Frees a claimed idempotency key when its request failed unexpectedly, so the client can retry
+async function releaseIdempotencyKey(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  await IdempotencyKey.deleteOne({ query: { key: data.key } });
+}
+
+module.exports = releaseIdempotencyKey;
@@ -0,0 +1,56 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { hash } = require('@app-core/security');
+const { PaymentInstructionsMessages } = require('@app/messages');
+const IdempotencyKey = require('@app/repository/idempotency-key');
+
+const IDEMPOTENCY_KEY_TTL_MILLIS = (Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 3600000;
+
+const spec = `root {
+  key string
+  request_body object
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+// Claims an idempotency key for a request, or returns the stored response of an earlier request with it
+async function reserveIdempotencyKey(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+  const requestHash = hash.create(JSON.stringify(data.request_body), { algo: 'sha256' });
+
+  let idempotencyKey = await IdempotencyKey.findOne({ query: { key: data.key } });
+
+  // An expired key is released so it can be claimed again
+  if (idempotencyKey && idempotencyKey.expires_at <= Date.now()) {
+    await IdempotencyKey.deleteOne({ query: { _id: idempotencyKey._id } });
+    idempotencyKey = null;
+  }
+
+  if (idempotencyKey) {
+    if (idempotencyKey.request_hash !== requestHash) {
+      throwAppError(PaymentInstructionsMessages.IDEMPOTENCY_KEY_REUSED, ERROR_CODE.DUPLRCRD);
+    }
+
+    if (!idempotencyKey.response) {
+      throwAppError(PaymentInstructionsMessages.IDEMPOTENCY_KEY_IN_PROGRESS, ERROR_CODE.DUPLRCRD);
+    }
+
+    return { response: idempotencyKey.response };
+  }
+
+  // The unique index on key stops two concurrent requests from both claiming it
+  try {
+    await IdempotencyKey.create({
+      key: data.key,
+      request_hash: requestHash,
+      expires_at: Date.now() + IDEMPOTENCY_KEY_TTL_MILLIS,
+    });
+  } catch (error) {
+    if (error.errorCode !== ERROR_CODE.DUPLRCRD) throw error;
+    throwAppError(PaymentInstructionsMessages.IDEMPOTENCY_KEY_IN_PROGRESS, ERROR_CODE.DUPLRCRD);
+  }
+
+  return { response: null };
+}
+
+module.exports = reserveIdempotencyKey;
@@ -0,0 +1,117 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { PaymentInstructionsMessages } = require('@app/messages');
+const HeldInstruction = require('@app/repository/held-instruction');
+const { createHeldInstructionResponse } = require('./helpers');
+const { processTransactionService, STATUS_CODES } = require('./process');
+
+const spec = `root {
+  id string
+  decision string(release|reject)
+  note? string<trim>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+// Moves a held instruction out of review. Only the call whose update applies goes on, so two
+// reviews racing for the same instruction cannot both release it or release a rejected one.
+async function closeReview(id, updateValues) {
+  const { modifiedCount } = await HeldInstruction.updateOne({
+    query: { _id: id, status: 'held_for_review' },
+    updateValues,
+  });
+
+  if (!modifiedCount) {
+    throwAppError(
+      PaymentInstructionsMessages.HELD_INSTRUCTION_NOT_UNDER_REVIEW,
+      ERROR_CODE.INVLDREQ
+    );
+  }
+}
+
+// Runs a released instruction as it was submitted, on the execution date it was held with and
+// without screening it again
+async function releaseHeldInstruction(heldInstruction, reviewValues, options) {
+  await closeReview(heldInstruction._id, { status: 'released', ...reviewValues });
+
+  const response = await processTransactionService(
+    {
+      instruction: heldInstruction.instruction,
+      ...(!heldInstruction.use_ledger && { accounts: heldInstruction.source_accounts }),
+      convert: heldInstruction.convert,
+      ...(heldInstruction.keyword_matching && {
+        keyword_matching: heldInstruction.keyword_matching,
+      }),
+      ...(heldInstruction.locale && { locale: heldInstruction.locale }),
+      ...(heldInstruction.beneficiary_name && {
+        beneficiary_name: heldInstruction.beneficiary_name,
+      }),
+    },
+    {
+      ...options,
+      skipScreening: true,
+      ...(heldInstruction.execute_by && { executeBy: heldInstruction.execute_by }),
+    }
+  );
+
+  // The held record keeps the outcome of the run it was released to
+  const updateValues = { status_code: response.status_code, status_reason: response.status_reason };
+
+  await HeldInstruction.updateOne({ query: { _id: heldInstruction._id }, updateValues });
+
+  return {
+    ...response,
+    held_instruction: createHeldInstructionResponse({
+      ...heldInstruction,
+      status: 'released',
+      ...reviewValues,
+      ...updateValues,
+    }),
+  };
+}
+
+/**
+ * Releases or rejects an instruction held for compliance review. A released instruction runs
+ * through processTransactionService as it was submitted and the response is that result; a
+ * rejected one is closed without executing.
+ * @param {Object} serviceData - { id, decision: release|reject, note }
+ * @param {Object} [options] - passed on to processTransactionService when releasing
+ */
+async function reviewHeldInstruction(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  const heldInstruction = await HeldInstruction.findOne({ query: { _id: data.id } });
+
+  if (!heldInstruction) {
+    throwAppError(PaymentInstructionsMessages.HELD_INSTRUCTION_NOT_FOUND, ERROR_CODE.NOTFOUND);
+  }
+
+  if (heldInstruction.status !== 'held_for_review') {
+    throwAppError(
+      PaymentInstructionsMessages.HELD_INSTRUCTION_NOT_UNDER_REVIEW,
+      ERROR_CODE.INVLDREQ
+    );
+  }
+
+  const reviewValues = {
+    ...(data.note && { review_note: data.note }),
+    reviewed_at: Date.now(),
+  };
+
+  if (data.decision === 'release') {
+    return releaseHeldInstruction(heldInstruction, reviewValues, options);
+  }
+
+  const updateValues = {
+    status: 'rejected',
+    status_code: STATUS_CODES.REVIEW_REJECTED,
+    status_reason: PaymentInstructionsMessages.REVIEW_REJECTED,
+    ...reviewValues,
+  };
+
+  await closeReview(data.id, updateValues);
+
+  return createHeldInstructionResponse({ ...heldInstruction, ...updateValues });
+}
+
+module.exports = reviewHeldInstruction;
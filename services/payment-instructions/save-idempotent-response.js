@@ -0,0 +1,21 @@
+const validator = require('@app-core/validator');
+const IdempotencyKey = require('@app/repository/idempotency-key');
+
+const spec = `root {
+  key string
+  response object
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+// Stores the response of a request so retries with the same idempotency key replay it
+async function saveIdempotentResponse(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  await IdempotencyKey.updateOne({
+    query: { key: data.key },
+    updateValues: { response: data.response },
+  });
+}
+
+module.exports = saveIdempotentResponse;
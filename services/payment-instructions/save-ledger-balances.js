@@ -0,0 +1,29 @@
+const validator = require('@app-core/validator');
+const Account = require('@app/repository/account');
+
+const spec = `root {
+  accounts[] {
+    id string
+    balance number
+  }
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+// Writes the post-transaction balances back to the ledger in the caller's session
+async function saveLedgerBalances(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  const { session } = options;
+
+  // Operations on one session must not run concurrently, hence the sequential loop
+  for (let i = 0; i < data.accounts.length; i++) {
+    // eslint-disable-next-line no-await-in-loop
+    await Account.updateOne({
+      query: { account_id: data.accounts[i].id },
+      updateValues: { balance: data.accounts[i].balance },
+      options: { session },
+    });
+  }
+}
+
+module.exports = saveLedgerBalances;
@@ -0,0 +1,68 @@
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const ScheduledInstruction = require('@app/repository/scheduled-instruction');
+const { executeScheduledInstruction } = require('@app/workers');
+const { getExecutionDelay } = require('./helpers');
+
+const spec = `root {
+  instruction string
+  source_accounts[]? {
+    id string
+    balance number
+    currency string
+    overdraft_limit? number<min:0>
+    min_balance? number
+  }
+  use_ledger? boolean
+  convert? boolean
+  result object
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+// Stores a pending (AP02) instruction and queues it for execution on its execute_by date
+async function schedulePendingInstruction(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  const { result } = data;
+
+  const scheduledInstruction = await ScheduledInstruction.create(
+    {
+      instruction: data.instruction,
+      type: result.type,
+      amount: result.amount,
+      currency: result.currency,
+      debit_account: result.debit_account,
+      credit_account: result.credit_account,
+      credits: result.credits,
+      execute_by: result.execute_by,
+      execute_by_text: result.execute_by_text,
+      execute_by_adjustment: result.execute_by_adjustment,
+      strict_date: !!result.strict_date,
+      reference: result.reference,
+      memo: result.memo,
+      source_accounts: data.source_accounts || [],
+      use_ledger: !!data.use_ledger,
+      convert: !!data.convert,
+      fee: result.fee,
+      accounts: result.accounts,
+      status: result.status,
+      status_code: result.status_code,
+      status_reason: result.status_reason,
+    },
+    options
+  );
+
+  await executeScheduledInstruction.scheduleJob(
+    { id: scheduledInstruction._id },
+    { delay: getExecutionDelay(result.execute_by), jobId: scheduledInstruction._id }
+  );
+
+  appLogger.info(
+    { id: scheduledInstruction._id, executeBy: result.execute_by },
+    'payment-instruction-scheduled'
+  );
+
+  return { id: scheduledInstruction._id };
+}
+
+module.exports = schedulePendingInstruction;
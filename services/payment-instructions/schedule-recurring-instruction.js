@@ -0,0 +1,87 @@
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const { PaymentInstructionsMessages } = require('@app/messages');
+const RecurringInstruction = require('@app/repository/recurring-instruction');
+const { executeRecurringInstruction } = require('@app/workers');
+const { getExecutionDelay, createRecurringInstructionResponse } = require('./helpers');
+
+const spec = `root {
+  instruction string
+  source_accounts[]? {
+    id string
+    balance number
+    currency string
+    overdraft_limit? number<min:0>
+    min_balance? number
+  }
+  use_ledger? boolean
+  convert? boolean
+  status_code string
+  parsed_instruction object
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+// Stores a recurring (AP05) instruction and queues its first run on the STARTING date
+async function scheduleRecurringInstruction(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  const { parsed_instruction: parsedInstruction } = data;
+  const { recurrence } = parsedInstruction;
+
+  const recurringInstruction = await RecurringInstruction.create(
+    {
+      instruction: data.instruction,
+      type: parsedInstruction.type,
+      amount: parsedInstruction.amount,
+      currency: parsedInstruction.currency,
+      debit_account: parsedInstruction.debitAccount,
+      credit_account: parsedInstruction.creditAccount,
+      credits: parsedInstruction.credits,
+      fee: parsedInstruction.fee,
+      fee_bearer: parsedInstruction.feeBearer,
+      reference: parsedInstruction.reference,
+      memo: parsedInstruction.memo,
+      source_accounts: data.source_accounts || [],
+      use_ledger: !!data.use_ledger,
+      convert: !!data.convert,
+      frequency: recurrence.frequency,
+      start_date: recurrence.start_date,
+      end_date: recurrence.end_date,
+      times: recurrence.times,
+      runs_completed: 0,
+      next_run_date: recurrence.start_date,
+      status: 'pending',
+      status_code: data.status_code,
+      status_reason: PaymentInstructionsMessages.RECURRING_SCHEDULED,
+    },
+    options
+  );
+
+  await executeRecurringInstruction.scheduleJob(
+    { id: recurringInstruction._id },
+    {
+      delay: getExecutionDelay(recurrence.start_date),
+      jobId: `${recurringInstruction._id}-1`,
+    }
+  );
+
+  appLogger.info(
+    { id: recurringInstruction._id, frequency: recurrence.frequency },
+    'recurring-instruction-scheduled'
+  );
+
+  const accountIds = parsedInstruction.credits
+    ? [
+        parsedInstruction.debitAccount,
+        ...parsedInstruction.credits.map((credit) => credit.account_id),
+      ]
+    : [parsedInstruction.debitAccount, parsedInstruction.creditAccount];
+
+  const accounts = (data.source_accounts || [])
+    .filter((account) => accountIds.includes(account.id))
+    .map((account) => ({ ...account, balance_before: account.balance }));
+
+  return createRecurringInstructionResponse(recurringInstruction, accounts);
+}
+
+module.exports = scheduleRecurringInstruction;
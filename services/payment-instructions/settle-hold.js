@@ -0,0 +1,55 @@
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const Hold = require('@app/repository/hold');
+const { expireHold } = require('@app/workers');
+
+const spec = `root {
+  id string
+  status string(captured|released|expired)
+  status_code string
+  status_reason string
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Closes an active hold so its funds are no longer reserved, and removes its expiry job. Only one
+ * capture, release or expiry can close a hold; the others get null back and must not go on.
+ * @param {Object} serviceData - { id, status, status_code, status_reason }
+ * @param {Object} [options]
+ * @param {Object} [options.session] - settles the hold in the caller's transaction
+ * @returns {Promise<Object|null>} - { id, status }, or null when the hold was no longer active
+ */
+async function settleHold(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  const { session } = options;
+
+  const { modifiedCount } = await Hold.updateOne({
+    query: { _id: data.id, status: 'active' },
+    updateValues: {
+      status: data.status,
+      status_code: data.status_code,
+      status_reason: data.status_reason,
+      settled_at: Date.now(),
+    },
+    options: { session },
+  });
+
+  if (!modifiedCount) {
+    return null;
+  }
+
+  // The hold is no longer active, so an expiry job that cannot be removed will skip it. Inside a
+  // transaction the job is left for the same reason, as the transaction may still abort.
+  if (data.status !== 'expired' && !session) {
+    try {
+      await expireHold.removeJob(data.id);
+    } catch (error) {
+      appLogger.warn({ id: data.id, error }, 'hold-expiry-job-removal-failed');
+    }
+  }
+
+  return { id: data.id, status: data.status };
+}
+
+module.exports = settleHold;
@@ -0,0 +1,125 @@
+const validator = require('@app-core/validator');
+const { toMinorUnits } = require('./helpers');
+const { getMinorUnitExponent } = require('./currency-registry');
+const { parseConfigList } = require('./env-config');
+
+const LIMIT_TYPES = {
+  AMOUNT: 'amount',
+  COUNT: 'count',
+  VOLUME: 'volume',
+};
+
+const HOUR_IN_MS = 60 * 60 * 1000;
+
+const configSpec = validator.parse(`root {
+  TRANSACTION_LIMITS[]? {
+    name string
+    type string(amount|count|volume)
+    currency? string<uppercase|length:3>
+    max number<min:0>
+    window_hours? number<min:0>
+  }
+}`);
+
+// Compliance caps on debits. TRANSACTION_LIMITS holds the limits as a JSON array, e.g.
+// [{"name":"daily-debits","type":"count","max":5,"window_hours":24},
+//  {"name":"ngn-single-transfer","type":"amount","currency":"NGN","max":1000000},
+//  {"name":"usd-daily-volume","type":"volume","currency":"USD","max":50000,"window_hours":24}]
+// An amount limit caps a single transfer; count and volume limits cap the debits from one
+// account over a rolling window. A limit without a currency applies to every currency, and a
+// volume limit then adds up the debits in the currency of the transfer.
+const TRANSACTION_LIMITS = parseConfigList('TRANSACTION_LIMITS', configSpec);
+
+function appliesToCurrency(limit, currency) {
+  return !limit.currency || limit.currency === currency;
+}
+
+// Where the debit history needed for the windowed limits starts, or null when no limit has a window
+function getLimitHistoryStart(now, limits = TRANSACTION_LIMITS) {
+  const windowHours = Math.max(0, ...limits.map((limit) => limit.window_hours || 0));
+  return windowHours > 0 ? now - windowHours * HOUR_IN_MS : null;
+}
+
+// When enough of the oldest debits in the window have aged out for the new debit to fit. The
+// debits are oldest first; excess is how much has to age out, and size what each one frees.
+function getWindowResetTime(windowDebits, limit, excess, size) {
+  let freed = 0;
+
+  for (let i = 0; i < windowDebits.length; i++) {
+    freed += size(windowDebits[i]);
+    if (freed >= excess) return windowDebits[i].created + limit.window_hours * HOUR_IN_MS;
+  }
+  return null;
+}
+
+function checkLimit(limit, debit, history, now) {
+  const minorUnitExponent = getMinorUnitExponent(debit.currency) ?? 0;
+  const amountInMinorUnits = toMinorUnits(debit.amount, minorUnitExponent);
+  const maxInMinorUnits = toMinorUnits(limit.max, minorUnitExponent);
+
+  if (limit.type === LIMIT_TYPES.AMOUNT) {
+    return amountInMinorUnits > maxInMinorUnits ? { limit, resetsAt: null } : null;
+  }
+
+  const windowStart = now - limit.window_hours * HOUR_IN_MS;
+  const windowDebits = history
+    .filter(
+      (entry) =>
+        entry.debit_account === debit.account_id &&
+        entry.created > windowStart &&
+        appliesToCurrency(limit, entry.currency) &&
+        (limit.type === LIMIT_TYPES.COUNT || entry.currency === debit.currency)
+    )
+    .sort((a, b) => a.created - b.created);
+
+  if (limit.type === LIMIT_TYPES.COUNT) {
+    const excess = windowDebits.length + 1 - limit.max;
+    return excess > 0
+      ? { limit, resetsAt: getWindowResetTime(windowDebits, limit, excess, () => 1) }
+      : null;
+  }
+
+  // A debit above the whole volume never fits, so its window never resets
+  const volumeInMinorUnits = windowDebits.reduce(
+    (total, entry) => total + toMinorUnits(entry.amount, minorUnitExponent),
+    0
+  );
+  const excess = volumeInMinorUnits + amountInMinorUnits - maxInMinorUnits;
+  if (excess <= 0) return null;
+
+  return {
+    limit,
+    resetsAt:
+      amountInMinorUnits > maxInMinorUnits
+        ? null
+        : getWindowResetTime(windowDebits, limit, excess, (entry) =>
+            toMinorUnits(entry.amount, minorUnitExponent)
+          ),
+  };
+}
+
+/**
+ * The first limit a debit would breach, and when (in ms) its window frees enough room for the
+ * debit; resetsAt is null for a limit the debit can never fit.
+ * @param {Object} debit - { account_id, amount, currency }
+ * @param {Object[]} history - earlier debits { debit_account, amount, currency, created }
+ * @param {Number} now - ms
+ * @param {Object[]} [limits] - TRANSACTION_LIMITS by default
+ * @returns {{ limit: Object, resetsAt: Number|null }|null}
+ */
+function findLimitBreach(debit, history = [], now = Date.now(), limits = TRANSACTION_LIMITS) {
+  for (let i = 0; i < limits.length; i++) {
+    if (appliesToCurrency(limits[i], debit.currency)) {
+      const breach = checkLimit(limits[i], debit, history, now);
+      if (breach) return breach;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  LIMIT_TYPES,
+  TRANSACTION_LIMITS,
+  getLimitHistoryStart,
+  findLimitBreach,
+};
@@ -1,6 +1,15 @@
+// The test script's `set USE_MOCK_MODEL=1` does not export the variable on POSIX shells
+process.env.USE_MOCK_MODEL = '1';
+
 const { expect } = require('chai');
 const httpMocks = require('node-mocks-http');
+const { hash } = require('@app-core/security');
 const { handler } = require('../endpoints/payment-instructions/Instructions');
+const { handler: batchHandler } = require('../endpoints/payment-instructions/batch');
+const reviewEndpoint = require('../endpoints/payment-instructions/review-held-instruction');
+const { userAuth } = require('../middlewares');
+const { MockModelStubs } = require('../mock-models');
+const { TRANSACTION_LIMITS } = require('../services/payment-instructions/transaction-limits');
 
 describe('Payment Instructions Endpoint', () => {
   // Test Cases 1, 3, 4: Valid scenarios
@@ -108,6 +117,8 @@ describe('Payment Instructions Endpoint', () => {
 
     expect(result.status).to.equal(200);
     expect(result.data.status).to.equal('pending');
+    expect(result.data.status_code).to.equal('AP02');
+    expect(result.data.id).to.be.a('string');
     expect(result.data.accounts).to.have.lengthOf(2);
     expect(result.data.accounts[0].balance).to.equal(500); // Unchanged
     expect(result.data.accounts[1].balance).to.equal(500); // Unchanged
@@ -164,6 +175,34 @@ describe('Payment Instructions Endpoint', () => {
     expect(result.data.status_code).to.equal('AC01');
   });
 
+  it('should reject a transfer over a limit with 403 and LIMIT_ERROR', async () => {
+    TRANSACTION_LIMITS.push({ name: 'usd-single', type: 'amount', currency: 'USD', max: 100 });
+    const mockRequest = httpMocks.createRequest({
+      method: 'POST',
+      url: '/payment-instructions',
+      body: {
+        accounts: [
+          { id: 'a', balance: 500, currency: 'USD' },
+          { id: 'b', balance: 500, currency: 'USD' },
+        ],
+        instruction: 'DEBIT 150 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      },
+    });
+
+    const result = await handler(mockRequest, {
+      http_statuses: {
+        HTTP_200_OK: 200,
+        HTTP_400_BAD_REQUEST: 400,
+      },
+    });
+    TRANSACTION_LIMITS.pop();
+
+    expect(result.status).to.equal(403);
+    expect(result.data.status_code).to.equal('LM01');
+    expect(result.data.error_code).to.equal('LIMIT_ERROR');
+    expect(result.data.limit.name).to.equal('usd-single');
+  });
+
   it('should reject unsupported currency with CU02 error', async () => {
     const mockRequest = httpMocks.createRequest({
       method: 'POST',
@@ -306,7 +345,7 @@ describe('Payment Instructions Endpoint', () => {
     expect(result.data.accounts[1].balance_before).to.equal(300);
   });
 
-  it('should include parsed values in AM01 error response for decimal amount', async () => {
+  it('should include parsed values in AM02 error response for excess decimal places', async () => {
     const mockRequest = httpMocks.createRequest({
       method: 'POST',
       url: '/payment-instructions',
@@ -315,7 +354,7 @@ describe('Payment Instructions Endpoint', () => {
           { id: 'a', balance: 500, currency: 'USD' },
           { id: 'b', balance: 500, currency: 'USD' },
         ],
-        instruction: 'DEBIT 100.50 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+        instruction: 'DEBIT 100.505 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
       },
     });
 
@@ -333,7 +372,7 @@ describe('Payment Instructions Endpoint', () => {
     expect(result.data.debit_account).to.equal('a');
     expect(result.data.credit_account).to.equal('b');
     expect(result.data.status).to.equal('failed');
-    expect(result.data.status_code).to.equal('AM01');
+    expect(result.data.status_code).to.equal('AM02');
     expect(result.data.accounts).to.have.lengthOf(2);
     expect(result.data.accounts[0].id).to.equal('a');
     expect(result.data.accounts[1].id).to.equal('b');
@@ -361,7 +400,7 @@ describe('Payment Instructions Endpoint', () => {
     expect(result.data.status_code).to.equal('AC03');
   });
 
-  it('should reject decimal amount with AM01 error', async () => {
+  it('should execute decimal amount within currency precision', async () => {
     const mockRequest = httpMocks.createRequest({
       method: 'POST',
       url: '/payment-instructions',
@@ -381,9 +420,11 @@ describe('Payment Instructions Endpoint', () => {
       },
     });
 
-    expect(result.status).to.equal(400);
-    expect(result.data.status).to.equal('failed');
-    expect(result.data.status_code).to.equal('AM01');
+    expect(result.status).to.equal(200);
+    expect(result.data.status).to.equal('successful');
+    expect(result.data.amount).to.equal(100.5);
+    expect(result.data.accounts[0].balance).to.equal(399.5);
+    expect(result.data.accounts[1].balance).to.equal(600.5);
   });
 
   it('should handle completely unparseable instructions correctly', async () => {
@@ -417,6 +458,41 @@ describe('Payment Instructions Endpoint', () => {
     expect(result.data.accounts).to.have.lengthOf(0);
   });
 
+  it('should include parse diagnostics when include_diagnostics is set', async () => {
+    const mockRequest = httpMocks.createRequest({
+      method: 'POST',
+      url: '/payment-instructions',
+      body: {
+        accounts: [
+          { id: 'a', balance: 500, currency: 'USD' },
+          { id: 'b', balance: 500, currency: 'USD' },
+        ],
+        instruction: 'SEND 100 USD TO ACCOUNT b',
+        include_diagnostics: true,
+      },
+    });
+
+    const result = await handler(mockRequest, {
+      http_statuses: {
+        HTTP_200_OK: 200,
+        HTTP_400_BAD_REQUEST: 400,
+      },
+    });
+
+    expect(result.status).to.equal(400);
+    expect(result.data.status_code).to.equal('SY03');
+    expect(result.data.diagnostics).to.deep.equal([
+      {
+        token: 'SEND',
+        offset: 0,
+        length: 4,
+        expected: ['DEBIT', 'CREDIT', 'REVERSE', 'REFUND', 'HOLD', 'CAPTURE', 'RELEASE'],
+        suggestion:
+          'expected one of DEBIT, CREDIT, REVERSE, REFUND, HOLD, CAPTURE, RELEASE, found SEND',
+      },
+    ]);
+  });
+
   it('should handle malformed instruction with missing fields correctly', async () => {
     const mockRequest = httpMocks.createRequest({
       method: 'POST',
@@ -555,3 +631,278 @@ describe('Payment Instructions Endpoint', () => {
     expect(result.data.accounts).to.have.lengthOf(0);
   });
 });
+
+describe('Payment Instructions Endpoint Locales', () => {
+  it('should read keywords and report reasons in the Accept-Language locale', async () => {
+    const mockRequest = httpMocks.createRequest({
+      method: 'POST',
+      url: '/payment-instructions',
+      headers: { 'accept-language': 'fr-FR,fr;q=0.9,en;q=0.8' },
+      body: {
+        accounts: [
+          { id: 'a', balance: 500, currency: 'USD' },
+          { id: 'b', balance: 0, currency: 'USD' },
+        ],
+        instruction: 'DÉBITER 30 USD DU COMPTE a POUR CRÉDITER LE COMPTE b',
+      },
+    });
+
+    const result = await handler(mockRequest, {
+      http_statuses: {
+        HTTP_200_OK: 200,
+        HTTP_400_BAD_REQUEST: 400,
+      },
+    });
+
+    expect(result.status).to.equal(200);
+    expect(result.data).to.include({
+      type: 'DEBIT',
+      status_code: 'AP00',
+      status_reason: 'Transaction exécutée avec succès',
+    });
+  });
+});
+
+describe('Payment Instructions Endpoint Idempotency', () => {
+  const body = {
+    accounts: [
+      { id: 'a', balance: 500, currency: 'USD' },
+      { id: 'b', balance: 500, currency: 'USD' },
+    ],
+    instruction: 'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+  };
+  const httpStatuses = {
+    http_statuses: {
+      HTTP_200_OK: 200,
+      HTTP_400_BAD_REQUEST: 400,
+      HTTP_500_INTERNAL_SERVER_ERROR: 500,
+    },
+  };
+
+  function createIdempotentRequest(requestBody) {
+    return httpMocks.createRequest({
+      method: 'POST',
+      url: '/payment-instructions',
+      headers: { 'idempotency-key': 'retry-key-1' },
+      body: requestBody,
+    });
+  }
+
+  it('should store the first response for a new idempotency key', async () => {
+    const findStub = MockModelStubs.IdempotencyKey.configureStubs({
+      method: 'findOne',
+      mockNull: true,
+    });
+    const updateStub = MockModelStubs.IdempotencyKey.configureStubs({ method: 'updateOne' });
+
+    const result = await handler(createIdempotentRequest(body), httpStatuses);
+    findStub.revert();
+    updateStub.revert();
+
+    expect(result.status).to.equal(200);
+    expect(updateStub.mockedDoc.queryData.query).to.deep.equal({ key: 'retry-key-1' });
+    expect(updateStub.mockedDoc.queryData.updateValues.response).to.deep.equal(result);
+  });
+
+  it('should replay the stored response for the same key and body', async () => {
+    const storedResponse = { status: 200, data: { status: 'successful', status_code: 'AP00' } };
+    const findStub = MockModelStubs.IdempotencyKey.configureStubs({
+      method: 'findOne',
+      docConfig: {
+        key: 'retry-key-1',
+        request_hash: hash.create(JSON.stringify(body), { algo: 'sha256' }),
+        response: storedResponse,
+        expires_at: Date.now() + 60000,
+      },
+    });
+
+    const result = await handler(createIdempotentRequest(body), httpStatuses);
+    findStub.revert();
+
+    expect(result).to.deep.equal(storedResponse);
+  });
+
+  it('should reject the same key with a different body with DUPLICATE_RECORD', async () => {
+    const findStub = MockModelStubs.IdempotencyKey.configureStubs({
+      method: 'findOne',
+      docConfig: {
+        key: 'retry-key-1',
+        request_hash: hash.create(JSON.stringify(body), { algo: 'sha256' }),
+        response: { status: 200, data: {} },
+        expires_at: Date.now() + 60000,
+      },
+    });
+
+    let error;
+    try {
+      await handler(
+        createIdempotentRequest({ ...body, instruction: body.instruction.replace('100', '200') }),
+        httpStatuses
+      );
+    } catch (e) {
+      error = e;
+    }
+    findStub.revert();
+
+    expect(error.errorCode).to.equal('DUPLICATE_RECORD');
+  });
+
+  it('should free the key when the request fails before anything is executed', async () => {
+    const findStub = MockModelStubs.IdempotencyKey.configureStubs({
+      method: 'findOne',
+      mockNull: true,
+    });
+    const deleteStub = MockModelStubs.IdempotencyKey.configureStubs({ method: 'deleteOne' });
+    const updateStub = MockModelStubs.IdempotencyKey.configureStubs({ method: 'updateOne' });
+    const journalStub = MockModelStubs.JournalEntry.configureStubs({
+      method: 'create',
+      overrideFn: () => {
+        throw new Error('journal unavailable');
+      },
+    });
+
+    const result = await handler(createIdempotentRequest(body), httpStatuses);
+    findStub.revert();
+    deleteStub.revert();
+    updateStub.revert();
+    journalStub.revert();
+
+    expect(result.status).to.equal(500);
+    expect(deleteStub.mockedDoc.queryData.query).to.deep.equal({ key: 'retry-key-1' });
+    expect(updateStub.mockedDoc.wasInvoked).to.equal(false);
+  });
+
+  it('should store the failure under the key once the instruction has executed', async () => {
+    const holdId = '01JC0000000000000000000001';
+    const findStub = MockModelStubs.IdempotencyKey.configureStubs({
+      method: 'findOne',
+      mockNull: true,
+    });
+    const deleteStub = MockModelStubs.IdempotencyKey.configureStubs({ method: 'deleteOne' });
+    const updateStub = MockModelStubs.IdempotencyKey.configureStubs({ method: 'updateOne' });
+    const hold = {
+      _id: holdId,
+      amount: 150,
+      currency: 'USD',
+      debit_account: 'a',
+      credit_account: 'b',
+      status: 'active',
+      expires_at: Date.now() + 3600000,
+    };
+    const holdsStub = MockModelStubs.Hold.configureStubs({
+      method: 'findMany',
+      overrideFn: () => [hold],
+    });
+    const holdStub = MockModelStubs.Hold.configureStubs({
+      method: 'findOne',
+      overrideFn: () => hold,
+    });
+    const holdUpdateStub = MockModelStubs.Hold.configureStubs({ method: 'updateOne' });
+    const journalStub = MockModelStubs.JournalEntry.configureStubs({
+      method: 'create',
+      overrideFn: () => {
+        throw new Error('journal unavailable');
+      },
+    });
+
+    const result = await handler(
+      createIdempotentRequest({ ...body, instruction: `CAPTURE HOLD ${holdId}` }),
+      httpStatuses
+    );
+    findStub.revert();
+    deleteStub.revert();
+    updateStub.revert();
+    holdsStub.revert();
+    holdStub.revert();
+    holdUpdateStub.revert();
+    journalStub.revert();
+
+    expect(result.status).to.equal(500);
+    expect(holdUpdateStub.mockedDoc.queryData.updateValues.status).to.equal('captured');
+    expect(deleteStub.mockedDoc.wasInvoked).to.equal(false);
+    expect(updateStub.mockedDoc.queryData.updateValues.response).to.deep.equal(result);
+  });
+});
+
+describe('Payment Instructions Batch Endpoint', () => {
+  it('should run the instructions in order against one account set', async () => {
+    const mockRequest = httpMocks.createRequest({
+      method: 'POST',
+      url: '/payment-instructions/batch',
+      body: {
+        accounts: [
+          { id: 'a', balance: 500, currency: 'USD' },
+          { id: 'b', balance: 0, currency: 'USD' },
+        ],
+        instructions: [
+          'DEBIT 300 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+          'DEBIT 300 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+          'CREDIT 100 USD TO ACCOUNT a FOR DEBIT FROM ACCOUNT b',
+        ],
+        on_failure: 'continue',
+      },
+    });
+
+    const result = await batchHandler(mockRequest, {
+      http_statuses: {
+        HTTP_200_OK: 200,
+        HTTP_400_BAD_REQUEST: 400,
+      },
+    });
+
+    expect(result.status).to.equal(200);
+    expect(result.data).to.include({ total: 3, successful: 2, failed: 1 });
+    expect(result.data.results.map((item) => item.status_code)).to.deep.equal([
+      'AP00',
+      'AC01',
+      'AP00',
+    ]);
+    expect(result.data.accounts.map((account) => account.balance)).to.deep.equal([300, 200]);
+  });
+
+  it('should report reasons in the Accept-Language locale', async () => {
+    const mockRequest = httpMocks.createRequest({
+      method: 'POST',
+      url: '/payment-instructions/batch',
+      headers: { 'accept-language': 'fr-FR,fr;q=0.9' },
+      body: {
+        accounts: [
+          { id: 'a', balance: 500, currency: 'USD' },
+          { id: 'b', balance: 0, currency: 'USD' },
+        ],
+        instructions: ['DEBIT 30 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b'],
+      },
+    });
+
+    const result = await batchHandler(mockRequest, {
+      http_statuses: {
+        HTTP_200_OK: 200,
+        HTTP_400_BAD_REQUEST: 400,
+      },
+    });
+
+    expect(result.data.results[0].status_reason).to.equal('Transaction exécutée avec succès');
+  });
+});
+
+describe('Held Instruction Review Endpoint', () => {
+  it('should refuse a review without an authorization header', async () => {
+    const [authMiddleware] = reviewEndpoint.middlewares;
+    const mockRequest = httpMocks.createRequest({
+      method: 'POST',
+      url: '/payment-instructions/held/01JB0000000000000000000000/review',
+      params: { id: '01JB0000000000000000000000' },
+      body: { decision: 'release' },
+    });
+
+    let error;
+    try {
+      await authMiddleware.handler(mockRequest);
+    } catch (e) {
+      error = e;
+    }
+
+    expect(authMiddleware).to.equal(userAuth);
+    expect(error.errorCode).to.equal('MISSING_AUTHORIZATION');
+  });
+});
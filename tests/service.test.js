@@ -1,8 +1,60 @@
+// The test script's `set USE_MOCK_MODEL=1` does not export the variable on POSIX shells
+process.env.USE_MOCK_MODEL = '1';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { expect } = require('chai');
+const validator = require('@app-core/validator');
+const { ulid } = require('@app-core/randomness');
 const {
   parseInstruction,
   processTransaction,
+  executeInstruction,
+  executeLedgerTransaction,
+  processTransactionService,
+  STATUS_CODES,
 } = require('../services/payment-instructions/process');
+const { processBatchService } = require('../services/payment-instructions/process-batch');
+const { calculateFee } = require('../services/payment-instructions/fee-rules');
+const cancelScheduledInstruction = require('../services/payment-instructions/cancel-scheduled-instruction');
+const amendScheduledInstruction = require('../services/payment-instructions/amend-scheduled-instruction');
+const executeScheduledInstructionService = require('../services/payment-instructions/execute-scheduled-instruction');
+const executeRecurringInstructionRun = require('../services/payment-instructions/execute-recurring-instruction-run');
+const reviewHeldInstruction = require('../services/payment-instructions/review-held-instruction');
+const {
+  getRunDate,
+  parseDate,
+  getCurrentUTCDate,
+  isFutureDate,
+  describeSupportedCurrencies,
+} = require('../services/payment-instructions/helpers');
+const { createFixedClock } = require('../services/payment-instructions/clock');
+const { parseConfigList } = require('../services/payment-instructions/env-config');
+const {
+  createBlocklist,
+  findBlocklistMatches,
+} = require('../services/payment-instructions/blocklist-screening');
+const { rollForwardToBusinessDay } = require('../services/payment-instructions/business-calendar');
+const {
+  SUPPORTED_LOCALES,
+  getAcceptedLocale,
+  localiseStatusReason,
+} = require('../services/payment-instructions/locales');
+const {
+  getEditDistance,
+  createKeywordMatcher,
+} = require('../services/payment-instructions/keyword-matcher');
+const {
+  keywords,
+  slot,
+  clause,
+  describeSequence,
+  parseWithGrammar,
+} = require('../services/payment-instructions/instruction-grammar');
+const { recordJournalEntry, listJournalEntries } = require('../services/journal');
+const { executeScheduledInstruction } = require('../workers');
+const { MockModelStubs } = require('../mock-models');
 
 describe('Payment Instructions Service', () => {
   // Test Cases 1, 3, 4: Valid scenarios
@@ -153,6 +205,35 @@ describe('Payment Instructions Service', () => {
     expect(hasUnsupportedCurrency).to.equal(true);
   });
 
+  it('should reject a registered but disabled currency with the generated CU02 message', () => {
+    const parsedData = {
+      type: 'DEBIT',
+      amount: 50,
+      currency: 'KES',
+      debitAccount: 'a',
+      creditAccount: 'b',
+      executeBy: null,
+    };
+
+    const accounts = [
+      { id: 'a', balance: 500, currency: 'KES' },
+      { id: 'b', balance: 500, currency: 'KES' },
+    ];
+
+    const result = processTransaction(parsedData, accounts);
+
+    expect(result.status_code).to.equal('CU02');
+    expect(result.status_reason).to.equal(
+      'Unsupported currency. Only NGN, USD, GBP, and GHS are supported'
+    );
+  });
+
+  it('should describe the supported currencies however many are enabled', () => {
+    expect(describeSupportedCurrencies([])).to.equal('No currencies are enabled');
+    expect(describeSupportedCurrencies(['NGN'])).to.equal('Only NGN is supported');
+    expect(describeSupportedCurrencies(['NGN', 'USD'])).to.equal('Only NGN and USD are supported');
+  });
+
   it('should reject same account with AC02 error', () => {
     const result = parseInstruction('DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT a');
 
@@ -185,13 +266,51 @@ describe('Payment Instructions Service', () => {
     expect(result.status_code).to.equal('AC03');
   });
 
-  it('should reject decimal amount with AM01 error', () => {
+  it('should parse decimal amount within currency precision', () => {
     const result = parseInstruction('DEBIT 100.50 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b');
 
+    expect(result.success).to.equal(true);
+    expect(result.data.amount).to.equal(100.5);
+  });
+
+  it('should reject amount exceeding currency precision with AM02 error', () => {
+    const result = parseInstruction('DEBIT 10.505 NGN FROM ACCOUNT a FOR CREDIT TO ACCOUNT b');
+
+    expect(result.success).to.equal(false);
+    expect(result.error.status_code).to.equal('AM02');
+  });
+
+  it('should reject malformed decimal amount with AM01 error', () => {
+    const result = parseInstruction('DEBIT 10. USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b');
+
     expect(result.success).to.equal(false);
     expect(result.error.status_code).to.equal('AM01');
   });
 
+  it('should compute decimal balances without floating-point drift', () => {
+    const parsedData = {
+      type: 'DEBIT',
+      amount: 0.2,
+      currency: 'USD',
+      debitAccount: 'a',
+      creditAccount: 'b',
+      executeBy: null,
+    };
+
+    const accounts = [
+      { id: 'a', balance: 0.3, currency: 'USD' },
+      { id: 'b', balance: 0.1, currency: 'USD' },
+    ];
+
+    const result = processTransaction(parsedData, accounts);
+
+    expect(result.status).to.equal('successful');
+    expect(result.accounts[0].balance).to.equal(0.1);
+    expect(result.accounts[0].balance_before).to.equal(0.3);
+    expect(result.accounts[1].balance).to.equal(0.3);
+    expect(result.accounts[1].balance_before).to.equal(0.1);
+  });
+
   it('should reject malformed instruction with SY03 error', () => {
     const result = parseInstruction('SEND 100 USD TO ACCOUNT b');
 
@@ -199,3 +318,2469 @@ describe('Payment Instructions Service', () => {
     expect(result.error.status_code).to.equal('SY03');
   });
 });
+
+describe('Payment Instructions Batch Service', () => {
+  const accounts = [
+    { id: 'a', balance: 100, currency: 'USD' },
+    { id: 'b', balance: 50, currency: 'USD' },
+    { id: 'c', balance: 0, currency: 'USD' },
+  ];
+
+  it('should apply instructions in order against running balances', async () => {
+    const result = await processBatchService({
+      accounts,
+      instructions: [
+        'DEBIT 80 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+        'DEBIT 130 USD FROM ACCOUNT b FOR CREDIT TO ACCOUNT c',
+      ],
+    });
+
+    expect(result.successful).to.equal(2);
+    expect(result.results[1].accounts[0].balance_before).to.equal(130);
+    expect(result.accounts.map((account) => account.balance)).to.deep.equal([20, 0, 130]);
+    expect(result.accounts[1].balance_before).to.equal(50);
+  });
+
+  it('should skip remaining instructions after the first failure by default', async () => {
+    const result = await processBatchService({
+      accounts,
+      instructions: [
+        'DEBIT 500 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+        'DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      ],
+    });
+
+    expect(result.on_failure).to.equal('stop');
+    expect(result.results[0].status_code).to.equal('AC01');
+    expect(result.results[1].status).to.equal('skipped');
+    expect(result.results[1].status_code).to.equal('BT01');
+    expect(result.accounts[0].balance).to.equal(100);
+  });
+
+  it('should continue past failures when requested', async () => {
+    const result = await processBatchService({
+      accounts,
+      on_failure: 'continue',
+      instructions: [
+        'DEBIT 500 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+        'DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      ],
+    });
+
+    expect(result.failed).to.equal(1);
+    expect(result.successful).to.equal(1);
+    expect(result.accounts[0].balance).to.equal(90);
+    expect(result.accounts[1].balance).to.equal(60);
+  });
+
+  it('should roll back every instruction when one fails in rollback mode', async () => {
+    const result = await processBatchService({
+      accounts,
+      on_failure: 'rollback',
+      instructions: [
+        'DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+        'DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT x',
+        'DEBIT 10 USD FROM ACCOUNT b FOR CREDIT TO ACCOUNT c',
+      ],
+    });
+
+    expect(result.rolled_back).to.equal(3);
+    result.results.forEach((instructionResult) => {
+      expect(instructionResult.status).to.equal('rolled_back');
+      expect(instructionResult.status_code).to.equal('AC03');
+    });
+    expect(result.results[0].accounts[0].balance).to.equal(100);
+    expect(result.accounts.map((account) => account.balance)).to.deep.equal([100, 50, 0]);
+  });
+
+  it('should convert between currencies when requested, like a single instruction', async () => {
+    const fxStub = MockModelStubs.FxRate.configureStubs({
+      method: 'findMany',
+      overrideFn: () => [{ from_currency: 'USD', to_currency: 'GBP', rate: 0.5 }],
+    });
+
+    const result = await processBatchService({
+      accounts: [...accounts, { id: 'g', balance: 0, currency: 'GBP' }],
+      convert: true,
+      instructions: ['DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT g'],
+    });
+    fxStub.revert();
+
+    expect(result.results[0].fx).to.include({ rate: 0.5, converted_amount: 5 });
+    expect(result.accounts.map((account) => account.balance)).to.deep.equal([90, 50, 0, 5]);
+  });
+
+  it('should run against the ledger and save the final balances with the journal', async () => {
+    const balanceUpdates = [];
+    const findStub = MockModelStubs.Account.configureStubs({
+      method: 'findMany',
+      overrideFn: () => [
+        { account_id: 'a', balance: 100, currency: 'USD' },
+        { account_id: 'b', balance: 50, currency: 'USD' },
+        { account_id: 'c', balance: 0, currency: 'USD' },
+      ],
+    });
+    const updateStub = MockModelStubs.Account.configureStubs({
+      method: 'updateOne',
+      overrideFn: (queryData) => {
+        if (queryData.updateValues.balance !== undefined) balanceUpdates.push(queryData);
+        return { acknowledged: true, modifiedCount: 1 };
+      },
+    });
+    const journalStub = MockModelStubs.JournalEntry.configureStubs({ method: 'create' });
+
+    const result = await processBatchService(
+      {
+        instructions: [
+          'DEBIT 80 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+          'DEBIT 130 USD FROM ACCOUNT b FOR CREDIT TO ACCOUNT c',
+        ],
+      },
+      { session: {} }
+    );
+    findStub.revert();
+    updateStub.revert();
+    journalStub.revert();
+
+    expect(result.successful).to.equal(2);
+    expect(result.accounts.map((account) => account.balance)).to.deep.equal([20, 0, 130]);
+    expect(
+      balanceUpdates.map((update) => [update.query.account_id, update.updateValues.balance])
+    ).to.deep.equal([
+      ['a', 20],
+      ['b', 0],
+      ['c', 130],
+    ]);
+    expect(journalStub.mockedDoc.queryData.instruction).to.equal(
+      'DEBIT 130 USD FROM ACCOUNT b FOR CREDIT TO ACCOUNT c'
+    );
+  });
+});
+
+describe('Scheduled Instruction Services', () => {
+  const scheduledInstruction = {
+    _id: '01JB0000000000000000000000',
+    type: 'DEBIT',
+    amount: 100,
+    currency: 'USD',
+    debit_account: 'a',
+    credit_account: 'b',
+    execute_by: '2099-12-31',
+    status: 'pending',
+    status_code: 'AP02',
+  };
+
+  it('should cancel a pending instruction with AP03', async () => {
+    const stub = MockModelStubs.ScheduledInstruction.configureStubs({
+      method: 'findOne',
+      docConfig: scheduledInstruction,
+    });
+
+    const result = await cancelScheduledInstruction({ id: scheduledInstruction._id });
+    stub.revert();
+
+    expect(result.id).to.equal(scheduledInstruction._id);
+    expect(result.status).to.equal('cancelled');
+    expect(result.status_code).to.equal('AP03');
+  });
+
+  it('should not cancel an instruction that is no longer pending', async () => {
+    const stub = MockModelStubs.ScheduledInstruction.configureStubs({
+      method: 'findOne',
+      docConfig: { ...scheduledInstruction, status: 'successful' },
+    });
+
+    let error;
+    try {
+      await cancelScheduledInstruction({ id: scheduledInstruction._id });
+    } catch (e) {
+      error = e;
+    }
+    stub.revert();
+
+    expect(error.errorCode).to.equal('INVALID_REQUEST');
+    expect(error.message).to.equal(
+      'Scheduled instruction has already run or is running: status is successful'
+    );
+  });
+
+  it('should not cancel an instruction the worker claimed between the read and the update', async () => {
+    let reads = 0;
+    const findStub = MockModelStubs.ScheduledInstruction.configureStubs({
+      method: 'findOne',
+      overrideFn: () => {
+        reads += 1;
+        return { ...scheduledInstruction, status: reads === 1 ? 'pending' : 'executing' };
+      },
+    });
+    const updateStub = MockModelStubs.ScheduledInstruction.configureStubs({
+      method: 'updateOne',
+      overrideFn: () => ({ acknowledged: true, modifiedCount: 0 }),
+    });
+
+    let error;
+    try {
+      await cancelScheduledInstruction({ id: scheduledInstruction._id });
+    } catch (e) {
+      error = e;
+    }
+    findStub.revert();
+    updateStub.revert();
+
+    expect(error.errorCode).to.equal('INVALID_REQUEST');
+    expect(error.message).to.equal(
+      'Scheduled instruction has already run or is running: status is executing'
+    );
+  });
+
+  it('should amend the execution date of a pending instruction with AP04', async () => {
+    const stub = MockModelStubs.ScheduledInstruction.configureStubs({
+      method: 'findOne',
+      docConfig: scheduledInstruction,
+    });
+
+    const result = await amendScheduledInstruction({
+      id: scheduledInstruction._id,
+      execute_by: '2099-06-30',
+    });
+    stub.revert();
+
+    expect(result.status).to.equal('pending');
+    expect(result.status_code).to.equal('AP04');
+    expect(result.execute_by).to.equal('2099-06-30');
+  });
+
+  it('should move an amended date that falls on a weekend to the next business day', async () => {
+    const stub = MockModelStubs.ScheduledInstruction.configureStubs({
+      method: 'findOne',
+      docConfig: scheduledInstruction,
+    });
+
+    const result = await amendScheduledInstruction({
+      id: scheduledInstruction._id,
+      execute_by: '2099-07-04',
+    });
+    stub.revert();
+
+    expect(result.execute_by).to.equal('2099-07-06');
+    expect(result.execute_by_text).to.equal('2099-07-04');
+    expect(result.execute_by_adjustment).to.deep.equal({
+      requested_date: '2099-07-04',
+      reason: '2099-07-04 falls on a weekend for USD',
+    });
+  });
+
+  it('should reject amending a STRICT instruction to a date that is not a business day', async () => {
+    const stub = MockModelStubs.ScheduledInstruction.configureStubs({
+      method: 'findOne',
+      docConfig: { ...scheduledInstruction, strict_date: true },
+    });
+
+    let error;
+    try {
+      await amendScheduledInstruction({ id: scheduledInstruction._id, execute_by: '2099-07-04' });
+    } catch (e) {
+      error = e;
+    }
+    stub.revert();
+
+    expect(error.errorCode).to.equal('INVALID_REQUEST_DATA');
+    expect(error.message).to.equal(
+      'Execution date is not a business day: 2099-07-04 falls on a weekend for USD'
+    );
+  });
+
+  it('should not amend an instruction that was cancelled between the read and the update', async () => {
+    const findStub = MockModelStubs.ScheduledInstruction.configureStubs({
+      method: 'findOne',
+      docConfig: scheduledInstruction,
+    });
+    const updateStub = MockModelStubs.ScheduledInstruction.configureStubs({
+      method: 'updateOne',
+      overrideFn: () => ({ acknowledged: true, modifiedCount: 0 }),
+    });
+
+    let error;
+    try {
+      await amendScheduledInstruction({ id: scheduledInstruction._id, execute_by: '2099-06-30' });
+    } catch (e) {
+      error = e;
+    }
+    findStub.revert();
+    updateStub.revert();
+
+    expect(error.errorCode).to.equal('INVALID_REQUEST');
+  });
+
+  it('should keep the stored date and job when the amended job cannot be scheduled', async () => {
+    const findStub = MockModelStubs.ScheduledInstruction.configureStubs({
+      method: 'findOne',
+      docConfig: scheduledInstruction,
+    });
+    const updateStub = MockModelStubs.ScheduledInstruction.configureStubs({
+      method: 'updateOne',
+    });
+    const { scheduleJob } = executeScheduledInstruction;
+    const scheduledDelays = [];
+    executeScheduledInstruction.scheduleJob = async (jobData, opts) => {
+      scheduledDelays.push(opts.delay);
+      if (scheduledDelays.length === 1) throw new Error('queue unavailable');
+    };
+
+    let error;
+    try {
+      await amendScheduledInstruction({ id: scheduledInstruction._id, execute_by: '2099-06-30' });
+    } catch (e) {
+      error = e;
+    }
+    executeScheduledInstruction.scheduleJob = scheduleJob;
+    findStub.revert();
+    updateStub.revert();
+
+    expect(error.message).to.equal('queue unavailable');
+    expect(updateStub.mockedDoc.wasInvoked).to.equal(false);
+    // The second job is the original one, put back for the stored date
+    expect(scheduledDelays[1]).to.be.greaterThan(scheduledDelays[0]);
+  });
+
+  it('should reject amending to a date that is not in the future', async () => {
+    let error;
+    try {
+      await amendScheduledInstruction({ id: scheduledInstruction._id, execute_by: '2020-01-01' });
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error.message).to.equal('Execution date must be in the future');
+  });
+
+  it('should run a due instruction against its stored accounts and record the outcome', async () => {
+    const findStub = MockModelStubs.ScheduledInstruction.configureStubs({
+      method: 'findOne',
+      docConfig: {
+        ...scheduledInstruction,
+        execute_by: '2020-01-01',
+        source_accounts: [
+          { id: 'a', balance: 500, currency: 'USD' },
+          { id: 'b', balance: 0, currency: 'USD' },
+        ],
+      },
+    });
+    const updateStub = MockModelStubs.ScheduledInstruction.configureStubs({
+      method: 'updateOne',
+    });
+
+    const result = await executeScheduledInstructionService({ id: scheduledInstruction._id });
+    findStub.revert();
+    updateStub.revert();
+
+    expect(result).to.deep.equal({ id: scheduledInstruction._id, status: 'successful' });
+    expect(updateStub.mockedDoc.queryData.updateValues.status_code).to.equal('AP00');
+    expect(
+      updateStub.mockedDoc.queryData.updateValues.accounts.map((account) => account.balance)
+    ).to.deep.equal([400, 100]);
+  });
+
+  it('should leave an instruction that is not yet due for the queue to retry', async () => {
+    const findStub = MockModelStubs.ScheduledInstruction.configureStubs({
+      method: 'findOne',
+      docConfig: {
+        ...scheduledInstruction,
+        source_accounts: [
+          { id: 'a', balance: 500, currency: 'USD' },
+          { id: 'b', balance: 0, currency: 'USD' },
+        ],
+      },
+    });
+    const updateStub = MockModelStubs.ScheduledInstruction.configureStubs({
+      method: 'updateOne',
+    });
+
+    let error;
+    try {
+      await executeScheduledInstructionService({ id: scheduledInstruction._id });
+    } catch (e) {
+      error = e;
+    }
+    findStub.revert();
+    updateStub.revert();
+
+    expect(error.errorCode).to.equal('INVALID_REQUEST');
+    // The claim is given back, so the retry or a cancellation still finds it pending
+    expect(updateStub.mockedDoc.queryData.query.status).to.equal('executing');
+    expect(updateStub.mockedDoc.queryData.updateValues.status).to.equal('pending');
+  });
+
+  it('should run a due instruction once when its job is delivered twice', async () => {
+    let status = 'pending';
+    const findStub = MockModelStubs.ScheduledInstruction.configureStubs({
+      method: 'findOne',
+      docConfig: {
+        ...scheduledInstruction,
+        execute_by: '2020-01-01',
+        source_accounts: [
+          { id: 'a', balance: 500, currency: 'USD' },
+          { id: 'b', balance: 0, currency: 'USD' },
+        ],
+      },
+    });
+    // Both deliveries read the record as pending; the claim only applies while it still is
+    const updateStub = MockModelStubs.ScheduledInstruction.configureStubs({
+      method: 'updateOne',
+      overrideFn: ({ query, updateValues }) => {
+        if (query.status !== status) return { acknowledged: true, modifiedCount: 0 };
+        status = updateValues.status;
+        return { acknowledged: true, modifiedCount: 1 };
+      },
+    });
+    const journalStub = MockModelStubs.JournalEntry.configureStubs({ method: 'create' });
+
+    const results = [
+      await executeScheduledInstructionService({ id: scheduledInstruction._id }),
+      await executeScheduledInstructionService({ id: scheduledInstruction._id }),
+    ];
+    findStub.revert();
+    updateStub.revert();
+    journalStub.revert();
+
+    expect(results.map((result) => result.status)).to.deep.equal(['successful', 'skipped']);
+    expect(status).to.equal('successful');
+  });
+
+  it('should skip an instruction that was already cancelled or run', async () => {
+    const findStub = MockModelStubs.ScheduledInstruction.configureStubs({
+      method: 'findOne',
+      docConfig: { ...scheduledInstruction, status: 'cancelled', status_code: 'AP03' },
+    });
+    const updateStub = MockModelStubs.ScheduledInstruction.configureStubs({
+      method: 'updateOne',
+    });
+
+    const result = await executeScheduledInstructionService({ id: scheduledInstruction._id });
+    findStub.revert();
+    updateStub.revert();
+
+    expect(result).to.deep.equal({ id: scheduledInstruction._id, status: 'cancelled' });
+    expect(updateStub.mockedDoc.wasInvoked).to.equal(false);
+  });
+});
+
+describe('Cross-Currency Conversion', () => {
+  const parsedData = {
+    type: 'DEBIT',
+    amount: 10,
+    currency: 'USD',
+    debitAccount: 'a',
+    creditAccount: 'b',
+    executeBy: null,
+  };
+  const accounts = [
+    { id: 'a', balance: 100, currency: 'USD' },
+    { id: 'b', balance: 50, currency: 'GBP' },
+  ];
+
+  it('should credit the converted amount and report the rate and remainder', () => {
+    const result = processTransaction(parsedData, accounts, { fxRates: { USD: { GBP: 0.7891 } } });
+
+    expect(result.status).to.equal('successful');
+    expect(result.accounts[0].balance).to.equal(90);
+    expect(result.accounts[1].balance).to.equal(57.89);
+    expect(result.fx).to.deep.equal({
+      rate: 0.7891,
+      from_currency: 'USD',
+      to_currency: 'GBP',
+      converted_amount: 7.89,
+      remainder: 0.001,
+    });
+  });
+
+  it('should still fail with CU01 when no rate is available for the pair', () => {
+    const result = processTransaction(parsedData, accounts, { fxRates: { GBP: { USD: 1.26 } } });
+
+    expect(result.status).to.equal('failed');
+    expect(result.status_code).to.equal('CU01');
+    expect(result.fx).to.equal(undefined);
+  });
+});
+
+describe('Transaction Fees', () => {
+  const accounts = [
+    { id: 'a', balance: 500, currency: 'NGN' },
+    { id: 'b', balance: 100, currency: 'NGN' },
+    { id: 'fees', balance: 0, currency: 'NGN' },
+  ];
+
+  it('should parse a fee clause with its amount and bearer', () => {
+    const result = parseInstruction(
+      'DEBIT 500 NGN FROM ACCOUNT a FOR CREDIT TO ACCOUNT b WITH FEE 10 BORNE BY SENDER ON 2099-01-01'
+    );
+
+    expect(result.success).to.equal(true);
+    expect(result.data.fee).to.equal(10);
+    expect(result.data.feeBearer).to.equal('SENDER');
+    expect(result.data.executeBy).to.equal('2099-01-01');
+  });
+
+  it('should include a sender-borne fee in the funds check', () => {
+    const result = executeInstruction(
+      'DEBIT 495 NGN FROM ACCOUNT a FOR CREDIT TO ACCOUNT b WITH FEE 10 BORNE BY SENDER',
+      accounts
+    );
+
+    expect(result.status_code).to.equal('AC01');
+    expect(result.status_reason).to.include('needs 505 NGN');
+  });
+
+  it('should route a sender-borne fee to the fee account', () => {
+    const result = executeInstruction(
+      'DEBIT 400 NGN FROM ACCOUNT a FOR CREDIT TO ACCOUNT b WITH FEE 10.50 BORNE BY SENDER',
+      accounts
+    );
+
+    expect(result.status_code).to.equal('AP00');
+    expect(result.fee).to.deep.equal({
+      amount: 10.5,
+      currency: 'NGN',
+      borne_by: 'SENDER',
+      account_id: 'fees',
+    });
+    expect(result.accounts.map((account) => account.balance)).to.deep.equal([89.5, 500, 10.5]);
+  });
+
+  it('should deduct a rule-based fee from the credit when the receiver bears it', () => {
+    const result = executeInstruction(
+      'DEBIT 200 NGN FROM ACCOUNT a FOR CREDIT TO ACCOUNT b WITH FEE BORNE BY RECEIVER',
+      accounts,
+      { feeRules: { NGN: { type: 'percentage', rate: 1.5 } } }
+    );
+
+    expect(result.fee.amount).to.equal(3);
+    expect(result.accounts.map((account) => account.balance)).to.deep.equal([300, 297, 3]);
+  });
+
+  it('should fail with AC03 when the fee account is not in the account set', () => {
+    const result = executeInstruction(
+      'DEBIT 100 NGN FROM ACCOUNT a FOR CREDIT TO ACCOUNT b WITH FEE 10 BORNE BY SENDER',
+      accounts.slice(0, 2)
+    );
+
+    expect(result.status_code).to.equal('AC03');
+    expect(result.status_reason).to.equal('Fee account not found in provided accounts list');
+  });
+
+  it('should only charge the fee rules without a fee clause in ledger mode', () => {
+    const feeRules = { NGN: { type: 'flat', amount: 5 } };
+    const instruction = 'DEBIT 100 NGN FROM ACCOUNT a FOR CREDIT TO ACCOUNT b';
+
+    const clientResult = executeInstruction(instruction, accounts.slice(0, 2), { feeRules });
+    const ledgerResult = executeInstruction(instruction, accounts, {
+      feeRules,
+      chargeRuleFees: true,
+    });
+
+    expect(clientResult.status_code).to.equal('AP00');
+    expect(clientResult).to.not.have.property('fee');
+    expect(clientResult.accounts.map((account) => account.balance)).to.deep.equal([400, 200]);
+    expect(ledgerResult.fee.amount).to.equal(5);
+    expect(ledgerResult.accounts.map((account) => account.balance)).to.deep.equal([395, 200, 5]);
+  });
+
+  it('should fail with AC02 when the fee account sends or receives the transfer', () => {
+    const result = executeInstruction(
+      'DEBIT 100 NGN FROM ACCOUNT a FOR CREDIT TO ACCOUNT fees WITH FEE 10 BORNE BY SENDER',
+      accounts
+    );
+
+    expect(result.status_code).to.equal('AC02');
+    expect(result.status_reason).to.equal(
+      'The fee account cannot send or receive a transfer that carries a fee'
+    );
+    expect(result.accounts.map((account) => account.id)).to.deep.equal(['a', 'fees']);
+  });
+
+  it('should pick the matching tier of a tiered fee rule', () => {
+    const feeRules = {
+      GBP: {
+        type: 'tiered',
+        tiers: [
+          { up_to: 100, amount: 0.5 },
+          { up_to: null, amount: 2 },
+        ],
+      },
+    };
+
+    expect(calculateFee(100, 'GBP', 2, feeRules)).to.equal(0.5);
+    expect(calculateFee(100.01, 'GBP', 2, feeRules)).to.equal(2);
+  });
+});
+
+describe('Split Instructions', () => {
+  const accounts = [
+    { id: 'a', balance: 1500, currency: 'USD' },
+    { id: 'b', balance: 0, currency: 'USD' },
+    { id: 'c', balance: 50, currency: 'USD' },
+  ];
+
+  it('should parse the credit legs of a split instruction', () => {
+    const result = parseInstruction(
+      'DEBIT 1000 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNTS b:600, c:400 ON 2099-01-01'
+    );
+
+    expect(result.success).to.equal(true);
+    expect(result.data.credits).to.deep.equal([
+      { account_id: 'b', amount: 600 },
+      { account_id: 'c', amount: 400 },
+    ]);
+    expect(result.data.executeBy).to.equal('2099-01-01');
+  });
+
+  it('should end the legs at EVERY and schedule a recurring split', async () => {
+    const result = parseInstruction(
+      'DEBIT 30 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNTS b:10, c:20 EVERY WEEK TIMES 4'
+    );
+    const onResult = parseInstruction(
+      'DEBIT 30 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNTS b:10,c:20 EVERY WEEK ON 2099-01-01'
+    );
+    const createStub = MockModelStubs.RecurringInstruction.configureStubs({ method: 'create' });
+    const serviceResult = await processTransactionService({
+      instruction:
+        'DEBIT 30 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNTS b:10,c:20 EVERY WEEK TIMES 4',
+      accounts,
+    });
+    createStub.revert();
+
+    expect(result.success).to.equal(true);
+    expect(result.data.credits).to.have.length(2);
+    expect(result.data.recurrence).to.include({ frequency: 'WEEK', times: 4 });
+    expect(onResult.error.status_code).to.equal('SY02');
+    expect(onResult.diagnostics[0]).to.include({ token: 'ON' });
+    expect(serviceResult.status).to.equal('pending');
+    expect(createStub.mockedDoc.queryData.credits).to.deep.equal(result.data.credits);
+  });
+
+  it('should reject legs that do not add up to the total with AM04', () => {
+    const result = parseInstruction(
+      'DEBIT 1000 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNTS b:600,c:300'
+    );
+
+    expect(result.success).to.equal(false);
+    expect(result.error.status_code).to.equal('AM04');
+  });
+
+  it('should say that a split instruction cannot carry a fee', () => {
+    const result = parseInstruction(
+      'DEBIT 30 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNTS b:10,c:20 WITH FEE 1 BORNE BY SENDER'
+    );
+
+    expect(result.success).to.equal(false);
+    expect(result.error.status_code).to.equal('SY02');
+    expect(result.error.status_reason).to.equal('Fees are not supported on split instructions');
+    expect(result.diagnostics[0]).to.include({ token: 'WITH' });
+  });
+
+  it('should apply every leg and return all affected accounts', () => {
+    const result = executeInstruction(
+      'DEBIT 1000.50 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNTS b:600.25, c:400.25',
+      accounts
+    );
+
+    expect(result.status_code).to.equal('AP00');
+    expect(result.credit_account).to.equal(null);
+    expect(result.accounts).to.deep.equal([
+      { id: 'a', balance: 499.5, balance_before: 1500, currency: 'USD' },
+      { id: 'b', balance: 600.25, balance_before: 0, currency: 'USD' },
+      { id: 'c', balance: 450.25, balance_before: 50, currency: 'USD' },
+    ]);
+  });
+
+  it('should fail with AC03 when a credit leg account is missing', () => {
+    const result = executeInstruction(
+      'DEBIT 1000 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNTS b:600, d:400',
+      accounts
+    );
+
+    expect(result.status_code).to.equal('AC03');
+  });
+
+  it('should fail with CU01 when a credit leg account holds another currency', () => {
+    const result = executeInstruction(
+      'DEBIT 1000 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNTS b:600, c:400',
+      [...accounts.slice(0, 2), { id: 'c', balance: 50, currency: 'GBP' }]
+    );
+
+    expect(result.status_code).to.equal('CU01');
+  });
+});
+
+describe('Ledger Account Mode', () => {
+  it('should execute against ledger balances and save the new balances', async () => {
+    const findStub = MockModelStubs.Account.configureStubs({
+      method: 'findMany',
+      overrideFn: () => [
+        { account_id: 'a', balance: 230, currency: 'USD' },
+        { account_id: 'b', balance: 300, currency: 'USD' },
+      ],
+    });
+    const updateStub = MockModelStubs.Account.configureStubs({ method: 'updateOne' });
+
+    const result = await executeLedgerTransaction(
+      'DEBIT 30 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      {
+        type: 'DEBIT',
+        amount: 30,
+        currency: 'USD',
+        debitAccount: 'a',
+        creditAccount: 'b',
+        executeBy: null,
+      },
+      { session: {} }
+    );
+    findStub.revert();
+    updateStub.revert();
+
+    expect(result.status).to.equal('successful');
+    expect(result.accounts[0].balance).to.equal(200);
+    expect(updateStub.mockedDoc.queryData.query).to.deep.equal({ account_id: 'b' });
+    expect(updateStub.mockedDoc.queryData.updateValues.balance).to.equal(330);
+  });
+});
+
+describe('Journal Entries', () => {
+  it('should record a debit and a credit line for a successful result', async () => {
+    const stub = MockModelStubs.JournalEntry.configureStubs({ method: 'create' });
+    const instruction = 'DEBIT 30 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b';
+    const result = processTransaction(
+      {
+        type: 'DEBIT',
+        amount: 30,
+        currency: 'USD',
+        debitAccount: 'a',
+        creditAccount: 'b',
+        executeBy: null,
+      },
+      [
+        { id: 'a', balance: 230, currency: 'USD' },
+        { id: 'b', balance: 300, currency: 'USD' },
+      ]
+    );
+
+    await recordJournalEntry({ instruction, result });
+    stub.revert();
+
+    const journalEntry = stub.mockedDoc.queryData;
+    expect(journalEntry.instruction).to.equal(instruction);
+    expect(journalEntry.status_code).to.equal('AP00');
+    expect(journalEntry.lines).to.deep.equal([
+      {
+        side: 'debit',
+        account_id: 'a',
+        amount: 30,
+        currency: 'USD',
+        balance_before: 230,
+        balance_after: 200,
+      },
+      {
+        side: 'credit',
+        account_id: 'b',
+        amount: 30,
+        currency: 'USD',
+        balance_before: 300,
+        balance_after: 330,
+      },
+    ]);
+  });
+
+  it('should page through entries with a cursor', async () => {
+    let findQuery;
+    const stub = MockModelStubs.JournalEntry.configureStubs({
+      method: 'findMany',
+      overrideFn: (data) => {
+        findQuery = data.query;
+        return [{ _id: '01JB0000000000000000000001' }, { _id: '01JB0000000000000000000002' }];
+      },
+    });
+
+    const response = await listJournalEntries({
+      account: 'a',
+      cursor: '01JB0000000000000000000000',
+      limit: '1',
+    });
+    stub.revert();
+
+    expect(findQuery._id).to.deep.equal({ $gt: '01JB0000000000000000000000' });
+    expect(findQuery['lines.account_id']).to.equal('a');
+    expect(response.entries).to.have.lengthOf(1);
+    expect(response.next_cursor).to.equal('01JB0000000000000000000001');
+  });
+
+  it('should create ids that sort in creation order for the cursor', () => {
+    const ids = Array.from({ length: 50 }, () => ulid());
+
+    expect(ids).to.deep.equal([...ids].sort());
+    expect(new Set(ids).size).to.equal(ids.length);
+  });
+
+  it('should reject a date range that ends before it starts', async () => {
+    let error;
+    try {
+      await listJournalEntries({ from: '2026-10-02', to: '2026-10-01' });
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error.message).to.equal('The from date must not be after the to date');
+  });
+});
+
+describe('Recurring Instructions', () => {
+  it('should parse an EVERY clause with STARTING and UNTIL dates', () => {
+    const result = parseInstruction(
+      'DEBIT 50 GBP FROM ACCOUNT a FOR CREDIT TO ACCOUNT b EVERY MONTH STARTING 2099-11-01 UNTIL 2100-11-01'
+    );
+
+    expect(result.success).to.equal(true);
+    expect(result.data.recurrence).to.deep.equal({
+      frequency: 'MONTH',
+      start_date: '2099-11-01',
+      end_date: '2100-11-01',
+      times: null,
+    });
+  });
+
+  it('should reject an UNTIL date before the STARTING date with DT02', () => {
+    const result = parseInstruction(
+      'DEBIT 50 GBP FROM ACCOUNT a FOR CREDIT TO ACCOUNT b EVERY WEEK STARTING 2099-11-01 UNTIL 2099-10-01'
+    );
+
+    expect(result.success).to.equal(false);
+    expect(result.error.status_code).to.equal('DT02');
+  });
+
+  it('should reject a TIMES count of zero with DT04', () => {
+    const result = parseInstruction(
+      'CREDIT 50 GBP TO ACCOUNT b FOR DEBIT FROM ACCOUNT a EVERY DAY TIMES 0'
+    );
+
+    expect(result.success).to.equal(false);
+    expect(result.error.status_code).to.equal('DT04');
+  });
+
+  it('should reject an unknown frequency with DT08', () => {
+    const result = parseInstruction(
+      'DEBIT 50 GBP FROM ACCOUNT a FOR CREDIT TO ACCOUNT b EVERY YEAR TIMES 3'
+    );
+
+    expect(result.success).to.equal(false);
+    expect(result.error.status_code).to.equal('DT08');
+  });
+
+  it('should not schedule a recurring instruction with an unknown account or currency', async () => {
+    const accounts = [
+      { id: 'a', balance: 500, currency: 'GBP' },
+      { id: 'b', balance: 0, currency: 'GBP' },
+    ];
+    const createStub = MockModelStubs.RecurringInstruction.configureStubs({ method: 'create' });
+
+    const accountResult = await processTransactionService({
+      instruction: 'DEBIT 50 GBP FROM ACCOUNT a FOR CREDIT TO ACCOUNT c EVERY DAY TIMES 3',
+      accounts,
+    });
+    const currencyResult = await processTransactionService({
+      instruction: 'DEBIT 50 KES FROM ACCOUNT a FOR CREDIT TO ACCOUNT b EVERY DAY TIMES 3',
+      accounts,
+    });
+    createStub.revert();
+
+    expect(accountResult.status_code).to.equal('AC03');
+    expect(accountResult.status_reason).to.equal(
+      'Credit account not found in provided accounts list'
+    );
+    expect(currencyResult.status_code).to.equal('CU02');
+    expect(createStub.mockedDoc.wasInvoked).to.equal(false);
+  });
+
+  it('should not accept a recurring instruction inside a batch', () => {
+    const result = executeInstruction(
+      'DEBIT 50 GBP FROM ACCOUNT a FOR CREDIT TO ACCOUNT b EVERY DAY TIMES 3',
+      [
+        { id: 'a', balance: 500, currency: 'GBP' },
+        { id: 'b', balance: 0, currency: 'GBP' },
+      ]
+    );
+
+    expect(result.status).to.equal('failed');
+    expect(result.status_code).to.equal('SY02');
+  });
+
+  it('should keep monthly runs on the start day or the last day of shorter months', () => {
+    expect(getRunDate('2099-01-31', 'MONTH', 1)).to.equal('2099-02-28');
+    expect(getRunDate('2099-01-31', 'MONTH', 2)).to.equal('2099-03-31');
+    expect(getRunDate('2099-01-31', 'WEEK', 1)).to.equal('2099-02-07');
+  });
+
+  it('should record the final run and complete the schedule', async () => {
+    const findStub = MockModelStubs.RecurringInstruction.configureStubs({
+      method: 'findOne',
+      docConfig: {
+        _id: '01JB0000000000000000000000',
+        instruction: 'DEBIT 50 GBP FROM ACCOUNT a FOR CREDIT TO ACCOUNT b EVERY DAY TIMES 2',
+        type: 'DEBIT',
+        amount: 50,
+        currency: 'GBP',
+        debit_account: 'a',
+        credit_account: 'b',
+        source_accounts: [
+          { id: 'a', balance: 450, currency: 'GBP' },
+          { id: 'b', balance: 50, currency: 'GBP' },
+        ],
+        use_ledger: false,
+        frequency: 'DAY',
+        start_date: '2026-10-01',
+        times: 2,
+        runs_completed: 1,
+        next_run_date: '2026-10-02',
+        status: 'pending',
+      },
+    });
+    const runStub = MockModelStubs.RecurringInstructionRun.configureStubs({ method: 'create' });
+    const updateStub = MockModelStubs.RecurringInstruction.configureStubs({ method: 'updateOne' });
+    const earlierRunStub = MockModelStubs.RecurringInstructionRun.configureStubs({
+      method: 'findOne',
+      mockNull: true,
+    });
+    const earlierEntryStub = MockModelStubs.JournalEntry.configureStubs({
+      method: 'findOne',
+      mockNull: true,
+    });
+    const journalStub = MockModelStubs.JournalEntry.configureStubs({ method: 'create' });
+
+    const result = await executeRecurringInstructionRun({ id: '01JB0000000000000000000000' });
+    findStub.revert();
+    runStub.revert();
+    updateStub.revert();
+    earlierRunStub.revert();
+    earlierEntryStub.revert();
+    journalStub.revert();
+
+    const runData = runStub.mockedDoc.queryData;
+    const { updateValues } = updateStub.mockedDoc.queryData;
+
+    expect(result.run_number).to.equal(2);
+    expect(runData.run_date).to.equal('2026-10-02');
+    expect(runData.status_code).to.equal('AP00');
+    expect(journalStub.mockedDoc.queryData).to.include({
+      recurring_instruction: '01JB0000000000000000000000',
+      run_number: 2,
+    });
+    expect(updateValues).to.include({ runs_completed: 2, claimed_run: null });
+    expect(updateValues.status).to.equal('completed');
+    expect(updateValues.next_run_date).to.equal(null);
+    expect(updateValues.source_accounts[0].balance).to.equal(400);
+  });
+
+  it('should finish a retried run from its journal entry without moving money again', async () => {
+    const findStub = MockModelStubs.RecurringInstruction.configureStubs({
+      method: 'findOne',
+      docConfig: {
+        _id: '01JB0000000000000000000000',
+        type: 'DEBIT',
+        amount: 50,
+        currency: 'GBP',
+        debit_account: 'a',
+        credit_account: 'b',
+        source_accounts: [
+          { id: 'a', balance: 500, currency: 'GBP' },
+          { id: 'b', balance: 0, currency: 'GBP' },
+        ],
+        frequency: 'DAY',
+        start_date: '2026-10-01',
+        times: 3,
+        runs_completed: 0,
+        next_run_date: '2026-10-01',
+        status: 'pending',
+      },
+    });
+    const earlierRunStub = MockModelStubs.RecurringInstructionRun.configureStubs({
+      method: 'findOne',
+      mockNull: true,
+    });
+    // The first attempt journaled the transfer, then failed before recording the run
+    const earlierEntryStub = MockModelStubs.JournalEntry.configureStubs({
+      method: 'findOne',
+      overrideFn: () => ({
+        status_code: 'AP00',
+        lines: [
+          { account_id: 'a', balance_before: 500, balance_after: 450, currency: 'GBP' },
+          { account_id: 'b', balance_before: 0, balance_after: 50, currency: 'GBP' },
+        ],
+      }),
+    });
+    const journalStub = MockModelStubs.JournalEntry.configureStubs({ method: 'create' });
+    const runStub = MockModelStubs.RecurringInstructionRun.configureStubs({ method: 'create' });
+    const updateStub = MockModelStubs.RecurringInstruction.configureStubs({ method: 'updateOne' });
+
+    const result = await executeRecurringInstructionRun({ id: '01JB0000000000000000000000' });
+    findStub.revert();
+    earlierRunStub.revert();
+    earlierEntryStub.revert();
+    journalStub.revert();
+    runStub.revert();
+    updateStub.revert();
+
+    expect(result).to.include({ run_number: 1, status: 'successful' });
+    expect(journalStub.mockedDoc.wasInvoked).to.equal(false);
+    expect(runStub.mockedDoc.queryData).to.include({ run_number: 1, status_code: 'AP00' });
+    expect(updateStub.mockedDoc.queryData.updateValues).to.include({ runs_completed: 1 });
+    expect(updateStub.mockedDoc.queryData.updateValues.source_accounts[0].balance).to.equal(450);
+  });
+
+  it('should stop without running when another worker already claimed the run', async () => {
+    const findStub = MockModelStubs.RecurringInstruction.configureStubs({
+      method: 'findOne',
+      docConfig: {
+        _id: '01JB0000000000000000000000',
+        type: 'DEBIT',
+        amount: 50,
+        currency: 'GBP',
+        debit_account: 'a',
+        credit_account: 'b',
+        source_accounts: [],
+        frequency: 'DAY',
+        start_date: '2026-10-01',
+        times: 2,
+        runs_completed: 1,
+        next_run_date: '2026-10-02',
+        status: 'pending',
+      },
+    });
+    const runStub = MockModelStubs.RecurringInstructionRun.configureStubs({ method: 'create' });
+    const updateStub = MockModelStubs.RecurringInstruction.configureStubs({
+      method: 'updateOne',
+      overrideFn: () => ({ acknowledged: true, modifiedCount: 0 }),
+    });
+
+    const result = await executeRecurringInstructionRun({ id: '01JB0000000000000000000000' });
+    findStub.revert();
+    runStub.revert();
+    updateStub.revert();
+
+    expect(result).to.deep.equal({
+      id: '01JB0000000000000000000000',
+      run_number: 2,
+      status: 'skipped',
+    });
+    expect(updateStub.mockedDoc.queryData.query).to.include({ runs_completed: 1 });
+    expect(updateStub.mockedDoc.queryData.query.claimed_run).to.deep.equal({ $ne: 2 });
+    expect(runStub.mockedDoc.wasInvoked).to.equal(false);
+  });
+});
+
+describe('Narration Clauses', () => {
+  const accounts = [
+    { id: 'a', balance: 500, currency: 'USD' },
+    { id: 'b', balance: 0, currency: 'USD' },
+  ];
+
+  it('should parse quoted REF and MEMO clauses after the date', () => {
+    const result = parseInstruction(
+      'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON 2099-01-01 REF "INV-2231" MEMO "October rent"'
+    );
+
+    expect(result.success).to.equal(true);
+    expect(result.data.executeBy).to.equal('2099-01-01');
+    expect(result.data.reference).to.equal('INV-2231');
+    expect(result.data.memo).to.equal('October rent');
+  });
+
+  it('should return the reference and memo on executed and failed transfers', () => {
+    const successResult = executeInstruction(
+      'CREDIT 100 USD TO ACCOUNT b FOR DEBIT FROM ACCOUNT a MEMO "Refund, order #88"',
+      accounts
+    );
+    const failedResult = executeInstruction(
+      'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT c REF "INV-2231"',
+      accounts
+    );
+
+    expect(successResult.status_code).to.equal('AP00');
+    expect(successResult.reference).to.equal(null);
+    expect(successResult.memo).to.equal('Refund, order #88');
+    expect(failedResult.status_code).to.equal('AC03');
+    expect(failedResult.reference).to.equal('INV-2231');
+  });
+
+  it('should reject a reference outside the allowed charset with SY04', () => {
+    const result = executeInstruction(
+      'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b REF "INV#2231"',
+      accounts
+    );
+
+    expect(result.status_code).to.equal('SY04');
+    expect(result.reference).to.equal(null);
+  });
+
+  it('should reject unquoted or repeated narration clauses', () => {
+    const unquotedResult = parseInstruction(
+      'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b MEMO rent'
+    );
+    const repeatedResult = parseInstruction(
+      'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b REF "A1" REF "A2"'
+    );
+
+    expect(unquotedResult.error.status_code).to.equal('SY04');
+    expect(repeatedResult.error.status_code).to.equal('SY02');
+  });
+});
+
+describe('Parse Diagnostics', () => {
+  it('should point at a misspelt keyword with its position and a suggested fix', () => {
+    const result = parseInstruction('DEBIT 100 USD FROM ACCT a FOR CREDIT TO ACCOUNT b');
+
+    expect(result.error.status_code).to.equal('SY02');
+    expect(result.diagnostics).to.deep.equal([
+      {
+        token: 'ACCT',
+        offset: 19,
+        length: 4,
+        expected: ['ACCOUNT'],
+        suggestion: 'expected ACCOUNT after FROM, found ACCT',
+      },
+    ]);
+  });
+
+  it('should point at the end of an instruction that stops short', () => {
+    const instruction = 'CREDIT 100 USD TO ACCOUNT b FOR DEBIT FROM ACCOUNT';
+    const result = parseInstruction(instruction);
+
+    expect(result.error.status_code).to.equal('SY01');
+    expect(result.diagnostics[0]).to.include({
+      token: null,
+      offset: instruction.length,
+      length: 0,
+      suggestion: 'expected account id after ACCOUNT, found end of instruction',
+    });
+  });
+
+  it('should point at the split leg that is malformed', () => {
+    const result = parseInstruction(
+      'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNTS b:60, c-40'
+    );
+
+    expect(result.diagnostics[0]).to.include({ token: 'c-40', offset: 58, length: 4 });
+  });
+
+  it('should only add diagnostics to responses when requested', () => {
+    const accounts = [{ id: 'a', balance: 500, currency: 'USD' }];
+    const instruction = 'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON 2026-13-01';
+
+    const defaultResult = executeInstruction(instruction, accounts);
+    const diagnosedResult = executeInstruction(instruction, accounts, { includeDiagnostics: true });
+
+    expect(defaultResult).to.not.have.property('diagnostics');
+    expect(diagnosedResult.status_code).to.equal('DT01');
+    expect(diagnosedResult.diagnostics[0].token).to.equal('2026-13-01');
+  });
+});
+
+describe('Keyword Matching', () => {
+  const accounts = [
+    { id: 'a', balance: 500, currency: 'USD' },
+    { id: 'b', balance: 0, currency: 'USD' },
+  ];
+
+  it('should measure transposed letters as a single edit', () => {
+    expect(getEditDistance('FROM', 'FROM')).to.equal(0);
+    expect(getEditDistance('FORM', 'FROM')).to.equal(1);
+    expect(getEditDistance('ACOUNT', 'ACCOUNT')).to.equal(1);
+    expect(getEditDistance('TO', 'BY')).to.equal(2);
+  });
+
+  it('should reject a near-miss keyword in strict mode with a suggestion', () => {
+    const result = parseInstruction('DEBIT 100 USD FROM ACOUNT a FOR CREDIT TO ACCOUNT b');
+
+    expect(result.success).to.equal(false);
+    expect(result.error.status_code).to.equal('SY02');
+    expect(result.error.status_reason).to.include('Did you mean ACCOUNT instead of ACOUNT?');
+    expect(result.corrections).to.deep.equal([]);
+  });
+
+  it('should correct near-miss keywords in lenient mode and report the corrections', () => {
+    const result = executeInstruction(
+      'debt 100 USD FRM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      accounts,
+      {
+        keywordMatching: 'lenient',
+      }
+    );
+
+    expect(result.status).to.equal('successful');
+    expect(result.type).to.equal('DEBIT');
+    expect(result.corrections).to.deep.equal([
+      { token: 'debt', offset: 0, length: 4, corrected_to: 'DEBIT' },
+      { token: 'FRM', offset: 13, length: 3, corrected_to: 'FROM' },
+    ]);
+  });
+
+  it('should return the keyword a word is taken as without changing the words', () => {
+    const words = ['debt', '100', 'USD', 'FRM'];
+    const matcher = createKeywordMatcher('lenient');
+
+    expect(matcher.match(words, 0, ['DEBIT', 'CREDIT'])).to.equal('DEBIT');
+    expect(matcher.match(words, 0, ['DEBIT', 'CREDIT'])).to.equal('DEBIT');
+    expect(matcher.matches(words, 3, 'FROM')).to.equal(true);
+    expect(words).to.deep.equal(['debt', '100', 'USD', 'FRM']);
+    expect(matcher.corrections.map((correction) => correction.wordIndex)).to.deep.equal([0, 3]);
+  });
+
+  it('should leave two-letter keywords and exact ACCOUNT or ACCOUNTS routing untouched', () => {
+    const typoResult = parseInstruction('DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TI ACCOUNT b', {
+      keywordMatching: 'lenient',
+    });
+    const splitResult = parseInstruction(
+      'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNTS b:60,c:40',
+      {
+        keywordMatching: 'lenient',
+      }
+    );
+
+    expect(typoResult.success).to.equal(false);
+    expect(splitResult.success).to.equal(true);
+    expect(splitResult.data.credits).to.have.length(2);
+    expect(splitResult.corrections).to.deep.equal([]);
+  });
+});
+
+describe('Instruction Grammar', () => {
+  const TRANSFER_GRAMMAR = {
+    type: 'TRANSFER',
+    sequence: [
+      keywords('TRANSFER'),
+      slot('amount', 'amount'),
+      slot('currency', 'currency'),
+      keywords('FROM'),
+      slot('account id', 'debitAccount'),
+      keywords('TO'),
+      slot('account id', 'creditAccount'),
+    ],
+    clauses: [clause(['ON'], [slot('date', 'executeBy')])],
+    closingKeywords: [],
+  };
+
+  it('should parse words against a grammar definition', () => {
+    const result = parseWithGrammar(
+      TRANSFER_GRAMMAR,
+      'TRANSFER 10 usd FROM a TO b ON 2030-01-01'.split(' '),
+      createKeywordMatcher(),
+      STATUS_CODES
+    );
+
+    expect(result).to.deep.equal({
+      success: true,
+      data: {
+        type: 'TRANSFER',
+        amount: 10,
+        currency: 'USD',
+        debitAccount: 'a',
+        creditAccount: 'b',
+        executeBy: '2030-01-01',
+      },
+    });
+  });
+
+  it('should report slot, keyword and missing-word errors in sequence order', () => {
+    const parse = (instruction) =>
+      parseWithGrammar(
+        TRANSFER_GRAMMAR,
+        instruction.split(' '),
+        createKeywordMatcher(),
+        STATUS_CODES
+      );
+
+    expect(parse('TRANSFER 10 USD FROM a TO a').error.status_code).to.equal('AC02');
+    expect(parse('TRANSFER ten USD INTO a TO b').error.status_code).to.equal('AM01');
+    expect(parse('TRANSFER 10 USD INTO a TO b').diagnostic).to.include({ wordIndex: 3 });
+    expect(parse('TRANSFER 10 USD FROM a').error.status_code).to.equal('SY01');
+    expect(parse('TRANSFER 10 USD FROM a TO b ON').error.status_code).to.equal('DT01');
+    expect(parse('TRANSFER 10 USD FROM a TO b AT').diagnostic.expected).to.deep.equal(['ON']);
+  });
+
+  it('should describe a sequence in the words a user would write', () => {
+    expect(describeSequence(TRANSFER_GRAMMAR.sequence)).to.deep.equal([
+      'TRANSFER',
+      'amount',
+      'currency',
+      'FROM',
+      'account id',
+      'TO',
+      'account id',
+    ]);
+  });
+});
+
+describe('Natural Dates', () => {
+  // A Wednesday
+  const clock = createFixedClock('2026-09-16T10:00:00Z');
+  const base = 'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON';
+  const parseOn = (dateText) => parseInstruction(`${base} ${dateText}`, { clock });
+
+  it('should resolve relative and written dates to a UTC date and keep the text', () => {
+    expect(parseOn('TOMORROW').data).to.include({
+      executeBy: '2026-09-17',
+      executeByText: 'TOMORROW',
+    });
+    expect(parseOn('next friday').data.executeBy).to.equal('2026-09-18');
+    expect(parseOn('NEXT WEDNESDAY').data.executeBy).to.equal('2026-09-23');
+    expect(parseOn('20 SEP 2026').data).to.include({
+      executeBy: '2026-09-20',
+      executeByText: '20 SEP 2026',
+    });
+    expect(parseOn('2026-09-20T23:30:00-05:00').data.executeBy).to.equal('2026-09-21');
+    expect(parseOn('2026-09-20T00:30+01:00').data.executeBy).to.equal('2026-09-19');
+  });
+
+  it('should execute TODAY now and keep a relative future date pending', () => {
+    const accounts = [
+      { id: 'a', balance: 500, currency: 'USD' },
+      { id: 'b', balance: 0, currency: 'USD' },
+    ];
+
+    const todayResult = executeInstruction(`${base} TODAY`, accounts, { clock });
+    const tomorrowResult = executeInstruction(`${base} TOMORROW`, accounts, { clock });
+
+    expect(todayResult).to.include({
+      status: 'successful',
+      execute_by: '2026-09-16',
+      execute_by_text: 'TODAY',
+    });
+    expect(tomorrowResult).to.include({
+      status: 'pending',
+      execute_by: '2026-09-17',
+      execute_by_text: 'TOMORROW',
+    });
+  });
+
+  it('should reject ambiguous, past and unknown dates with DT codes', () => {
+    expect(parseOn('FRIDAY').error.status_code).to.equal('DT05');
+    expect(parseOn('20 SEP').error.status_code).to.equal('DT05');
+    expect(parseOn('03/04/2026').error.status_code).to.equal('DT05');
+    expect(parseOn('2026-09-20T10:00:00').error.status_code).to.equal('DT05');
+    expect(parseOn('LAST MONDAY').error.status_code).to.equal('DT06');
+    expect(parseOn('YESTERDAY').error.status_code).to.equal('DT06');
+    expect(parseOn('NEXT WEEK').error.status_code).to.equal('DT01');
+    expect(parseOn('31 FEB 2027').error.status_code).to.equal('DT01');
+    expect(parseOn('FRIDAY').diagnostics[0]).to.include({ token: 'FRIDAY', offset: 56 });
+  });
+
+  it('should compare execution dates against the injected clock', () => {
+    expect(isFutureDate(parseDate('2026-09-17'), clock)).to.equal(true);
+    expect(isFutureDate(parseDate('2026-09-16'), clock)).to.equal(false);
+    expect(getCurrentUTCDate(clock).toISOString()).to.equal('2026-09-16T00:00:00.000Z');
+  });
+});
+
+describe('Business-Day Calendars', () => {
+  // A Wednesday
+  const clock = createFixedClock('2026-09-16T10:00:00Z');
+  const base = 'DEBIT 100 NGN FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON';
+  const accounts = [
+    { id: 'a', balance: 500, currency: 'NGN' },
+    { id: 'b', balance: 0, currency: 'NGN' },
+  ];
+  const holidays = [
+    { currency: 'NGN', date: '2026-10-01', name: 'Independence Day' },
+    { currency: 'USD', date: '2026-09-21', name: null },
+  ];
+
+  it('should roll a weekend date forward to the next business day and say why', () => {
+    const result = executeInstruction(`${base} 2026-09-19`, accounts, { clock, holidays });
+
+    expect(result).to.include({ status: 'pending', execute_by: '2026-09-21' });
+    expect(result.execute_by_adjustment).to.deep.equal({
+      requested_date: '2026-09-19',
+      reason: '2026-09-19 falls on a weekend for NGN',
+    });
+  });
+
+  it("should skip holidays of the instruction's currency only", () => {
+    const holidayResult = executeInstruction(`${base} 2026-10-01`, accounts, { clock, holidays });
+    const businessDayResult = executeInstruction(`${base} 2026-09-21`, accounts, {
+      clock,
+      holidays,
+    });
+
+    expect(holidayResult.execute_by).to.equal('2026-10-02');
+    expect(holidayResult.execute_by_adjustment.reason).to.equal(
+      '2026-10-01 is a public holiday for NGN (Independence Day)'
+    );
+    expect(businessDayResult.execute_by).to.equal('2026-09-21');
+    expect(businessDayResult).to.not.have.property('execute_by_adjustment');
+    expect(
+      rollForwardToBusinessDay('2026-10-02', 'AED', [], { AED: { weekend: ['FRIDAY'] } })
+    ).to.deep.equal({ date: '2026-10-03', reason: '2026-10-02 falls on a weekend for AED' });
+  });
+
+  it('should reject a non-business day with DT07 when the instruction says STRICT', () => {
+    const result = executeInstruction(`${base} 2026-09-19 STRICT`, accounts, { clock, holidays });
+    const splitResult = executeInstruction(
+      'DEBIT 100 NGN FROM ACCOUNT a FOR CREDIT TO ACCOUNTS b:100 ON 2026-09-19 STRICT',
+      accounts,
+      { clock, holidays }
+    );
+
+    expect(parseInstruction(`${base} 2026-09-19 STRICT`, { clock }).data.strictDate).to.equal(true);
+    expect(result).to.include({ status: 'failed', status_code: 'DT07', execute_by: '2026-09-19' });
+    expect(result.status_reason).to.equal(
+      'Execution date is not a business day: 2026-09-19 falls on a weekend for NGN'
+    );
+    expect(splitResult.status_code).to.equal('DT07');
+    expect(executeInstruction(`${base} 2026-09-21 STRICT`, accounts, { clock })).to.include({
+      status: 'pending',
+      strict_date: true,
+    });
+  });
+
+  it('should only accept STRICT after an execution date', () => {
+    const result = parseInstruction('DEBIT 100 NGN FROM ACCOUNT a FOR CREDIT TO ACCOUNT b STRICT', {
+      clock,
+    });
+
+    expect(result.error.status_code).to.equal('SY02');
+  });
+});
+
+describe('Localised Keywords', () => {
+  const accounts = [
+    { id: 'a', balance: 500, currency: 'USD' },
+    { id: 'b', balance: 0, currency: 'USD' },
+  ];
+
+  it('should parse French keywords to the same structure as English ones', () => {
+    const english = parseInstruction('DEBIT 30 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b');
+    const french = parseInstruction('DÉBITER 30 USD DU COMPTE a POUR CRÉDITER LE COMPTE b', {
+      locale: 'fr',
+    });
+    const unaccented = parseInstruction('crediter 30 USD AU COMPTE b POUR DEBITER DU COMPTE a', {
+      locale: 'fr',
+    });
+
+    expect(french).to.deep.equal(english);
+    expect(unaccented.data).to.include({ type: 'CREDIT', debitAccount: 'a', creditAccount: 'b' });
+    expect(
+      parseInstruction('COMOT 30 USD FROM ACCOUNT a MAKE PUT ENTER ACCOUNT b', { locale: 'pcm' })
+        .success
+    ).to.equal(true);
+  });
+
+  it('should parse Yoruba and Hausa keywords, with or without their accents', () => {
+    const english = parseInstruction('DEBIT 30 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b');
+    const yoruba = parseInstruction('YỌ 30 USD LÁTI AKỌỌLẸ a FÚN FI SÍ AKỌỌLẸ b', {
+      locale: 'yo',
+    });
+    const unaccentedYoruba = parseInstruction('yo 30 USD lati akoole a fun fi si akoole b', {
+      locale: 'yo',
+    });
+    const hausa = parseInstruction('CIRE 30 USD DAGA ASUSUN a DOMIN SAKA ZUWA ASUSU b', {
+      locale: 'ha',
+    });
+
+    expect(yoruba).to.deep.equal(english);
+    expect(unaccentedYoruba).to.deep.equal(english);
+    expect(hausa).to.deep.equal(english);
+    expect(
+      executeInstruction('SAKA 30 USD ZUWA ASUSU b DOMIN CIRE DAGA ASUSU a', accounts, {
+        locale: 'ha',
+      }).status
+    ).to.equal('successful');
+  });
+
+  it('should only accept the keywords of the chosen locale besides English', () => {
+    const result = parseInstruction('DÉBITER 30 USD DU COMPTE a POUR CRÉDITER LE COMPTE b');
+    const typoResult = parseInstruction('DEBITER 30 USD DU COMPTE a POUR CRÉDITER LE COMPTR b', {
+      locale: 'fr',
+    });
+
+    expect(result.error.status_code).to.equal('SY03');
+    expect(typoResult.error.status_reason).to.include('Did you mean COMPTE instead of COMPTR?');
+  });
+
+  it('should report status reasons in the locale and fall back to English', () => {
+    const result = executeInstruction(
+      'DÉBITER 900 USD DU COMPTE a POUR CRÉDITER LE COMPTE b',
+      accounts,
+      { locale: 'fr' }
+    );
+
+    expect(result.status_code).to.equal('AC01');
+    expect(localiseStatusReason(result.status_reason, 'fr')).to.equal(
+      'Fonds insuffisants sur le compte à débiter: has 500 USD, needs 900 USD'
+    );
+    expect(localiseStatusReason(result.status_reason, 'ha')).to.equal(
+      'Babu isasshen kuɗi a asusun da kuɗi ke fita daga ciki: has 500 USD, needs 900 USD'
+    );
+    expect(localiseStatusReason('Hold not found', 'yo')).to.equal('Hold not found');
+  });
+
+  it('should have status reasons for every locale it reads keywords in', () => {
+    SUPPORTED_LOCALES.filter((locale) => locale !== 'en').forEach((locale) => {
+      expect(localiseStatusReason('Transaction executed successfully', locale)).to.not.equal(
+        'Transaction executed successfully'
+      );
+    });
+  });
+
+  it('should pick the most preferred supported locale from Accept-Language', () => {
+    expect(getAcceptedLocale('fr-FR,fr;q=0.9,en;q=0.8')).to.equal('fr');
+    expect(getAcceptedLocale('de-DE, en;q=0.5, pcm;q=0.7')).to.equal('pcm');
+    expect(getAcceptedLocale('de-DE')).to.equal(null);
+    expect(getAcceptedLocale(undefined)).to.equal(null);
+  });
+});
+
+describe('Reversals and Refunds', () => {
+  const transactionId = '01JB0000000000000000000001';
+  const accounts = [
+    { id: 'a', balance: 400, currency: 'USD' },
+    { id: 'b', balance: 100, currency: 'USD' },
+  ];
+  const originalTransaction = {
+    _id: transactionId,
+    type: 'DEBIT',
+    amount: 100,
+    currency: 'USD',
+    debit_account: 'a',
+    credit_account: 'b',
+    lines: [
+      { side: 'debit', account_id: 'a', amount: 100, currency: 'USD' },
+      { side: 'credit', account_id: 'b', amount: 100, currency: 'USD' },
+    ],
+  };
+
+  // Runs an instruction against the original transaction and the adjustments already made to it
+  async function runAdjustment(instruction, transaction, adjustments = []) {
+    const findOneStub = MockModelStubs.JournalEntry.configureStubs({
+      method: 'findOne',
+      overrideFn: () => transaction,
+    });
+    const findManyStub = MockModelStubs.JournalEntry.configureStubs({
+      method: 'findMany',
+      overrideFn: () => adjustments,
+    });
+
+    const result = await processTransactionService({ instruction, accounts });
+    findOneStub.revert();
+    findManyStub.revert();
+
+    return result;
+  }
+
+  it('should parse REVERSE and REFUND instructions with their narration', () => {
+    const reverseResult = parseInstruction(
+      `REVERSE TRANSACTION ${transactionId.toLowerCase()} REF "RV-1"`
+    );
+    const refundResult = parseInstruction(`REFUND 20 USD OF TRANSACTION ${transactionId}`);
+
+    expect(reverseResult.data).to.include({
+      type: 'REVERSE',
+      originalTransaction: transactionId,
+      amount: null,
+      reference: 'RV-1',
+    });
+    expect(refundResult.data).to.include({
+      type: 'REFUND',
+      amount: 20,
+      currency: 'USD',
+      originalTransaction: transactionId,
+    });
+    expect(parseInstruction('REVERSE TRANSACTION 42').error.status_code).to.equal('TX01');
+    expect(
+      parseInstruction(`REFUND 20 USD FOR TRANSACTION ${transactionId}`).diagnostics[0]
+    ).to.include({
+      token: 'FOR',
+    });
+  });
+
+  it('should refund part of a transaction back to its debit account', async () => {
+    const result = await runAdjustment(
+      `REFUND 20 USD OF TRANSACTION ${transactionId}`,
+      originalTransaction,
+      [{ type: 'REFUND', amount: 30 }]
+    );
+
+    expect(result).to.include({
+      type: 'REFUND',
+      amount: 20,
+      debit_account: 'b',
+      credit_account: 'a',
+      status: 'successful',
+      original_transaction: transactionId,
+    });
+    expect(result.accounts.map((account) => account.balance)).to.deep.equal([420, 80]);
+  });
+
+  it('should reject a refund above what is left to refund with TX05', async () => {
+    const result = await runAdjustment(
+      `REFUND 80 USD OF TRANSACTION ${transactionId}`,
+      originalTransaction,
+      [{ type: 'REFUND', amount: 30 }]
+    );
+
+    expect(result.status_code).to.equal('TX05');
+    expect(result.status_reason).to.equal(
+      'Refund exceeds the refundable amount of the original transaction: 70 USD left to refund'
+    );
+  });
+
+  it('should reverse what has not been refunded, and only once', async () => {
+    const reverseResult = await runAdjustment(
+      `REVERSE TRANSACTION ${transactionId}`,
+      originalTransaction,
+      [{ type: 'REFUND', amount: 30 }]
+    );
+    const repeatResult = await runAdjustment(
+      `REVERSE TRANSACTION ${transactionId}`,
+      originalTransaction,
+      [{ type: 'REVERSE', amount: 100 }]
+    );
+
+    expect(reverseResult).to.include({ status: 'successful', amount: 70, currency: 'USD' });
+    expect(repeatResult.status_code).to.equal('TX04');
+  });
+
+  it('should record only one of two reversals submitted at the same time', async () => {
+    // Both reversals are checked before either is recorded, so both are numbered as the first
+    // adjustment; the unique index turns the second journal write away
+    const createStub = MockModelStubs.JournalEntry.configureStubs({
+      method: 'create',
+      overrideFn: (data) => {
+        if (createStub.mockedDoc.queryData) {
+          const error = new Error();
+          error.code = '11000';
+          error.keyPattern = { original_transaction: 1, adjustment_sequence: 1 };
+          throw error;
+        }
+        return { ...data, _id: '01JB0000000000000000000002' };
+      },
+    });
+
+    const firstResult = await runAdjustment(
+      `REVERSE TRANSACTION ${transactionId}`,
+      originalTransaction
+    );
+    const secondResult = await runAdjustment(
+      `REVERSE TRANSACTION ${transactionId}`,
+      originalTransaction
+    );
+    createStub.revert();
+
+    expect(firstResult.status).to.equal('successful');
+    expect(createStub.mockedDoc.queryData).to.include({
+      original_transaction: transactionId,
+      adjustment_sequence: 1,
+    });
+    expect(secondResult.status_code).to.equal('TX06');
+    expect(secondResult.accounts.map((account) => account.balance)).to.deep.equal([400, 100]);
+  });
+
+  it('should reject missing and split originals, and adjustments in a batch', async () => {
+    const missingResult = await runAdjustment(`REVERSE TRANSACTION ${transactionId}`, null);
+    const splitResult = await runAdjustment(`REVERSE TRANSACTION ${transactionId}`, {
+      ...originalTransaction,
+      credit_account: null,
+    });
+    const batchResult = await processBatchService({
+      accounts,
+      instructions: [`REVERSE TRANSACTION ${transactionId}`],
+    });
+
+    expect(missingResult.status_code).to.equal('TX02');
+    expect(splitResult.status_code).to.equal('TX03');
+    expect(batchResult.results[0].status_reason).to.equal(
+      'Reversals and refunds must be submitted on their own'
+    );
+  });
+});
+
+describe('Holds', () => {
+  const holdId = '01JC0000000000000000000001';
+  const accounts = [
+    { id: 'a', balance: 400, currency: 'USD' },
+    { id: 'b', balance: 100, currency: 'USD' },
+  ];
+  const activeHold = {
+    _id: holdId,
+    amount: 150,
+    currency: 'USD',
+    debit_account: 'a',
+    credit_account: 'b',
+    status: 'active',
+    expires_at: Date.now() + 3600000,
+  };
+
+  // Runs an instruction with the given holds stored, returning the result and the hold updates
+  async function runWithHolds(instruction, holds) {
+    const findManyStub = MockModelStubs.Hold.configureStubs({
+      method: 'findMany',
+      overrideFn: () => holds.filter((hold) => hold.status === 'active'),
+    });
+    const findOneStub = MockModelStubs.Hold.configureStubs({
+      method: 'findOne',
+      overrideFn: () => holds[0] || null,
+    });
+    const createStub = MockModelStubs.Hold.configureStubs({ method: 'create' });
+    const updateStub = MockModelStubs.Hold.configureStubs({ method: 'updateOne' });
+
+    const result = await processTransactionService({ instruction, accounts });
+    findManyStub.revert();
+    findOneStub.revert();
+    createStub.revert();
+    updateStub.revert();
+
+    return { result, createStub, updateStub };
+  }
+
+  it('should parse HOLD, CAPTURE and RELEASE instructions', () => {
+    const holdResult = parseInstruction('HOLD 100 USD ON ACCOUNT a FOR ACCOUNT b MEMO "Hotel"');
+    const captureResult = parseInstruction(`CAPTURE HOLD ${holdId.toLowerCase()}`);
+
+    expect(holdResult.data).to.include({
+      type: 'HOLD',
+      amount: 100,
+      currency: 'USD',
+      debitAccount: 'a',
+      creditAccount: 'b',
+      memo: 'Hotel',
+    });
+    expect(captureResult.data).to.include({ type: 'CAPTURE', holdId, amount: null });
+    expect(parseInstruction('RELEASE HOLD 42').error.status_code).to.equal('HD01');
+    expect(parseInstruction('HOLD 100 USD FROM ACCOUNT a FOR ACCOUNT b').diagnostics[0]).to.include(
+      { token: 'FROM' }
+    );
+  });
+
+  it('should reserve funds without moving them and show the available balance', async () => {
+    const { result, createStub } = await runWithHolds(
+      'HOLD 100 USD ON ACCOUNT a FOR ACCOUNT b',
+      []
+    );
+
+    expect(result).to.include({ status: 'held', status_code: 'AP06', id: 'sample-_id' });
+    expect(result.expires_at).to.be.a('number');
+    expect(result.accounts[0]).to.include({ id: 'a', balance: 400, available_balance: 300 });
+    expect(createStub.mockedDoc.queryData).to.include({ status: 'active', debit_account: 'a' });
+  });
+
+  it('should only let transfers spend the available balance', async () => {
+    const { result } = await runWithHolds('DEBIT 300 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b', [
+      activeHold,
+    ]);
+    const holdResult = await runWithHolds('HOLD 300 USD ON ACCOUNT a FOR ACCOUNT b', [activeHold]);
+
+    expect(result.status_code).to.equal('AC01');
+    expect(result.status_reason).to.equal(
+      'Insufficient funds in debit account: has 250 USD, needs 300 USD'
+    );
+    expect(result.accounts[0]).to.include({ balance: 400, available_balance: 250 });
+    expect(holdResult.result.status_code).to.equal('AC01');
+  });
+
+  it('should capture the held amount to the credit account and close the hold', async () => {
+    const { result, updateStub } = await runWithHolds(`CAPTURE HOLD ${holdId}`, [activeHold]);
+
+    expect(result).to.include({
+      type: 'CAPTURE',
+      amount: 150,
+      debit_account: 'a',
+      credit_account: 'b',
+      status: 'successful',
+      hold_id: holdId,
+    });
+    expect(result.accounts).to.deep.equal([
+      { id: 'a', balance: 250, balance_before: 400, currency: 'USD', available_balance: 250 },
+      { id: 'b', balance: 250, balance_before: 100, currency: 'USD', available_balance: 250 },
+    ]);
+    expect(updateStub.mockedDoc.queryData.query).to.deep.equal({ _id: holdId, status: 'active' });
+    expect(updateStub.mockedDoc.queryData.updateValues.status).to.equal('captured');
+  });
+
+  it('should move nothing when a concurrent settlement closed the hold first', async () => {
+    const accountsStub = MockModelStubs.Account.configureStubs({
+      method: 'findMany',
+      overrideFn: () => [
+        { account_id: 'a', balance: 400, currency: 'USD' },
+        { account_id: 'b', balance: 100, currency: 'USD' },
+      ],
+    });
+    const holdsStub = MockModelStubs.Hold.configureStubs({
+      method: 'findMany',
+      overrideFn: () => [],
+    });
+    const findOneStub = MockModelStubs.Hold.configureStubs({
+      method: 'findOne',
+      overrideFn: () => ({ ...activeHold, status: 'captured' }),
+    });
+    const updateStub = MockModelStubs.Hold.configureStubs({
+      method: 'updateOne',
+      overrideFn: () => ({ acknowledged: true, modifiedCount: 0 }),
+    });
+    const journalStub = MockModelStubs.JournalEntry.configureStubs({ method: 'create' });
+
+    const ledgerResult = await executeLedgerTransaction(
+      `CAPTURE HOLD ${holdId}`,
+      {
+        ...parseInstruction(`CAPTURE HOLD ${holdId}`).data,
+        amount: 150,
+        currency: 'USD',
+        debitAccount: 'a',
+        creditAccount: 'b',
+        fee: 0,
+        feeBearer: null,
+      },
+      { session: {} }
+    );
+    const clientResult = await processTransactionService({
+      instruction: `RELEASE HOLD ${holdId}`,
+      accounts,
+    });
+    accountsStub.revert();
+    holdsStub.revert();
+    findOneStub.revert();
+    updateStub.revert();
+    journalStub.revert();
+
+    expect(ledgerResult).to.include({ status: 'failed', status_code: 'HD03' });
+    expect(ledgerResult.accounts[0]).to.include({ id: 'a', balance: 400 });
+    expect(journalStub.mockedDoc.wasInvoked).to.equal(false);
+    expect(clientResult.status_reason).to.equal(
+      'Only active holds can be captured or released: hold is captured'
+    );
+  });
+
+  it('should release active holds only, and reject holds in a batch', async () => {
+    const releaseResult = await runWithHolds(`RELEASE HOLD ${holdId}`, [activeHold]);
+    const capturedResult = await runWithHolds(`CAPTURE HOLD ${holdId}`, [
+      { ...activeHold, status: 'captured' },
+    ]);
+    const expiredResult = await runWithHolds(`CAPTURE HOLD ${holdId}`, [
+      { ...activeHold, expires_at: Date.now() - 1000 },
+    ]);
+    const missingResult = await runWithHolds(`RELEASE HOLD ${holdId}`, []);
+    const batchResult = await processBatchService({
+      accounts,
+      instructions: [`RELEASE HOLD ${holdId}`],
+    });
+
+    expect(releaseResult.result).to.include({ status: 'released', status_code: 'AP07' });
+    expect(releaseResult.result.accounts[0]).to.include({ balance: 400, available_balance: 400 });
+    expect(releaseResult.updateStub.mockedDoc.queryData.updateValues.status).to.equal('released');
+    expect(capturedResult.result.status_reason).to.equal(
+      'Only active holds can be captured or released: hold is captured'
+    );
+    expect(expiredResult.result.status_code).to.equal('HD03');
+    expect(missingResult.result.status_code).to.equal('HD02');
+    expect(batchResult.results[0].status_reason).to.equal(
+      'Holds, captures and releases must be submitted on their own'
+    );
+  });
+
+  it('should place a ledger hold inside the balance transaction', async () => {
+    const findStub = MockModelStubs.Account.configureStubs({
+      method: 'findMany',
+      overrideFn: () => [
+        { account_id: 'a', balance: 400, currency: 'USD' },
+        { account_id: 'b', balance: 100, currency: 'USD' },
+      ],
+    });
+    const holdsStub = MockModelStubs.Hold.configureStubs({
+      method: 'findMany',
+      overrideFn: () => [],
+    });
+    const createStub = MockModelStubs.Hold.configureStubs({ method: 'create' });
+    const session = {};
+
+    const result = await executeLedgerTransaction(
+      'HOLD 100 USD ON ACCOUNT a FOR ACCOUNT b',
+      parseInstruction('HOLD 100 USD ON ACCOUNT a FOR ACCOUNT b').data,
+      { session }
+    );
+    findStub.revert();
+    holdsStub.revert();
+    createStub.revert();
+
+    expect(result).to.include({ id: 'sample-_id', status: 'held', status_code: 'AP06' });
+    expect(result.expires_at).to.be.a('number');
+    expect(createStub.mockedDoc.queryData).to.include({ status: 'active', debit_account: 'a' });
+    // The holds are read after the accounts are locked, in the same transaction
+    expect(holdsStub.mockedDoc.queryData.options.session).to.equal(session);
+  });
+
+  it('should count active holds when a scheduled client-balance instruction runs', async () => {
+    const findStub = MockModelStubs.ScheduledInstruction.configureStubs({
+      method: 'findOne',
+      docConfig: {
+        _id: '01JB0000000000000000000000',
+        type: 'DEBIT',
+        amount: 300,
+        currency: 'USD',
+        debit_account: 'a',
+        credit_account: 'b',
+        execute_by: '2020-01-01',
+        source_accounts: accounts,
+        status: 'pending',
+      },
+    });
+    const holdsStub = MockModelStubs.Hold.configureStubs({
+      method: 'findMany',
+      overrideFn: () => [activeHold],
+    });
+    const updateStub = MockModelStubs.ScheduledInstruction.configureStubs({
+      method: 'updateOne',
+    });
+
+    const result = await executeScheduledInstructionService({ id: '01JB0000000000000000000000' });
+    findStub.revert();
+    holdsStub.revert();
+    updateStub.revert();
+
+    expect(result.status).to.equal('failed');
+    expect(updateStub.mockedDoc.queryData.updateValues.status_reason).to.equal(
+      'Insufficient funds in debit account: has 250 USD, needs 300 USD'
+    );
+  });
+});
+
+describe('Balance Limits', () => {
+  const instruction = (amount) => `DEBIT ${amount} USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b`;
+
+  it('should let an account with an overdraft limit go negative up to the limit', () => {
+    const accounts = [
+      { id: 'a', balance: 100, currency: 'USD', overdraft_limit: 150 },
+      { id: 'b', balance: 0, currency: 'USD' },
+    ];
+
+    const result = executeInstruction(instruction(250), accounts);
+    const failedResult = executeInstruction(instruction(300), accounts);
+
+    expect(result.status).to.equal('successful');
+    expect(result.accounts[0].balance).to.equal(-150);
+    expect(failedResult.status_code).to.equal('AC01');
+    expect(failedResult.status_reason).to.equal(
+      'Insufficient funds in debit account: has 100 USD, needs 300 USD, which would exceed the overdraft limit of 150 USD by 50 USD'
+    );
+  });
+
+  it('should keep an account with a minimum balance above it', () => {
+    const accounts = [
+      { id: 'a', balance: 100, currency: 'USD', min_balance: 30 },
+      { id: 'b', balance: 0, currency: 'USD' },
+    ];
+
+    const result = executeInstruction(instruction(70), accounts);
+    const failedResult = executeInstruction(instruction(80.5), accounts);
+
+    expect(result.status).to.equal('successful');
+    expect(failedResult.status_reason).to.equal(
+      'Insufficient funds in debit account: has 100 USD, needs 80.5 USD, which would go below the minimum balance of 30 USD by 10.5 USD'
+    );
+  });
+
+  it('should accept the limits in the service spec and reject a negative overdraft limit', async () => {
+    const accounts = [
+      { id: 'a', balance: 10, currency: 'USD', overdraft_limit: 40, min_balance: -20 },
+      { id: 'b', balance: 0, currency: 'USD' },
+    ];
+
+    const result = await processTransactionService({ instruction: instruction(35), accounts });
+    let error;
+    try {
+      await processTransactionService({
+        instruction: instruction(5),
+        accounts: [{ ...accounts[0], overdraft_limit: -40 }, accounts[1]],
+      });
+    } catch (e) {
+      error = e;
+    }
+
+    // With both limits the higher floor, -20, applies
+    expect(result.status_reason).to.equal(
+      'Insufficient funds in debit account: has 10 USD, needs 35 USD, which would go below the minimum balance of -20 USD by 5 USD'
+    );
+    expect(error.errorCode).to.equal('SPCL_VALIDATION');
+    expect(error.message).to.include('overdraft_limit');
+  });
+});
+
+describe('Transaction Limits', () => {
+  const clock = createFixedClock('2026-09-16T10:00:00Z');
+  const now = clock.now().getTime();
+  const hour = 60 * 60 * 1000;
+  const accounts = [
+    { id: 'a', balance: 5000, currency: 'USD' },
+    { id: 'b', balance: 0, currency: 'USD' },
+  ];
+  const instruction = (amount) => `DEBIT ${amount} USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b`;
+
+  // Runs an instruction against the given journaled debits from account a
+  async function runWithHistory(instructionText, limits, history) {
+    const stub = MockModelStubs.JournalEntry.configureStubs({
+      method: 'findMany',
+      overrideFn: () => history.map((entry) => ({ debit_account: 'a', currency: 'USD', ...entry })),
+    });
+
+    const result = await processTransactionService(
+      { instruction: instructionText, accounts },
+      { clock, limits }
+    );
+    stub.revert();
+
+    return result;
+  }
+
+  it('should cap the amount of a single transfer with LM01', () => {
+    const limits = [{ name: 'usd-single', type: 'amount', currency: 'USD', max: 1000 }];
+
+    const result = executeInstruction(instruction(1000.01), accounts, { limits, clock });
+
+    expect(executeInstruction(instruction(1000), accounts, { limits, clock }).status).to.equal(
+      'successful'
+    );
+    expect(result.status_code).to.equal('LM01');
+    expect(result.status_reason).to.equal(
+      'Amount exceeds the single transfer limit (usd-single): max 1000 USD'
+    );
+    expect(result.limit).to.include({ name: 'usd-single', resets_at: null });
+  });
+
+  it('should count debits in the rolling window and say when it resets with LM02', async () => {
+    const limits = [{ name: 'daily-debits', type: 'count', max: 2, window_hours: 24 }];
+
+    const result = await runWithHistory(instruction(10), limits, [
+      { amount: 5, created: now - 3 * hour },
+      { amount: 5, created: now - 20 * hour },
+    ]);
+    const agedOutResult = await runWithHistory(instruction(10), limits, [
+      { amount: 5, created: now - 3 * hour },
+    ]);
+
+    expect(result.status_code).to.equal('LM02');
+    expect(result.status_reason).to.equal(
+      'Debit count limit reached for the account (daily-debits): max 2 debits per 24 hours; the window resets at 2026-09-16T14:00:00.000Z'
+    );
+    expect(result.limit).to.deep.equal({
+      name: 'daily-debits',
+      type: 'count',
+      max: 2,
+      currency: null,
+      window_hours: 24,
+      resets_at: '2026-09-16T14:00:00.000Z',
+    });
+    expect(agedOutResult.status).to.equal('successful');
+  });
+
+  it('should add up the debited volume with LM03, and leave pending debits for later', async () => {
+    const limits = [
+      { name: 'usd-volume', type: 'volume', currency: 'USD', max: 1000, window_hours: 24 },
+    ];
+    const history = [
+      { amount: 600, created: now - 2 * hour },
+      { amount: 300, created: now - hour },
+    ];
+
+    const result = await runWithHistory(instruction(200), limits, history);
+    const pendingResult = await runWithHistory(
+      `${instruction(200)} ON 2026-09-21`,
+      limits,
+      history
+    );
+
+    // Room for 200 once the 600 debit leaves the window
+    expect(result.status_code).to.equal('LM03');
+    expect(result.limit.resets_at).to.equal('2026-09-17T08:00:00.000Z');
+    expect(pendingResult.status).to.equal('pending');
+  });
+
+  it('should read the debit history of a ledger execution inside its transaction', async () => {
+    const limits = [{ name: 'one-debit', type: 'count', max: 1, window_hours: 1 }];
+    const accountsStub = MockModelStubs.Account.configureStubs({
+      method: 'findMany',
+      overrideFn: () => [
+        { account_id: 'a', balance: 5000, currency: 'USD' },
+        { account_id: 'b', balance: 0, currency: 'USD' },
+      ],
+    });
+    const holdsStub = MockModelStubs.Hold.configureStubs({
+      method: 'findMany',
+      overrideFn: () => [],
+    });
+    const historyStub = MockModelStubs.JournalEntry.configureStubs({
+      method: 'findMany',
+      overrideFn: () => [
+        { debit_account: 'a', currency: 'USD', amount: 5, created: now - hour / 2 },
+      ],
+    });
+    const session = {};
+
+    const result = await executeLedgerTransaction(
+      instruction(10),
+      parseInstruction(instruction(10)).data,
+      {
+        session,
+        limits,
+        clock,
+      }
+    );
+    accountsStub.revert();
+    holdsStub.revert();
+    historyStub.revert();
+
+    expect(result.status_code).to.equal('LM02');
+    expect(historyStub.mockedDoc.queryData.options.session).to.equal(session);
+  });
+
+  it('should count earlier debits of a batch towards the later ones', async () => {
+    const limits = [{ name: 'one-debit', type: 'count', max: 1, window_hours: 1 }];
+    const stub = MockModelStubs.JournalEntry.configureStubs({
+      method: 'findMany',
+      overrideFn: () => [],
+    });
+
+    const result = await processBatchService(
+      { accounts, instructions: [instruction(10), instruction(20)], on_failure: 'continue' },
+      { clock, limits }
+    );
+    stub.revert();
+
+    expect(result.results.map((instructionResult) => instructionResult.status_code)).to.deep.equal([
+      'AP00',
+      'LM02',
+    ]);
+  });
+});
+
+describe('Blocklist Screening', () => {
+  const blocklistPath = path.join(os.tmpdir(), `blocklist-${process.pid}.json`);
+  const accounts = [
+    { id: 'a', balance: 500, currency: 'USD' },
+    { id: 'acct-9001', balance: 0, currency: 'USD' },
+  ];
+  const instruction = 'DEBIT 50 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT acct-9001';
+
+  function writeBlocklist(contents) {
+    fs.writeFileSync(blocklistPath, JSON.stringify(contents));
+  }
+
+  after(() => {
+    fs.rmSync(blocklistPath, { force: true });
+  });
+
+  it('should match account ids and names exactly or within a few edits once normalised', () => {
+    const blocklist = createBlocklist({
+      account_ids: ['ACCT.9001', 'x1'],
+      names: ['John Doe', 'José Álvarez'],
+    });
+
+    const matches = findBlocklistMatches(
+      { account_ids: ['acct-9001', 'acct-9011', 'x2'], beneficiary_name: 'DOE, Jon' },
+      blocklist
+    );
+
+    expect(matches).to.deep.equal([
+      { field: 'account_id', value: 'acct-9001', entry: 'ACCT.9001', match: 'exact', distance: 0 },
+      { field: 'account_id', value: 'acct-9011', entry: 'ACCT.9001', match: 'fuzzy', distance: 1 },
+      {
+        field: 'beneficiary_name',
+        value: 'DOE, Jon',
+        entry: 'John Doe',
+        match: 'fuzzy',
+        distance: 1,
+      },
+    ]);
+    expect(
+      findBlocklistMatches({ account_ids: ['a'], beneficiary_name: 'jose alvarez' }, blocklist)
+    ).to.have.lengthOf(1);
+    expect(
+      findBlocklistMatches({ account_ids: ['a'], beneficiary_name: 'Jane Smith' }, blocklist)
+    ).to.deep.equal([]);
+  });
+
+  it('should hold a matching instruction for review without executing it', async () => {
+    writeBlocklist({ account_ids: ['acct-9001'] });
+    const createStub = MockModelStubs.HeldInstruction.configureStubs({ method: 'create' });
+    const journalStub = MockModelStubs.JournalEntry.configureStubs({ method: 'create' });
+
+    const result = await processTransactionService(
+      { instruction, accounts, beneficiary_name: 'Acme Ltd' },
+      { blocklistPath }
+    );
+    createStub.revert();
+    journalStub.revert();
+
+    const heldData = createStub.mockedDoc.queryData;
+
+    expect(result.id).to.equal('sample-_id');
+    expect(result.status).to.equal('held_for_review');
+    expect(result.status_code).to.equal('SC01');
+    expect(result.status_reason).to.equal(
+      'Held for compliance review: acct-9001 matches blocklist entry acct-9001'
+    );
+    expect(result.accounts.map((account) => account.balance)).to.deep.equal([500, 0]);
+    expect(journalStub.mockedDoc.wasInvoked).to.equal(false);
+    expect(heldData.status).to.equal('held_for_review');
+    expect(heldData.beneficiary_name).to.equal('Acme Ltd');
+    expect(heldData.source_accounts).to.deep.equal(accounts);
+  });
+
+  it('should pick up changes to the blocklist file without a restart', async () => {
+    writeBlocklist({ account_ids: ['acct-9001'] });
+    const heldResult = await processTransactionService(
+      { instruction, accounts },
+      { blocklistPath }
+    );
+
+    writeBlocklist({ account_ids: [], names: ['Someone Else Entirely'] });
+    const clearedResult = await processTransactionService(
+      { instruction, accounts },
+      { blocklistPath }
+    );
+
+    expect(heldResult.status).to.equal('held_for_review');
+    expect(clearedResult.status).to.equal('successful');
+  });
+
+  it('should refuse to run unscreened when a configured blocklist has never loaded', async () => {
+    const brokenPath = path.join(os.tmpdir(), `blocklist-broken-${process.pid}.json`);
+    fs.writeFileSync(brokenPath, '{"account_ids": [');
+
+    let error;
+    try {
+      await processTransactionService({ instruction, accounts }, { blocklistPath: brokenPath });
+    } catch (e) {
+      error = e;
+    }
+    fs.rmSync(brokenPath, { force: true });
+
+    expect(error.errorCode).to.equal('APPLICATION_ERROR');
+    expect(error.message).to.equal('The screening blocklist could not be loaded');
+  });
+
+  it('should hold the blocklisted instructions of a batch and run the rest', async () => {
+    writeBlocklist({ account_ids: ['acct-9001'] });
+    const createStub = MockModelStubs.HeldInstruction.configureStubs({ method: 'create' });
+
+    const result = await processBatchService(
+      {
+        accounts: [...accounts, { id: 'c', balance: 0, currency: 'USD' }],
+        instructions: [instruction, 'DEBIT 20 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT c'],
+      },
+      { blocklistPath }
+    );
+    createStub.revert();
+
+    expect(result.held_for_review).to.equal(1);
+    expect(result.successful).to.equal(1);
+    expect(result.results[0]).to.include({
+      id: 'sample-_id',
+      status: 'held_for_review',
+      status_code: 'SC01',
+    });
+    expect(result.accounts.map((account) => account.balance)).to.deep.equal([480, 0, 20]);
+    expect(createStub.mockedDoc.queryData.instruction).to.equal(instruction);
+  });
+
+  describe('Review', () => {
+    const heldInstruction = {
+      _id: '01JB0000000000000000000000',
+      instruction,
+      type: 'DEBIT',
+      amount: 50,
+      currency: 'USD',
+      debit_account: 'a',
+      credit_account: 'acct-9001',
+      screening_matches: [{ field: 'account_id', value: 'acct-9001', entry: 'acct-9001' }],
+      source_accounts: accounts,
+      use_ledger: false,
+      status: 'held_for_review',
+      status_code: 'SC01',
+      status_reason: 'Held for compliance review: acct-9001 matches blocklist entry acct-9001',
+    };
+
+    it('should run a released instruction without screening it again', async () => {
+      writeBlocklist({ account_ids: ['acct-9001'] });
+      const findStub = MockModelStubs.HeldInstruction.configureStubs({
+        method: 'findOne',
+        docConfig: heldInstruction,
+      });
+      const updateStub = MockModelStubs.HeldInstruction.configureStubs({ method: 'updateOne' });
+
+      const result = await reviewHeldInstruction(
+        { id: heldInstruction._id, decision: 'release', note: 'False positive' },
+        { blocklistPath }
+      );
+      findStub.revert();
+      updateStub.revert();
+
+      expect(result.status).to.equal('successful');
+      expect(result.accounts.map((account) => account.balance)).to.deep.equal([450, 50]);
+      expect(result.held_instruction).to.include({
+        id: heldInstruction._id,
+        status: 'released',
+        status_code: 'AP00',
+        review_note: 'False positive',
+      });
+      expect(updateStub.mockedDoc.queryData.updateValues.status_code).to.equal('AP00');
+    });
+
+    it('should release an instruction on the date it was held with', async () => {
+      const findStub = MockModelStubs.HeldInstruction.configureStubs({
+        method: 'findOne',
+        docConfig: {
+          ...heldInstruction,
+          instruction: `${instruction} ON TOMORROW`,
+          execute_by: '2020-01-01',
+          execute_by_text: 'TOMORROW',
+        },
+      });
+      const updateStub = MockModelStubs.HeldInstruction.configureStubs({ method: 'updateOne' });
+
+      // Held long enough ago that its TOMORROW has passed, so it runs now
+      const result = await reviewHeldInstruction({ id: heldInstruction._id, decision: 'release' });
+      findStub.revert();
+      updateStub.revert();
+
+      expect(result).to.include({
+        status: 'successful',
+        execute_by: '2020-01-01',
+        execute_by_text: 'TOMORROW',
+      });
+    });
+
+    it('should close a rejected instruction with SC02', async () => {
+      const findStub = MockModelStubs.HeldInstruction.configureStubs({
+        method: 'findOne',
+        docConfig: heldInstruction,
+      });
+      const updateStub = MockModelStubs.HeldInstruction.configureStubs({ method: 'updateOne' });
+
+      const result = await reviewHeldInstruction({ id: heldInstruction._id, decision: 'reject' });
+      findStub.revert();
+      updateStub.revert();
+
+      const { query, updateValues } = updateStub.mockedDoc.queryData;
+
+      expect(result.status).to.equal('rejected');
+      expect(result.status_code).to.equal(STATUS_CODES.REVIEW_REJECTED);
+      expect(query).to.deep.equal({ _id: heldInstruction._id, status: 'held_for_review' });
+      expect(updateValues.status_reason).to.equal('Rejected after compliance review');
+    });
+
+    it('should not run a release whose status change lost to another review', async () => {
+      const findStub = MockModelStubs.HeldInstruction.configureStubs({
+        method: 'findOne',
+        docConfig: heldInstruction,
+      });
+      const updateStub = MockModelStubs.HeldInstruction.configureStubs({
+        method: 'updateOne',
+        overrideFn: () => ({ acknowledged: true, modifiedCount: 0 }),
+      });
+      const journalStub = MockModelStubs.JournalEntry.configureStubs({ method: 'create' });
+
+      let error;
+      try {
+        await reviewHeldInstruction({ id: heldInstruction._id, decision: 'release' });
+      } catch (e) {
+        error = e;
+      }
+      findStub.revert();
+      updateStub.revert();
+      journalStub.revert();
+
+      expect(error.errorCode).to.equal('INVALID_REQUEST');
+      expect(journalStub.mockedDoc.wasInvoked).to.equal(false);
+    });
+
+    it('should refuse to review an instruction that is no longer held', async () => {
+      const stub = MockModelStubs.HeldInstruction.configureStubs({
+        method: 'findOne',
+        docConfig: { ...heldInstruction, status: 'rejected' },
+      });
+
+      let error;
+      try {
+        await reviewHeldInstruction({ id: heldInstruction._id, decision: 'release' });
+      } catch (e) {
+        error = e;
+      }
+      stub.revert();
+
+      expect(error.errorCode).to.equal('INVALID_REQUEST');
+    });
+  });
+});
+
+describe('Environment Configuration', () => {
+  const configSpec = validator.parse(`root {
+    TEST_FEE_RULES[]? {
+      currency string<uppercase|length:3>
+      type string(flat|percentage|tiered)
+    }
+  }`);
+
+  afterEach(() => {
+    delete process.env.TEST_FEE_RULES;
+  });
+
+  function getConfigError() {
+    try {
+      parseConfigList('TEST_FEE_RULES', configSpec);
+    } catch (error) {
+      return error;
+    }
+    return null;
+  }
+
+  it('should read an unset list setting as empty and validate the entries of a set one', () => {
+    expect(parseConfigList('TEST_FEE_RULES', configSpec)).to.deep.equal([]);
+
+    process.env.TEST_FEE_RULES = '[{"currency":"ngn","type":"flat"}]';
+
+    expect(parseConfigList('TEST_FEE_RULES', configSpec)).to.deep.equal([
+      { currency: 'NGN', type: 'flat' },
+    ]);
+  });
+
+  it('should name the setting and the entry that is wrong', () => {
+    process.env.TEST_FEE_RULES = '[{"currency":"NGN","type":"flat"';
+    expect(getConfigError().message).to.include('TEST_FEE_RULES must be a JSON array');
+
+    process.env.TEST_FEE_RULES = '[{"currency":"NGN","type":"fixed"}]';
+    expect(getConfigError().message).to.equal(
+      "Invalid payment instructions configuration: Expected TEST_FEE_RULES[0].type's value: fixed to be one of flat, percentage, tiered"
+    );
+
+    process.env.TEST_FEE_RULES = '{"currency":"NGN","type":"flat"}';
+    expect(getConfigError().message).to.equal(
+      'Invalid payment instructions configuration: Invalid Type Passed for TEST_FEE_RULES: Expected array got object'
+    );
+  });
+
+  it('should not start with an added currency that has no exponent', () => {
+    const registryPath = require.resolve('../services/payment-instructions/currency-registry');
+    const loadedRegistry = require.cache[registryPath];
+    let error;
+
+    // Loaded afresh, as the registry is built from the setting when the module loads
+    process.env.CURRENCY_REGISTRY = '[{"code":"KES","enabled":true},{"code":"EGP","enabled":true}]';
+    delete require.cache[registryPath];
+    try {
+      // eslint-disable-next-line global-require
+      require('../services/payment-instructions/currency-registry');
+    } catch (e) {
+      error = e;
+    }
+    delete process.env.CURRENCY_REGISTRY;
+    require.cache[registryPath] = loadedRegistry;
+
+    expect(error.message).to.equal(
+      'Invalid payment instructions configuration: CURRENCY_REGISTRY EGP needs an exponent, as it is not one of the default currencies'
+    );
+  });
+});
@@ -0,0 +1,20 @@
+const { appLogger } = require('@app-core/logger');
+
+module.exports = {
+  concurrency: 1,
+  queue_options: {},
+  processor_name: 'execute-recurring-instruction',
+  async processor(job) {
+    // Required lazily: the payment-instructions services schedule jobs on this worker
+    // eslint-disable-next-line global-require
+    const executeRecurringInstructionRun = require('@app/services/payment-instructions/execute-recurring-instruction-run');
+
+    const result = await executeRecurringInstructionRun({ id: job.data?.id });
+    appLogger.info(
+      { label: 'RECURRING INSTRUCTION', jobId: job.id, result },
+      'Recurring instruction run processed'
+    );
+
+    return result;
+  },
+};
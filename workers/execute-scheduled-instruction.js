@@ -0,0 +1,20 @@
+const { appLogger } = require('@app-core/logger');
+
+module.exports = {
+  concurrency: 1,
+  queue_options: {},
+  processor_name: 'execute-scheduled-instruction',
+  async processor(job) {
+    // Required lazily: the payment-instructions services schedule jobs on this worker
+    // eslint-disable-next-line global-require
+    const executeScheduledInstruction = require('@app/services/payment-instructions/execute-scheduled-instruction');
+
+    const result = await executeScheduledInstruction({ id: job.data?.id });
+    appLogger.info(
+      { label: 'SCHEDULED INSTRUCTION', jobId: job.id, result },
+      'Scheduled instruction processed'
+    );
+
+    return result;
+  },
+};
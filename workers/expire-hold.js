@@ -0,0 +1,17 @@
+const { appLogger } = require('@app-core/logger');
+
+module.exports = {
+  concurrency: 1,
+  queue_options: {},
+  processor_name: 'expire-hold',
+  async processor(job) {
+    // Required lazily: the payment-instructions services schedule jobs on this worker
+    // eslint-disable-next-line global-require
+    const expireHold = require('@app/services/payment-instructions/expire-hold');
+
+    const result = await expireHold({ id: job.data?.id });
+    appLogger.info({ label: 'HOLD', jobId: job.id, result }, 'Hold expiry processed');
+
+    return result;
+  },
+};
@@ -1,6 +1,12 @@
 const { createWorker } = require('../core/queue');
 const echoLoginValidation = require('./echo-login-validation');
+const executeRecurringInstruction = require('./execute-recurring-instruction');
+const executeScheduledInstruction = require('./execute-scheduled-instruction');
+const expireHold = require('./expire-hold');
 
 module.exports = {
   echoLoginValidation: createWorker(echoLoginValidation),
+  executeRecurringInstruction: createWorker(executeRecurringInstruction),
+  executeScheduledInstruction: createWorker(executeScheduledInstruction),
+  expireHold: createWorker(expireHold),
 };